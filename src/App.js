@@ -1,24 +1,46 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import MainMenu from './components/MainMenu';
 import GameView from './components/GameView';
 import AILearningView from './components/AILearningView';
 import SettingsView from './components/SettingsView';
+import ReplayView from './components/ReplayView';
+import LevelEditorView from './components/LevelEditorView';
+import PuzzleSelectView from './components/PuzzleSelectView';
+import StatsView from './components/StatsView';
+import SettingsProvider from './components/SettingsProvider';
+import { connectGameSounds } from './utils/sound';
 
 function App() {
   const [currentView, setCurrentView] = useState('menu');
+  const [viewParams, setViewParams] = useState({}); // e.g. { level } for 'game'
 
-  const handleNavigation = (view) => {
+  // Sound effects follow game events on every screen
+  useEffect(() => connectGameSounds(), []);
+
+  const handleNavigation = (view, params = {}) => {
     setCurrentView(view);
+    setViewParams(params);
   };
 
   const renderCurrentView = () => {
     switch (currentView) {
       case 'game':
-        return <GameView onNavigate={handleNavigation} />;
+        // Keyed by level so "Next Level" starts a fresh game
+        return <GameView key={viewParams.level?.id} onNavigate={handleNavigation} level={viewParams.level} />;
+      case 'continue':
+        return <GameView onNavigate={handleNavigation} resumeSavedGame />;
       case 'ai-learning':
         return <AILearningView onNavigate={handleNavigation} />;
       case 'settings':
         return <SettingsView onNavigate={handleNavigation} />;
+      case 'replay':
+        return <ReplayView onNavigate={handleNavigation} />;
+      case 'puzzles':
+        return <PuzzleSelectView onNavigate={handleNavigation} />;
+      case 'level-editor':
+        return <LevelEditorView onNavigate={handleNavigation} />;
+      case 'stats':
+        return <StatsView onNavigate={handleNavigation} />;
       case 'menu':
       default:
         return <MainMenu onNavigate={handleNavigation} />;
@@ -26,9 +48,11 @@ function App() {
   };
 
   return (
-    <div className="app">
-      {renderCurrentView()}
-    </div>
+    <SettingsProvider>
+      <div className="app">
+        {renderCurrentView()}
+      </div>
+    </SettingsProvider>
   );
 }
 
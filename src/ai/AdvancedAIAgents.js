@@ -1,4 +1,5 @@
 import * as tf from '@tensorflow/tfjs';
+import { SeededRandom } from '../utils/random';
 import { ConvDQNAgent } from './ConvDQNAgent';
 import { DQNAgent } from './DQNAgent';
 import { EliteDQNAgent } from './EliteDQNAgent';
@@ -16,6 +17,7 @@ export class MCTSAgent {
   constructor(stateSize, actionSize, options = {}) {
     this.stateSize = stateSize;
     this.actionSize = actionSize;
+    this.random = new SeededRandom(options.seed);
     this.maxSimulations = options.simulations || options.maxSimulations || 50; // Use simulations parameter
     this.explorationConstant = options.explorationConstant || Math.sqrt(2);
     this.maxDepth = options.maxDepth || 10;
@@ -35,6 +37,10 @@ export class MCTSAgent {
     console.log(`🌳 MCTS Agent initialized: ${this.maxSimulations} simulations, depth ${this.maxDepth}`);
   }
 
+  setSeed(seed) {
+    this.random = new SeededRandom(seed);
+  }
+
   async selectAction(environment) {
     const startTime = performance.now();
     
@@ -176,7 +182,7 @@ export class MCTSAgent {
     
     // Return random child for simulation
     if (node.children.length > 0) {
-      return node.children[Math.floor(Math.random() * node.children.length)];
+      return node.children[this.random.nextInt(node.children.length)];
     }
     
     return node;
@@ -197,7 +203,7 @@ export class MCTSAgent {
         action = this.selectHeuristicAction(validActions, environment);
       } else {
         // Use random policy for larger action spaces
-        action = validActions[Math.floor(Math.random() * validActions.length)];
+        action = validActions[this.random.nextInt(validActions.length)];
       }
       
       const stepResult = environment.step(action);
@@ -234,14 +240,14 @@ export class MCTSAgent {
       const action = validActions[i];
       
       // Simple heuristic: prefer actions that might complete lines
-      let score = Math.random() * 10; // Base random score
+      let score = this.random.next() * 10; // Base random score
       
       // Decode action to get placement info
-      const { blockIndex, row } = environment.decodeAction ? 
+      const { blockIndex, row, hold } = environment.decodeAction ? 
         environment.decodeAction(action) : { blockIndex: 0, row: 0 };
       
-      // Simple line completion check
-      if (blockIndex < environment.availableBlocks.length) {
+      // Simple line completion check (hold actions have no row)
+      if (!hold && blockIndex < environment.availableBlocks.length) {
         const block = environment.availableBlocks[blockIndex];
         if (block && environment.grid) {
           // Check if placement might complete a row
@@ -404,6 +410,7 @@ export class PolicyGradientAgent {
   constructor(stateSize, actionSize, options = {}) {
     this.stateSize = stateSize;
     this.actionSize = actionSize;
+    this.random = new SeededRandom(options.seed);
     this.learningRate = options.learningRate || 0.001;
     this.gamma = options.gamma || 0.99;
     this.entropyCoeff = options.entropyCoeff || 0.01;
@@ -472,6 +479,10 @@ export class PolicyGradientAgent {
     return model;
   }
 
+  setSeed(seed) {
+    this.random = new SeededRandom(seed);
+  }
+
   async selectAction(state, validActions = null) {
     if (!state || !state.expandDims) {
       console.error('❌ Policy Gradient: Invalid state tensor');
@@ -532,7 +543,7 @@ export class PolicyGradientAgent {
   }
 
   sampleFromDistribution(probabilities) {
-    const random = Math.random();
+    const random = this.random.next();
     let cumulative = 0;
     
     for (let i = 0; i < probabilities.length; i++) {
@@ -737,9 +748,15 @@ export class HybridHeuristicAgent {
     this.actionSize = actionSize;
     this.lookaheadDepth = options.lookaheadDepth || 2;
     this.maxEvaluations = options.maxEvaluations || 100;
-    
+
+    // Weights of the evaluateAction() terms
+    this.lineCompletionWeight = options.lineCompletionWeight || 100;
+    this.spatialEfficiencyWeight = options.spatialEfficiencyWeight || 1;
+    this.futureOpportunityWeight = options.futureOpportunityWeight || 0.5;
+
     // Performance tracking
     this.episode = 0;
+    this.decisionTimes = [];
     this.scores = [];
     this.bestScore = 0;
     this.avgScore = 0;
@@ -796,9 +813,9 @@ export class HybridHeuristicAgent {
   }
 
   evaluateAction(action, environment) {
-    const { blockIndex, row, col } = environment.decodeAction(action);
+    const { blockIndex, row, col, hold } = environment.decodeAction(action);
     
-    if (blockIndex >= environment.availableBlocks.length) {
+    if (hold || blockIndex >= environment.availableBlocks.length) {
       return -Infinity;
     }
     
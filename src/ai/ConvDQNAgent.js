@@ -1,4 +1,5 @@
 import * as tf from '@tensorflow/tfjs';
+import { SeededRandom } from '../utils/random';
 
 /**
  * VISUAL CNN-DQN AGENT - ADVANCED CONVOLUTIONAL SPATIAL INTELLIGENCE
@@ -15,6 +16,7 @@ export class ConvDQNAgent {
   constructor(visualStateSize, actionSize, options = {}) {
     this.visualStateSize = visualStateSize; // [CHANNELS, HEIGHT, WIDTH]
     this.actionSize = actionSize;
+    this.random = new SeededRandom(options.seed);
     
     // CNN-OPTIMIZED HYPERPARAMETERS
     this.learningRate = options.learningRate || 0.0005; // Lower LR for CNN stability
@@ -156,6 +158,13 @@ export class ConvDQNAgent {
     return model;
   }
 
+  /**
+   * SEED EXPLORATION - Same seed, same exploration choices
+   */
+  setSeed(seed) {
+    this.random = new SeededRandom(seed);
+  }
+
   /**
    * ACTION SELECTION - Like DQN but with visual pattern guidance
    */
@@ -166,16 +175,16 @@ export class ConvDQNAgent {
       adaptiveEpsilon = this.epsilon * (1 - environment.curriculumLevel * 0.2);
     }
     
-    if (Math.random() <= adaptiveEpsilon) {
+    if (this.random.next() <= adaptiveEpsilon) {
       // PATTERN-GUIDED EXPLORATION (like DQN's guided exploration)
-      if (this.visualExploration && environment && Math.random() < this.patternRecognitionRate) {
+      if (this.visualExploration && environment && this.random.next() < this.patternRecognitionRate) {
         return this.selectPatternGuidedAction(validActions, environment);
       } else {
         // Random exploration
         if (validActions && validActions.length > 0) {
-          return validActions[Math.floor(Math.random() * validActions.length)];
+          return validActions[this.random.nextInt(validActions.length)];
         }
-        return Math.floor(Math.random() * this.actionSize);
+        return this.random.nextInt(this.actionSize);
       }
     }
     
@@ -196,9 +205,10 @@ export class ConvDQNAgent {
     
     // Evaluate actions based on line completion potential (like DQN)
     for (const action of validActions.slice(0, Math.min(10, validActions.length))) {
-      const { blockIndex, row, col } = environment.decodeAction(action);
+      const { blockIndex, row, col, hold } = environment.decodeAction(action);
       
-      if (blockIndex < environment.availableBlocks.length) {
+      // Holds don't fill any lines, so they're never the guided choice
+      if (!hold && blockIndex < environment.availableBlocks.length) {
         const block = environment.availableBlocks[blockIndex];
         const lineScore = this.evaluateLineCompletionPotential(block, row, col, environment);
         
@@ -462,20 +472,20 @@ export class ConvDQNAgent {
     
     // Sample line clearing experiences
     for (let i = 0; i < lineClearingCount; i++) {
-      const randomIndex = Math.floor(Math.random() * lineClearingExperiences.length);
+      const randomIndex = this.random.nextInt(lineClearingExperiences.length);
       batch.push(lineClearingExperiences[randomIndex]);
     }
     
     // Fill remaining with other experiences
     const remainingCount = this.batchSize - lineClearingCount;
     for (let i = 0; i < remainingCount && otherExperiences.length > 0; i++) {
-      const randomIndex = Math.floor(Math.random() * otherExperiences.length);
+      const randomIndex = this.random.nextInt(otherExperiences.length);
       batch.push(otherExperiences[randomIndex]);
     }
     
     // If not enough experiences, fill with random samples
     while (batch.length < this.batchSize && this.memory.length > 0) {
-      const randomIndex = Math.floor(Math.random() * this.memory.length);
+      const randomIndex = this.random.nextInt(this.memory.length);
       batch.push(this.memory[randomIndex]);
     }
     
@@ -1,9 +1,14 @@
 import * as tf from '@tensorflow/tfjs';
+import { applyMove, canPlaceBlock, checkGameOver, createBlockedGrid, getBlockSize, getClearEvent, getHardModeCells, holdBlock, isBlockedCell } from '../utils/gameEngine';
+import { MAX_PREVIEW_SETS } from '../utils/gameLogic';
+import { getCurriculumProfile, getPieceId, pickPiece } from '../utils/pieces';
+import { SeededRandom } from '../utils/random';
 
 // VISUAL CNN CONFIGURATION - Optimized for CNN Learning
 const GRID_SIZE = 45; // Large 45x45 grid for enhanced CNN spatial learning
 const MAX_BLOCKS = 3;
 const CHANNELS = 4; // Multi-channel visual representation
+const HOLD_ACTION_BASE = GRID_SIZE * GRID_SIZE * MAX_BLOCKS; // Hold actions come after all placements
 
 /**
  * VISUAL CNN-DQN ENVIRONMENT - ADVANCED SPATIAL PATTERN RECOGNITION
@@ -17,7 +22,16 @@ const CHANNELS = 4; // Multi-channel visual representation
  * - Complex strategic depth with extensive playing field
  */
 export class ConvDQNEnvironment {
-  constructor() {
+  constructor(options = {}) {
+    // Seeded so a training run can be reproduced from options.seed
+    this.random = new SeededRandom(options.seed);
+    this.blocked = null; // Obstacle cells loaded with setState(), kept across resets
+    this.holdEnabled = Boolean(options.holdAction); // Hold actions; the held block shows in the blocks channel
+    this.previewSets = Math.min(Math.max(options.previewSets || 0, 0), MAX_PREVIEW_SETS); // Upcoming sets, shown faintly in the blocks channel
+    // Not the classic game: on the 45x45 board only rows and columns clear (the
+    // engine's 'linesOnly' rule). Its rewards and saved models are built around
+    // that, so it's a training mode of its own rather than the human game.
+    this.clearRule = 'linesOnly';
     this.reset();
     
     // CURRICULUM SYSTEM - Like DQN but for visual learning
@@ -29,6 +43,7 @@ export class ConvDQNEnvironment {
     this.rewardConfig = {
       // Pattern completion rewards (higher for visual learning)
       patternCompletionBase: 20000,     // Base reward for visual patterns
+      comboStreakBonus: 4000,           // Per extra move in a clearing streak
       spatialEfficiencyBonus: 12000,    // Bonus for efficient space usage
       visualHarmonyBonus: 8000,         // Bonus for balanced visual layouts
       symmetryBonus: 3000,              // Bonus for symmetrical placements
@@ -44,7 +59,8 @@ export class ConvDQNEnvironment {
       
       // Standard rewards
       survivalBonus: 2,                 // Small bonus per step
-      gameOverPenalty: -8000           // Penalty for ending game
+      gameOverPenalty: -8000,          // Penalty for ending game
+      holdPenalty: -10                  // Small cost for holding instead of placing
     };
     
     // Curriculum tracking
@@ -64,7 +80,11 @@ export class ConvDQNEnvironment {
   reset() {
     // 45x45 grid for better CNN spatial learning
     this.grid = Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(false));
-    this.availableBlocks = this.generateCurriculumBlocks();
+    this.upcoming = [];
+    this.fixedSets = []; // Trays dealt as given before any are generated, see setState()
+    this.availableBlocks = this.dealNextTray();
+    this.held = null;
+    this.combo = 0;
     this.score = 0;
     this.difficulty = 'visual';
     this.movesSinceClear = 0;
@@ -88,63 +108,27 @@ export class ConvDQNEnvironment {
   }
 
   /**
-   * CURRICULUM-BASED BLOCK GENERATION - Like DQN but for visual learning
+   * CURRICULUM-BASED BLOCK GENERATION - Same piece profiles as DQN
    */
   generateCurriculumBlocks() {
     const blocks = [];
-    const blockShapes = this.getCurriculumBlockShapes(this.currentComplexity);
+    const profileId = getCurriculumProfile(this.currentComplexity);
     
     for (let i = 0; i < 3; i++) {
-      const randomIndex = Math.floor(Math.random() * blockShapes.length);
-      blocks.push(blockShapes[randomIndex]);
+      blocks.push(pickPiece(this.random, profileId).shape);
     }
     
     return blocks;
   }
 
   /**
-   * CURRICULUM BLOCK SHAPES - Progressive complexity like DQN
+   * Take the next tray off the upcoming queue (kept previewSets trays ahead)
    */
-  getCurriculumBlockShapes(complexity) {
-    const shapes = [];
-    
-    // Level 0: Simple blocks (1x1, 2x1, 2x2) - Same as DQN Level 0
-    shapes.push([[true]]); // Single cell
-    shapes.push([[true, true]]); // 2x1 horizontal
-    shapes.push([[true], [true]]); // 2x1 vertical
-    shapes.push([[true, true], [true, true]]); // 2x2 square
-    
-    if (complexity === 'simple') {
-      return shapes;
-    }
-    
-    // Level 1: Medium blocks (add 3x1, basic L-shapes) - Same as DQN Level 1
-    shapes.push([[true, true, true]]); // 3x1 horizontal
-    shapes.push([[true], [true], [true]]); // 3x1 vertical
-    shapes.push([[true, true], [true, false]]); // Simple L-shape
-    shapes.push([[true, false], [true, true]]); // Simple L-shape variant
-    
-    if (complexity === 'medium') {
-      return shapes;
-    }
-    
-    // Level 2: Complex blocks (add T-shapes, more L-shapes) - Same as DQN Level 2
-    shapes.push([[true, true, true], [false, true, false]]); // T-shape
-    shapes.push([[false, true], [true, true], [false, true]]); // T-shape rotated
-    shapes.push([[true, false], [true, false], [true, true]]); // L-shape
-    shapes.push([[true, true, true], [true, false, false]]); // L-shape
-    
-    if (complexity === 'complex') {
-      return shapes;
+  dealNextTray() {
+    while (this.upcoming.length <= this.previewSets) {
+      this.upcoming.push(this.fixedSets.length > 0 ? this.fixedSets.shift() : this.generateCurriculumBlocks());
     }
-    
-    // Level 3: Advanced blocks (more variety for larger grid)
-    shapes.push([[true, false, false], [true, false, false], [true, true, true]]); // Corner L
-    shapes.push([[true, true], [false, true], [false, true]]); // L variant
-    shapes.push([[false, false, true], [true, true, true]]); // L variant
-    shapes.push([[false, true, false], [true, true, true], [false, true, false]]); // Plus shape
-    
-    return shapes;
+    return this.upcoming.shift();
   }
 
   /**
@@ -184,7 +168,7 @@ export class ConvDQNEnvironment {
     for (let i = 0; i < GRID_SIZE; i++) {
       const row = [];
       for (let j = 0; j < GRID_SIZE; j++) {
-        row.push(this.grid[i][j] ? 1 : 0);
+        row.push(this.grid[i][j] || isBlockedCell(this.blocked, i, j) ? 1 : 0);
       }
       channel.push(row);
     }
@@ -194,22 +178,29 @@ export class ConvDQNEnvironment {
   generateBlocksChannel2D() {
     const channel = Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(0));
     
-    // Mark potential placement areas for available blocks
-    for (const block of this.availableBlocks) {
+    // Mark potential placement areas for available blocks (and the held one,
+    // which can be swapped in). Previewed sets count for less: they come later.
+    const blocks = this.held ? [...this.availableBlocks, this.held] : [...this.availableBlocks];
+    const weights = blocks.map(() => 0.3);
+    this.upcoming.slice(0, this.previewSets).forEach(set => set.forEach(block => {
+      blocks.push(block);
+      weights.push(0.1);
+    }));
+    blocks.forEach((block, blockIdx) => {
       for (let row = 0; row <= GRID_SIZE - block.length; row++) {
         for (let col = 0; col <= GRID_SIZE - block[0].length; col++) {
           if (this.canPlaceBlockAtPosition(block, row, col)) {
             for (let br = 0; br < block.length; br++) {
               for (let bc = 0; bc < block[br].length; bc++) {
                 if (block[br][bc]) {
-                  channel[row + br][col + bc] = Math.min(1, channel[row + br][col + bc] + 0.3);
+                  channel[row + br][col + bc] = Math.min(1, channel[row + br][col + bc] + weights[blockIdx]);
                 }
               }
             }
           }
         }
       }
-    }
+    });
     
     return channel;
   }
@@ -302,7 +293,7 @@ export class ConvDQNEnvironment {
   }
 
   getMaxActionSpace() {
-    return GRID_SIZE * GRID_SIZE * MAX_BLOCKS; // 432 max actions
+    return HOLD_ACTION_BASE + (this.holdEnabled ? MAX_BLOCKS : 0); // 6075 placements (+3 holds)
   }
 
   getValidActions() {
@@ -321,49 +312,24 @@ export class ConvDQNEnvironment {
       }
     }
     
+    if (this.holdEnabled) {
+      for (let blockIndex = 0; blockIndex < this.availableBlocks.length; blockIndex++) {
+        validActions.push(HOLD_ACTION_BASE + blockIndex);
+      }
+    }
+    
     return validActions;
   }
 
   canPlaceBlockAtPosition(blockShape, startRow, startCol) {
-    for (let row = 0; row < blockShape.length; row++) {
-      for (let col = 0; col < blockShape[row].length; col++) {
-        if (blockShape[row][col]) {
-          const gridRow = startRow + row;
-          const gridCol = startCol + col;
-          
-          if (gridRow >= GRID_SIZE || gridCol >= GRID_SIZE || this.grid[gridRow][gridCol]) {
-            return false;
-          }
-        }
-      }
-    }
-    return true;
+    return canPlaceBlock(this.grid, blockShape, startRow, startCol, this.blocked);
   }
 
-  countLinesCleared(oldGrid, newGrid) {
-    let linesCleared = 0;
-    
-    // Check rows
-    for (let row = 0; row < GRID_SIZE; row++) {
-      if (oldGrid[row].every(cell => cell) && newGrid[row].every(cell => !cell)) {
-        linesCleared++;
-      }
-    }
-    
-    // Check columns
-    for (let col = 0; col < GRID_SIZE; col++) {
-      if (oldGrid.every(row => row[col]) && newGrid.every(row => !row[col])) {
-        linesCleared++;
-      }
+  step(actionId) {
+    if (this.holdEnabled && actionId >= HOLD_ACTION_BASE) {
+      return this.holdStep(actionId - HOLD_ACTION_BASE);
     }
-    
-    return linesCleared;
-  }
 
-  step(actionId) {
-    const oldGrid = this.grid.map(row => [...row]);
-    const oldScore = this.score;
-    
     // Decode action
     const blockIndex = actionId % MAX_BLOCKS;
     const col = Math.floor(actionId / MAX_BLOCKS) % GRID_SIZE;
@@ -390,36 +356,12 @@ export class ConvDQNEnvironment {
       };
     }
 
-    // Place block
-    const blockSize = this.placeBlock(block, row, col, blockIndex);
-    this.totalMoves++;
-    this.movesSinceClear++;
-    
-    // Clear lines and update score
-    const newGrid = this.clearCompletedLines(this.grid);
-    const linesCleared = this.countLinesCleared(oldGrid, newGrid);
-    
-    if (linesCleared > 0) {
-      this.movesSinceClear = 0;
-      this.grid = newGrid;
-      this.score += linesCleared * 100 * (1 + linesCleared); // Standard scoring like DQN
-      this.lineClearsThisEpisode += linesCleared;
-      this.patternsCompletedThisEpisode += linesCleared;
-    }
-    
-    // Remove used block
-    this.availableBlocks.splice(blockIndex, 1);
-    
-    // Check if need new blocks
-    if (this.availableBlocks.length === 0) {
-      this.availableBlocks = this.generateCurriculumBlocks();
-    }
-    
-    // Check game over
-    this.gameOver = this.checkGameOver();
+    // Place block, clear lines and refill the tray through the shared game engine
+    const blockSize = getBlockSize(block);
+    const linesCleared = this.placeBlock(block, row, col, blockIndex);
     
     // Calculate visual reward
-    const reward = this.calculateVisualReward(oldGrid, oldScore, blockSize, linesCleared);
+    const reward = this.calculateVisualReward(blockSize, linesCleared);
     
     // Update visual metrics
     this.updateVisualMetrics();
@@ -430,6 +372,7 @@ export class ConvDQNEnvironment {
       done: this.gameOver,
       info: {
         linesCleared: linesCleared,
+        pieceId: getPieceId(block),
         score: this.score,
         moves: this.totalMoves,
         visualMetrics: this.visualMetrics
@@ -437,7 +380,7 @@ export class ConvDQNEnvironment {
     };
   }
 
-  calculateVisualReward(oldGrid, oldScore, blockSize, linesCleared) {
+  calculateVisualReward(blockSize, linesCleared) {
     let totalReward = 0;
     
     // Pattern completion rewards (like DQN but with visual bonuses)
@@ -445,10 +388,11 @@ export class ConvDQNEnvironment {
       const baseReward = this.rewardConfig.patternCompletionBase;
       const lineReward = linesCleared * 5000; // Bonus per line
       const comboReward = linesCleared > 1 ? Math.pow(linesCleared, 2) * 8000 : 0;
+      const streakReward = (this.combo - 1) * this.rewardConfig.comboStreakBonus;
       
-      totalReward = baseReward + lineReward + comboReward;
+      totalReward = baseReward + lineReward + comboReward + streakReward;
       
-      console.log(`🎨 VISUAL PATTERN COMPLETION! Lines: ${linesCleared}, Total: ${totalReward}`);
+      console.log(`🎨 VISUAL PATTERN COMPLETION! Lines: ${linesCleared}, Streak: ${this.combo}, Total: ${totalReward}`);
     }
     
     // Placement reward (like DQN)
@@ -546,45 +490,82 @@ export class ConvDQNEnvironment {
     this.visualMetrics = analysis;
   }
 
-  placeBlock(blockShape, startRow, startCol, blockIndex) {
-    let blockSize = 0;
-    
-    for (let row = 0; row < blockShape.length; row++) {
-      for (let col = 0; col < blockShape[row].length; col++) {
-        if (blockShape[row][col]) {
-          this.grid[startRow + row][startCol + col] = true;
-          blockSize++;
-        }
-      }
+  /**
+   * Move a tray block into the hold slot, swapping out the held block if there is one
+   */
+  holdStep(blockIndex) {
+    if (blockIndex >= this.availableBlocks.length) {
+      return {
+        state: this.getVisualState(),
+        reward: -1000,
+        done: true,
+        info: { error: 'Invalid block index' }
+      };
     }
-    
-    return blockSize;
+
+    const { state } = holdBlock({
+      grid: this.grid,
+      availableBlocks: this.availableBlocks,
+      held: this.held,
+      blocked: this.blocked
+    }, blockIndex);
+
+    this.held = state.held;
+    this.availableBlocks = state.availableBlocks.length === 0
+      ? this.dealNextTray()
+      : state.availableBlocks;
+    this.gameOver = this.checkGameOver();
+
+    return {
+      state: this.getVisualState(),
+      reward: this.gameOver ? this.rewardConfig.gameOverPenalty : this.rewardConfig.holdPenalty,
+      done: this.gameOver,
+      info: {
+        hold: true,
+        score: this.score,
+        moves: this.totalMoves
+      }
+    };
   }
 
-  clearCompletedLines(grid) {
-    const newGrid = grid.map(row => [...row]);
+  /**
+   * Apply a placement with the shared game engine and return how many lines it cleared
+   */
+  placeBlock(blockShape, startRow, startCol, blockIndex) {
+    const { state, events } = applyMove({
+      grid: this.grid,
+      availableBlocks: this.availableBlocks,
+      score: this.score,
+      difficulty: this.difficulty,
+      blocked: this.blocked,
+      held: this.held,
+      combo: this.combo,
+      clearRule: this.clearRule
+    }, { blockIndex, row: startRow, col: startCol });
+    const clearEvent = getClearEvent(events);
+    const linesCleared = clearEvent ? clearEvent.total : 0;
+
+    this.grid = state.grid;
+    this.score = state.score;
+    this.combo = state.combo;
+    this.totalMoves++;
+    this.movesSinceClear = linesCleared > 0 ? 0 : this.movesSinceClear + 1;
+    this.lineClearsThisEpisode += linesCleared;
+    this.patternsCompletedThisEpisode += linesCleared;
     
-    // Clear completed rows
-    for (let row = 0; row < GRID_SIZE; row++) {
-      if (newGrid[row].every(cell => cell)) {
-        newGrid[row].fill(false);
-      }
-    }
+    // Check if need new blocks
+    this.availableBlocks = state.availableBlocks.length === 0
+      ? this.dealNextTray()
+      : state.availableBlocks;
     
-    // Clear completed columns
-    for (let col = 0; col < GRID_SIZE; col++) {
-      if (newGrid.every(row => row[col])) {
-        for (let row = 0; row < GRID_SIZE; row++) {
-          newGrid[row][col] = false;
-        }
-      }
-    }
+    // Check game over
+    this.gameOver = this.checkGameOver();
     
-    return newGrid;
+    return linesCleared;
   }
 
   checkGameOver() {
-    return this.getValidActions().length === 0;
+    return checkGameOver(this.grid, this.availableBlocks, this.blocked, this.held);
   }
 
   /**
@@ -625,7 +606,21 @@ export class ConvDQNEnvironment {
   }
 
   // Compatibility methods
-  setState(grid, availableBlocks, score, difficulty = 'visual') {
+  /**
+   * Restart the piece sequence from a seed. Call reset() afterwards for a fresh episode.
+   */
+  setSeed(seed) {
+    this.random = new SeededRandom(seed);
+    return this.random.seed;
+  }
+
+  /**
+   * Load a position, e.g. a saved level. blockedCells is a list of [row, col]
+   * obstacle cells; hard mode blocks the center when none are given.
+   * fixedSets are trays dealt, in order, before generated ones (a level's
+   * fixed piece sequence); the first one is dealt now if availableBlocks is null.
+   */
+  setState(grid, availableBlocks, score, difficulty = 'visual', blockedCells = difficulty === 'hard' ? getHardModeCells(grid.length) : [], fixedSets = []) {
     // Adapt to 45x45 grid
     this.grid = Array(GRID_SIZE).fill(null).map((_, row) => 
       Array(GRID_SIZE).fill(null).map((_, col) => {
@@ -636,9 +631,16 @@ export class ConvDQNEnvironment {
       })
     );
     
-    this.availableBlocks = this.generateCurriculumBlocks();
+    // Dealing also fills the preview queue; a given tray replaces the dealt one
+    this.upcoming = [];
+    this.fixedSets = fixedSets.map(set => [...set]);
+    const dealtTray = this.dealNextTray();
+    this.availableBlocks = availableBlocks || dealtTray;
+    this.held = null;
+    this.combo = 0;
     this.score = score;
     this.difficulty = difficulty;
+    this.blocked = createBlockedGrid(GRID_SIZE, blockedCells);
     this.gameOver = this.checkGameOver();
     this.currentGridSize = GRID_SIZE;
     return this.getVisualState();
@@ -649,6 +651,10 @@ export class ConvDQNEnvironment {
   }
 
   decodeAction(actionId) {
+    if (this.holdEnabled && actionId >= HOLD_ACTION_BASE) {
+      return { blockIndex: actionId - HOLD_ACTION_BASE, row: -1, col: -1, hold: true };
+    }
+
     const blockIndex = actionId % MAX_BLOCKS;
     const col = Math.floor(actionId / MAX_BLOCKS) % GRID_SIZE;
     const row = Math.floor(actionId / (MAX_BLOCKS * GRID_SIZE));
@@ -658,6 +664,7 @@ export class ConvDQNEnvironment {
 
   clone() {
     const cloned = new ConvDQNEnvironment();
+    cloned.random = this.random.clone();
     
     cloned.grid = this.grid.map(row => [...row]);
     cloned.availableBlocks = this.availableBlocks.map(block => 
@@ -665,6 +672,13 @@ export class ConvDQNEnvironment {
     );
     cloned.score = this.score;
     cloned.difficulty = this.difficulty;
+    cloned.blocked = this.blocked;
+    cloned.holdEnabled = this.holdEnabled;
+    cloned.held = this.held;
+    cloned.previewSets = this.previewSets;
+    cloned.upcoming = this.upcoming.map(set => [...set]);
+    cloned.fixedSets = this.fixedSets.map(set => [...set]);
+    cloned.combo = this.combo;
     cloned.movesSinceClear = this.movesSinceClear;
     cloned.gameOver = this.gameOver;
     cloned.totalMoves = this.totalMoves;
@@ -1,9 +1,11 @@
 import * as tf from '@tensorflow/tfjs';
+import { SeededRandom } from '../utils/random';
 
 export class DQNAgent {
   constructor(stateSize, actionSize, options = {}) {
     this.stateSize = stateSize;
     this.actionSize = actionSize;
+    this.random = new SeededRandom(options.seed); // Exploration is reproducible when a seed is given
     
     // PROGRESSIVE LEARNING HYPERPARAMETERS
     this.learningRate = options.learningRate || 0.001; // Higher for faster initial learning
@@ -101,6 +103,13 @@ export class DQNAgent {
     return model;
   }
 
+  /**
+   * SEED EXPLORATION - Same seed, same exploration choices
+   */
+  setSeed(seed) {
+    this.random = new SeededRandom(seed);
+  }
+
   /**
    * GUIDED EXPLORATION: Bias toward line-completing moves
    */
@@ -113,16 +122,16 @@ export class DQNAgent {
     }
     
     // Epsilon-greedy with guided exploration
-    if (Math.random() <= adaptiveEpsilon) {
+    if (this.random.next() <= adaptiveEpsilon) {
       // GUIDED EXPLORATION: Bias toward line-completing moves
-      if (this.guidedExploration && environment && Math.random() < this.guidedExplorationRate) {
+      if (this.guidedExploration && environment && this.random.next() < this.guidedExplorationRate) {
         return this.selectGuidedAction(validActions, environment);
       } else {
         // Random exploration
         if (validActions && validActions.length > 0) {
-          return validActions[Math.floor(Math.random() * validActions.length)];
+          return validActions[this.random.nextInt(validActions.length)];
         }
-        return Math.floor(Math.random() * this.actionSize);
+        return this.random.nextInt(this.actionSize);
       }
     }
     
@@ -143,9 +152,10 @@ export class DQNAgent {
     
     // Evaluate each action for line completion potential
     for (const action of validActions.slice(0, Math.min(10, validActions.length))) {
-      const { blockIndex, row, col } = environment.decodeAction(action);
+      const { blockIndex, row, col, hold } = environment.decodeAction(action);
       
-      if (blockIndex < environment.availableBlocks.length) {
+      // Holds don't fill any lines, so they're never the guided choice
+      if (!hold && blockIndex < environment.availableBlocks.length) {
         const block = environment.availableBlocks[blockIndex];
         const lineScore = this.evaluateLineCompletionPotential(block, row, col, environment);
         
@@ -386,20 +396,20 @@ export class DQNAgent {
     
     // Sample line clearing experiences
     for (let i = 0; i < lineClearingCount; i++) {
-      const randomIndex = Math.floor(Math.random() * lineClearingExperiences.length);
+      const randomIndex = this.random.nextInt(lineClearingExperiences.length);
       batch.push(lineClearingExperiences[randomIndex]);
     }
     
     // Fill remaining with other experiences
     const remainingCount = this.batchSize - lineClearingCount;
     for (let i = 0; i < remainingCount && otherExperiences.length > 0; i++) {
-      const randomIndex = Math.floor(Math.random() * otherExperiences.length);
+      const randomIndex = this.random.nextInt(otherExperiences.length);
       batch.push(otherExperiences[randomIndex]);
     }
     
     // If not enough experiences, fill with random samples
     while (batch.length < this.batchSize && this.memory.length > 0) {
-      const randomIndex = Math.floor(Math.random() * this.memory.length);
+      const randomIndex = this.random.nextInt(this.memory.length);
       batch.push(this.memory[randomIndex]);
     }
     
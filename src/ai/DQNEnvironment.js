@@ -1,13 +1,27 @@
 import * as tf from '@tensorflow/tfjs';
+import { applyMove, canPlaceBlock, checkGameOver, createBlockedGrid, getClearEvent, getHardModeCells, holdBlock, isBlockedCell } from '../utils/gameEngine';
+import { chooseAdversarialSet } from '../utils/adversarialGenerator';
+import { MAX_PREVIEW_SETS } from '../utils/gameLogic';
+import { getCurriculumProfile, pickPiece } from '../utils/pieces';
+import { SeededRandom } from '../utils/random';
 
 // DQN CONFIGURATION - Optimized for Learning
 
 const GRID_SIZE = 9; // FIXED: Always 9x9 for neural network consistency
 const MAX_BLOCKS = 3;
 const MAX_BLOCK_SIZE = 3; // 3x3 maximum block dimensions
+// Hold actions follow the 243 placement actions: HOLD_ACTION_BASE + blockIdx.
+// Placement ids (blockIdx * 1000 + row * 10 + col) never land on 243-245.
+const HOLD_ACTION_BASE = GRID_SIZE * GRID_SIZE * MAX_BLOCKS;
 
 export class DQNEnvironment {
-  constructor() {
+  constructor(options = {}) {
+    // Seeded so a training run can be reproduced from options.seed
+    this.random = new SeededRandom(options.seed);
+    this.blocked = null; // Obstacle cells loaded with setState(), kept across resets
+    this.holdEnabled = Boolean(options.holdAction); // Adds a hold action per tray piece and the held piece to the state
+    this.previewSets = Math.min(Math.max(options.previewSets || 0, 0), MAX_PREVIEW_SETS); // Upcoming sets encoded in the state
+    this.adversary = options.adversary || null; // { depth, randomness, ... }: deal the trays that hurt the board most
     this.reset();
     
     // FIXED CURRICULUM SYSTEM: 9x9 grid always, but progressive block complexity
@@ -21,6 +35,7 @@ export class DQNEnvironment {
       lineClearBase: 10000,      // Base reward for any line clear
       lineMultiplier: 5000,      // Additional reward per line cleared
       comboMultiplier: 15000,    // Massive bonus for multiple lines
+      comboStreakBonus: 5000,    // Per extra move in a clearing streak (the game's combo)
       
       // REALISTIC placement rewards (like actual game)
       placementReward: 10,       // Points per block cell placed (realistic)
@@ -39,6 +54,7 @@ export class DQNEnvironment {
       cornerUtilizationBonus: 25,    // Bonus for smart corner usage
       
       // Survival and game over
+      holdPenalty: -5,               // Small cost so holding isn't used to stall
       survivalBonus: 1,              // Tiny bonus per step alive
       gameOverPenalty: -5000         // Major penalty for ending game
     };
@@ -55,7 +71,12 @@ export class DQNEnvironment {
   reset() {
     // FIXED: Always use full 9x9 grid for neural network consistency
     this.grid = Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(false));
-    this.availableBlocks = this.generateCurriculumBlocks();
+    this.upcoming = [];
+    this.fixedSets = []; // Trays dealt as given before any are generated, see setState()
+    this.fixedSetsLeft = 0; // Fixed trays not dealt yet, the adversary leaves them alone
+    this.availableBlocks = this.dealNextTray();
+    this.held = null;
+    this.combo = 0;
     this.score = 0;
     this.difficulty = 'normal';
     this.movesSinceClear = 0;
@@ -70,110 +91,57 @@ export class DQNEnvironment {
   }
 
   /**
-   * FIXED CURRICULUM: Generate blocks with progressive complexity on 9x9 grid
+   * FIXED CURRICULUM: Generate blocks with progressive complexity on 9x9 grid.
+   * Each stage deals from its own piece distribution profile (see pieces.js).
    */
   generateCurriculumBlocks() {
     const blocks = [];
-    const blockShapes = this.getCurriculumBlockShapes(this.currentComplexity);
+    const profileId = getCurriculumProfile(this.currentComplexity);
     
     for (let i = 0; i < 3; i++) {
-      const randomIndex = Math.floor(Math.random() * blockShapes.length);
-      blocks.push(blockShapes[randomIndex]);
+      blocks.push(pickPiece(this.random, profileId).shape);
     }
     
     return blocks;
   }
 
   /**
-   * FIXED CURRICULUM: Block shapes with progressive complexity
+   * Next tray from the front of the upcoming queue. The queue is kept
+   * previewSets sets ahead so getState() can show them to the agent.
    */
-  getCurriculumBlockShapes(complexity) {
-    const shapes = [];
-    
-    // Level 0: Simple blocks (1x1, 2x1, 2x2)
-    shapes.push([[true]]); // Single cell
-    shapes.push([[true, true]]); // 2x1 horizontal
-    shapes.push([[true], [true]]); // 2x1 vertical
-    
-    if (complexity === 'simple') {
-      shapes.push([[true, true], [true, true]]); // 2x2 square
-      return shapes;
-    }
-    
-    // Level 1: Medium blocks (add 3x1, basic L-shapes)
-    shapes.push([[true, true], [true, true]]); // 2x2 square
-    shapes.push([[true, true, true]]); // 3x1 horizontal
-    shapes.push([[true], [true], [true]]); // 3x1 vertical
-    shapes.push([[true, true], [true, false]]); // Simple L-shape
-    shapes.push([[true, false], [true, true]]); // Simple L-shape variant
-    
-    if (complexity === 'medium') {
-      return shapes;
+  dealNextTray() {
+    while (this.upcoming.length <= this.previewSets) {
+      this.upcoming.push(this.fixedSets.length > 0 ? this.fixedSets.shift() : this.generateCurriculumBlocks());
     }
-    
-    // Level 2: Complex blocks (add T-shapes, more L-shapes)
-    shapes.push([[true, true, true], [false, true, false]]); // T-shape
-    shapes.push([[false, true], [true, true], [false, true]]); // T-shape rotated
-    shapes.push([[true, false], [true, false], [true, true]]); // L-shape
-    shapes.push([[true, true, true], [true, false, false]]); // L-shape
-    shapes.push([[true, true], [false, true], [false, true]]); // L-shape
-    shapes.push([[false, false, true], [true, true, true]]); // L-shape
-    
-    if (complexity === 'complex') {
-      return shapes;
-    }
-    
-    // Level 3: Full game blocks (all shapes from gameLogic)
-    return this.getAllBlockShapes();
+    const tray = this.upcoming.shift();
+    const fixed = this.fixedSetsLeft > 0;
+    this.fixedSetsLeft = Math.max(this.fixedSetsLeft - 1, 0);
+    if (!this.adversary || fixed) return tray;
+
+    // Adversarial benchmark: swap the tray for the worst of several candidates
+    return chooseAdversarialSet(this.grid, tray, {
+      ...this.adversary,
+      blocked: this.blocked,
+      random: this.random,
+      drawSet: () => this.generateCurriculumBlocks()
+    });
   }
 
   /**
-   * Get all block shapes for full complexity
+   * Restart the piece sequence from a seed. Call reset() afterwards for a fresh episode.
    */
-  getAllBlockShapes() {
-    return [
-      // Single cell
-      [[true]],
-      
-      // 2x1 blocks
-      [[true, true]],
-      [[true], [true]],
-      
-      // 3x1 blocks
-      [[true, true, true]],
-      [[true], [true], [true]],
-      
-      // L-shapes
-      [[true, false], [true, false], [true, true]],
-      [[true, true, true], [true, false, false]],
-      [[true, true], [false, true], [false, true]],
-      [[false, false, true], [true, true, true]],
-      
-      // T-shapes
-      [[true, true, true], [false, true, false]],
-      [[false, true], [true, true], [false, true]],
-      [[false, true, false], [true, true, true]],
-      [[true, false], [true, true], [true, false]],
-      
-      // Squares
-      [[true, true], [true, true]],
-      
-      // Z-shapes
-      [[true, true, false], [false, true, true]],
-      [[false, true], [true, true], [true, false]],
-      
-      // Plus shape
-      [[false, true, false], [true, true, true], [false, true, false]],
-      
-      // Corner shapes
-      [[true, false, false], [true, false, false], [true, true, true]],
-      [[true, true, true], [true, false, false], [true, false, false]],
-      [[true, true, true], [false, false, true], [false, false, true]],
-      [[false, false, true], [false, false, true], [true, true, true]],
-    ];
+  setSeed(seed) {
+    this.random = new SeededRandom(seed);
+    return this.random.seed;
   }
 
-  setState(grid, availableBlocks, score, difficulty = 'normal') {
+  /**
+   * Load a position, e.g. a saved level. blockedCells is a list of [row, col]
+   * obstacle cells; hard mode blocks the center when none are given.
+   * fixedSets are trays dealt, in order, before generated ones (a level's
+   * fixed piece sequence); the first one is dealt now if availableBlocks is null.
+   */
+  setState(grid, availableBlocks, score, difficulty = 'normal', blockedCells = difficulty === 'hard' ? getHardModeCells(grid.length) : [], fixedSets = []) {
     // FIXED: Always use full 9x9 grid, pad if necessary
     this.grid = Array(GRID_SIZE).fill(null).map((_, row) => 
       Array(GRID_SIZE).fill(null).map((_, col) => {
@@ -184,8 +152,16 @@ export class DQNEnvironment {
       })
     );
     
-    // Use curriculum-appropriate blocks
-    this.availableBlocks = this.generateCurriculumBlocks();
+    // Use the given blocks, or curriculum-appropriate ones
+    // Dealing also fills the preview queue; a given tray replaces the dealt one
+    this.blocked = createBlockedGrid(GRID_SIZE, blockedCells);
+    this.upcoming = [];
+    this.fixedSets = fixedSets.map(set => [...set]);
+    this.fixedSetsLeft = fixedSets.length;
+    const dealtTray = this.dealNextTray();
+    this.availableBlocks = availableBlocks || dealtTray;
+    this.held = null;
+    this.combo = 0;
     this.score = score;
     this.difficulty = difficulty;
     this.gameOver = this.checkGameOver();
@@ -201,7 +177,7 @@ export class DQNEnvironment {
     const gridState = [];
     for (let i = 0; i < GRID_SIZE; i++) {
       for (let j = 0; j < GRID_SIZE; j++) {
-        gridState.push(this.grid[i][j] ? 1 : 0);
+        gridState.push(this.grid[i][j] || isBlockedCell(this.blocked, i, j) ? 1 : 0); // Obstacles read as filled
       }
     }
     
@@ -236,11 +212,17 @@ export class DQNEnvironment {
       }
     }
     
-    // 3. Block encoding (unchanged)
+    // 3. Block encoding (unchanged), followed by the held block when holding is
+    // enabled and the previewed sets (3 blocks each) when previewSets > 0
+    const encodedBlocks = Array.from({ length: MAX_BLOCKS }, (_, i) => this.availableBlocks[i]);
+    if (this.holdEnabled) encodedBlocks.push(this.held);
+    for (let set = 0; set < this.previewSets; set++) {
+      for (let i = 0; i < MAX_BLOCKS; i++) encodedBlocks.push(this.upcoming[set]?.[i]);
+    }
+    
     const blockState = [];
-    for (let i = 0; i < MAX_BLOCKS; i++) {
-      if (i < this.availableBlocks.length) {
-        const block = this.availableBlocks[i];
+    for (const block of encodedBlocks) {
+      if (block) {
         for (let r = 0; r < MAX_BLOCK_SIZE; r++) {
           for (let c = 0; c < MAX_BLOCK_SIZE; c++) {
             if (r < block.length && c < block[r].length) {
@@ -270,67 +252,6 @@ export class DQNEnvironment {
     return tf.tensor1d(fullState);
   }
 
-  /**
-   * FIXED LINE COUNTING: Always for 9x9 grid
-   */
-  countLinesCleared(oldGrid, newGrid) {
-    let linesCleared = 0;
-    
-    // Count cleared rows
-    for (let row = 0; row < GRID_SIZE; row++) {
-      let wasComplete = true;
-      let nowEmpty = true;
-      
-      for (let col = 0; col < GRID_SIZE; col++) {
-        if (!oldGrid[row][col]) wasComplete = false;
-        if (newGrid[row][col]) nowEmpty = false;
-      }
-      
-      if (wasComplete && nowEmpty) {
-        linesCleared++;
-        console.log(`✅ Row ${row} cleared!`);
-      }
-    }
-    
-    // Count cleared columns
-    for (let col = 0; col < GRID_SIZE; col++) {
-      let wasComplete = true;
-      let nowEmpty = true;
-      
-      for (let row = 0; row < GRID_SIZE; row++) {
-        if (!oldGrid[row][col]) wasComplete = false;
-        if (newGrid[row][col]) nowEmpty = false;
-      }
-      
-      if (wasComplete && nowEmpty) {
-        linesCleared++;
-        console.log(`✅ Column ${col} cleared!`);
-      }
-    }
-    
-    // Count cleared 3x3 squares
-    for (let sq_row = 0; sq_row < 3; sq_row++) {
-      for (let sq_col = 0; sq_col < 3; sq_col++) {
-        let wasComplete = true;
-        let nowEmpty = true;
-        
-        for (let r = sq_row * 3; r < (sq_row + 1) * 3; r++) {
-          for (let c = sq_col * 3; c < (sq_col + 1) * 3; c++) {
-            if (!oldGrid[r][c]) wasComplete = false;
-            if (newGrid[r][c]) nowEmpty = false;
-          }
-        }
-        
-        if (wasComplete && nowEmpty) {
-          linesCleared++;
-          console.log(`✅ Square (${sq_row}, ${sq_col}) cleared!`);
-        }
-      }
-    }
-    
-    return linesCleared;
-  }
-
   /**
    * FIXED ACTION SPACE: Always for 9x9 grid
    */
@@ -356,6 +277,12 @@ export class DQNEnvironment {
       }
     }
     
+    if (this.holdEnabled) {
+      for (let blockIdx = 0; blockIdx < this.availableBlocks.length; blockIdx++) {
+        validActions.push(HOLD_ACTION_BASE + blockIdx);
+      }
+    }
+    
     return validActions;
   }
 
@@ -363,168 +290,75 @@ export class DQNEnvironment {
    * FIXED: Block placement for 9x9 grid
    */
   canPlaceBlockAtPosition(blockShape, startRow, startCol) {
-    for (let row = 0; row < blockShape.length; row++) {
-      for (let col = 0; col < blockShape[row].length; col++) {
-        if (blockShape[row][col]) {
-          const gridRow = startRow + row;
-          const gridCol = startCol + col;
-          
-          if (gridRow < 0 || gridRow >= GRID_SIZE || gridCol < 0 || gridCol >= GRID_SIZE) {
-            return false;
-          }
-          
-          if (this.grid[gridRow][gridCol]) {
-            return false;
-          }
-        }
-      }
-    }
-    
-    return true;
+    return canPlaceBlock(this.grid, blockShape, startRow, startCol, this.blocked);
   }
 
   /**
    * FIXED: Check game over for 9x9 grid
    */
   checkGameOver() {
-    for (const block of this.availableBlocks) {
-      for (let row = 0; row <= GRID_SIZE - block.length; row++) {
-        for (let col = 0; col <= GRID_SIZE - Math.max(...block.map(r => r.length)); col++) {
-          if (this.canPlaceBlockAtPosition(block, row, col)) {
-            return false; // Game can continue
-          }
-        }
-      }
-    }
-    
-    return true; // Game over
+    return checkGameOver(this.grid, this.availableBlocks, this.blocked, this.held);
   }
 
   /**
-   * FIXED: Line clearing for 9x9 grid
+   * Place a block through the shared game engine and return how many lines it cleared
    */
-  clearCompletedLines(newGrid) {
-    let totalCleared = 0;
-    const gridCopy = newGrid.map(row => [...row]);
-    
-    // Clear completed rows
-    for (let row = 0; row < GRID_SIZE; row++) {
-      let isComplete = true;
-      for (let col = 0; col < GRID_SIZE; col++) {
-        if (!gridCopy[row][col]) {
-          isComplete = false;
-          break;
-        }
-      }
-      
-      if (isComplete) {
-        totalCleared++;
-        for (let col = 0; col < GRID_SIZE; col++) {
-          gridCopy[row][col] = false;
-        }
-      }
-    }
-    
-    // Clear completed columns
-    for (let col = 0; col < GRID_SIZE; col++) {
-      let isComplete = true;
-      for (let row = 0; row < GRID_SIZE; row++) {
-        if (!gridCopy[row][col]) {
-          isComplete = false;
-          break;
-        }
-      }
-      
-      if (isComplete) {
-        totalCleared++;
-        for (let row = 0; row < GRID_SIZE; row++) {
-          gridCopy[row][col] = false;
-        }
-      }
-    }
-    
-    // Clear completed 3x3 squares
-    for (let sq_row = 0; sq_row < 3; sq_row++) {
-      for (let sq_col = 0; sq_col < 3; sq_col++) {
-        let isComplete = true;
-        
-        for (let r = sq_row * 3; r < (sq_row + 1) * 3; r++) {
-          for (let c = sq_col * 3; c < (sq_col + 1) * 3; c++) {
-            if (!gridCopy[r][c]) {
-              isComplete = false;
-              break;
-            }
-          }
-          if (!isComplete) break;
-        }
-        
-        if (isComplete) {
-          totalCleared++;
-          for (let r = sq_row * 3; r < (sq_row + 1) * 3; r++) {
-            for (let c = sq_col * 3; c < (sq_col + 1) * 3; c++) {
-              gridCopy[r][c] = false;
-            }
-          }
-        }
-      }
-    }
-    
-    // Score calculation
-    if (totalCleared > 0) {
-      const basePoints = 100;
-      let points = totalCleared * basePoints;
-      
-      if (totalCleared > 1) {
-        points += Math.pow(totalCleared, 2) * 50;
-      }
-      
-      this.score += points;
-      this.movesSinceClear = 0;
-    } else {
-      this.movesSinceClear++;
-    }
-    
-    return gridCopy;
-  }
-
   placeBlock(blockShape, startRow, startCol, blockIndex) {
-    // Place the block on 9x9 grid
-    for (let row = 0; row < blockShape.length; row++) {
-      for (let col = 0; col < blockShape[row].length; col++) {
-        if (blockShape[row][col]) {
-          const gridRow = startRow + row;
-          const gridCol = startCol + col;
-          
-          if (gridRow >= 0 && gridRow < GRID_SIZE && gridCol >= 0 && gridCol < GRID_SIZE) {
-            this.grid[gridRow][gridCol] = true;
-          }
-        }
-      }
-    }
-    
-    // Remove the used block
-    this.availableBlocks.splice(blockIndex, 1);
-    
-    // Clear completed lines
-    this.grid = this.clearCompletedLines(this.grid);
+    const { state, events } = applyMove({
+      grid: this.grid,
+      availableBlocks: this.availableBlocks,
+      score: this.score,
+      difficulty: this.difficulty,
+      blocked: this.blocked,
+      held: this.held,
+      combo: this.combo
+    }, { blockIndex, row: startRow, col: startCol });
+    const clearEvent = getClearEvent(events);
+
+    this.grid = state.grid;
+    this.score = state.score;
+    this.combo = state.combo;
+    this.movesSinceClear = clearEvent ? 0 : this.movesSinceClear + 1;
     
     // Check if we need new blocks
-    if (this.availableBlocks.length === 0) {
-      this.availableBlocks = this.generateCurriculumBlocks();
-    }
+    this.availableBlocks = state.availableBlocks.length === 0
+      ? this.dealNextTray()
+      : state.availableBlocks;
     
     // Check game over
     this.gameOver = this.checkGameOver();
     this.totalMoves++;
+    
+    return clearEvent ? clearEvent.total : 0;
+  }
+
+  /**
+   * Put a tray block in the hold slot (swapping out the held one) through the shared game engine
+   */
+  holdPiece(blockIndex) {
+    const { state } = holdBlock({
+      grid: this.grid,
+      availableBlocks: this.availableBlocks,
+      held: this.held,
+      blocked: this.blocked
+    }, blockIndex);
+
+    this.held = state.held;
+    this.availableBlocks = state.availableBlocks.length === 0
+      ? this.dealNextTray()
+      : state.availableBlocks;
+    this.gameOver = this.checkGameOver();
   }
 
   getStateSize() {
     // FIXED: Grid (81) + line features (27) + block features (27) + meta features (4) = 139
-    return 81 + 27 + 27 + 4; // 139 total
+    // Holding adds the held block (9), every previewed set adds 27
+    return 81 + 27 + 27 + 4 + (this.holdEnabled ? 9 : 0) + this.previewSets * 27;
   }
 
   getMaxActionSpace() {
-    return 3 * 9 * 9; // 243 max actions for 9x9 grid
+    // 243 max actions for 9x9 grid, plus one hold action per tray block
+    return HOLD_ACTION_BASE + (this.holdEnabled ? MAX_BLOCKS : 0);
   }
 
   getActionSpace() {
@@ -571,9 +405,8 @@ export class DQNEnvironment {
   /**
    * CREATIVE PENALTY-BASED REWARD SYSTEM
    */
-  calculateReward(oldGrid, oldScore, blockSize) {
-    // 1. COUNT ACTUAL LINES CLEARED (keep massive rewards)
-    const linesCleared = this.countLinesCleared(oldGrid, this.grid);
+  calculateReward(linesCleared, blockSize) {
+    // 1. LINES CLEARED BY THE MOVE (keep massive rewards)
     let totalReward = 0;
     
     // Track line clears for curriculum
@@ -584,10 +417,12 @@ export class DQNEnvironment {
       const baseReward = this.rewardConfig.lineClearBase;
       const lineReward = linesCleared * this.rewardConfig.lineMultiplier;
       const comboReward = linesCleared > 1 ? Math.pow(linesCleared, 2) * this.rewardConfig.comboMultiplier : 0;
+      // Clearing on consecutive moves builds the same combo streak players get
+      const streakReward = (this.combo - 1) * this.rewardConfig.comboStreakBonus;
       
-      totalReward = baseReward + lineReward + comboReward;
+      totalReward = baseReward + lineReward + comboReward + streakReward;
       
-      console.log(`🎯 MASSIVE LINE CLEAR REWARD! Lines: ${linesCleared}, Base: ${baseReward}, Line: ${lineReward}, Combo: ${comboReward}, Total: ${totalReward}`);
+      console.log(`🎯 MASSIVE LINE CLEAR REWARD! Lines: ${linesCleared}, Base: ${baseReward}, Line: ${lineReward}, Combo: ${comboReward}, Streak: ${this.combo}, Total: ${totalReward}`);
     }
     
     // 3. REALISTIC PLACEMENT REWARD (like actual game)
@@ -870,12 +705,14 @@ export class DQNEnvironment {
 
   // Essential compatibility methods
   isBlockedCell(row, col) {
-    return this.difficulty === 'hard' && 
-           row >= 3 && row <= 5 && 
-           col >= 3 && col <= 5;
+    return isBlockedCell(this.blocked, row, col);
   }
 
   decodeAction(actionId) {
+    if (this.holdEnabled && actionId >= HOLD_ACTION_BASE && actionId < HOLD_ACTION_BASE + MAX_BLOCKS) {
+      return { blockIndex: actionId - HOLD_ACTION_BASE, row: -1, col: -1, hold: true };
+    }
+
     const blockIndex = Math.floor(actionId / 1000);
     const remainder = actionId % 1000;
     const row = Math.floor(remainder / 10);
@@ -885,7 +722,7 @@ export class DQNEnvironment {
   }
 
   step(actionId) {
-    const { blockIndex, row, col } = this.decodeAction(actionId);
+    const { blockIndex, row, col, hold } = this.decodeAction(actionId);
     
     if (blockIndex >= this.availableBlocks.length) {
       return {
@@ -895,14 +732,21 @@ export class DQNEnvironment {
       };
     }
     
+    if (hold && this.holdEnabled) {
+      this.holdPiece(blockIndex);
+      return {
+        state: this.getState(),
+        reward: this.gameOver ? this.rewardConfig.gameOverPenalty : this.rewardConfig.holdPenalty,
+        done: this.gameOver
+      };
+    }
+    
     const blockShape = this.availableBlocks[blockIndex];
-    const oldGrid = this.grid.map(row => [...row]);
-    const oldScore = this.score;
     
     if (this.canPlaceBlockAtPosition(blockShape, row, col)) {
-      this.placeBlock(blockShape, row, col, blockIndex);
+      const linesCleared = this.placeBlock(blockShape, row, col, blockIndex);
       
-      const reward = this.calculateReward(oldGrid, oldScore, this.getBlockSize(blockShape));
+      const reward = this.calculateReward(linesCleared, this.getBlockSize(blockShape));
       const newState = this.getState();
       
       return {
@@ -924,6 +768,7 @@ export class DQNEnvironment {
    */
   clone() {
     const cloned = new DQNEnvironment();
+    cloned.random = this.random.clone();
     
     // Copy state
     cloned.grid = this.grid.map(row => [...row]);
@@ -932,6 +777,15 @@ export class DQNEnvironment {
     );
     cloned.score = this.score;
     cloned.difficulty = this.difficulty;
+    cloned.blocked = this.blocked;
+    cloned.holdEnabled = this.holdEnabled;
+    cloned.held = this.held;
+    cloned.previewSets = this.previewSets;
+    cloned.adversary = this.adversary;
+    cloned.upcoming = this.upcoming.map(set => [...set]);
+    cloned.fixedSets = this.fixedSets.map(set => [...set]);
+    cloned.fixedSetsLeft = this.fixedSetsLeft;
+    cloned.combo = this.combo;
     cloned.movesSinceClear = this.movesSinceClear;
     cloned.gameOver = this.gameOver;
     cloned.totalMoves = this.totalMoves;
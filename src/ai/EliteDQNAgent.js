@@ -1,4 +1,5 @@
 import * as tf from '@tensorflow/tfjs';
+import { SeededRandom } from '../utils/random';
 
 /**
  * ELITE DQN AGENT - State-of-the-Art Implementation
@@ -15,6 +16,7 @@ export class EliteDQNAgent {
   constructor(stateSize, actionSize, options = {}) {
     this.stateSize = stateSize; // Fixed: Use actual environment state size (139)
     this.actionSize = actionSize;
+    this.random = new SeededRandom(options.seed);
     
     // ELITE HYPERPARAMETERS - Optimized for Wood Block Puzzle
     this.learningRate = options.learningRate || 0.0003; // Lower for stability
@@ -143,6 +145,13 @@ export class EliteDQNAgent {
     return model;
   }
 
+  /**
+   * SEED EXPLORATION - Same seed, same exploration choices
+   */
+  setSeed(seed) {
+    this.random = new SeededRandom(seed);
+  }
+
   /**
    * ELITE ACTION SELECTION with Advanced Exploration
    */
@@ -150,18 +159,18 @@ export class EliteDQNAgent {
     // Multi-layered exploration strategy
     
     // 1. Noisy network exploration (if enabled)
-    if (this.noiseNet && Math.random() < 0.1) {
+    if (this.noiseNet && this.random.next() < 0.1) {
       return this.selectNoisyAction(validActions);
     }
     
     // 2. Epsilon-greedy with adaptive epsilon
     let adaptiveEpsilon = this.getAdaptiveEpsilon(environment);
     
-    if (Math.random() <= adaptiveEpsilon) {
+    if (this.random.next() <= adaptiveEpsilon) {
       // 3. Intelligent exploration strategies
-      if (environment && Math.random() < this.lineCompletionBias) {
+      if (environment && this.random.next() < this.lineCompletionBias) {
         return this.selectStrategicAction(validActions, environment);
-      } else if (this.curiosityDriven && Math.random() < 0.3) {
+      } else if (this.curiosityDriven && this.random.next() < 0.3) {
         return this.selectCuriosityDrivenAction(validActions, environment);
       } else {
         // Random exploration
@@ -224,8 +233,8 @@ export class EliteDQNAgent {
    * Comprehensive action strategy evaluation
    */
   evaluateActionStrategy(action, environment) {
-    const { blockIndex, row, col } = environment.decodeAction(action);
-    if (blockIndex >= environment.availableBlocks.length) return -1000;
+    const { blockIndex, row, col, hold } = environment.decodeAction(action);
+    if (hold || blockIndex >= environment.availableBlocks.length) return -1000;
     
     const block = environment.availableBlocks[blockIndex];
     let score = 0;
@@ -604,7 +613,7 @@ export class EliteDQNAgent {
     
     // Sample experiences
     for (let i = 0; i < this.batchSize; i++) {
-      const rand = Math.random() * probSum;
+      const rand = this.random.next() * probSum;
       let cumsum = 0;
       let idx = 0;
       
@@ -909,9 +918,9 @@ export class EliteDQNAgent {
 
   selectRandomAction(validActions) {
     if (!validActions || validActions.length === 0) {
-      return Math.floor(Math.random() * this.actionSize);
+      return this.random.nextInt(this.actionSize);
     }
-    return validActions[Math.floor(Math.random() * validActions.length)];
+    return validActions[this.random.nextInt(validActions.length)];
   }
 
   selectNoisyAction(validActions) {
@@ -927,7 +936,7 @@ export class EliteDQNAgent {
   }
 
   sampleFromProbabilities(actions, probabilities) {
-    const rand = Math.random();
+    const rand = this.random.next();
     let cumsum = 0;
     
     for (let i = 0; i < probabilities.length; i++) {
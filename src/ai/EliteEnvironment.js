@@ -1,11 +1,17 @@
 import * as tf from '@tensorflow/tfjs';
-import { canPlaceBlock, checkGameOver, generateRandomBlocks, getBlockSize } from '../utils/gameLogic';
+import { applyMove, canPlaceBlock, checkGameOver, createBlockedGrid, getBlockSize, getClearEvent, getHardModeCells, holdBlock, isBlockedCell } from '../utils/gameEngine';
+import { chooseAdversarialSet } from '../utils/adversarialGenerator';
+import { MAX_PREVIEW_SETS } from '../utils/gameLogic';
+import { getPieceId, pickPiece } from '../utils/pieces';
+import { SeededRandom } from '../utils/random';
 
 const GRID_SIZE = 9; // 9x9 grid for consistency
 const MAX_BLOCKS = 3;
 const MAX_BLOCK_SIZE = 3;
 // ELITE STATE SIZE: 81 (grid) + 27 (line completion) + 27 (blocks) + 4 (meta) = 139 features
 const ELITE_STATE_SIZE = 139;
+// Hold actions follow the 243 placement actions: HOLD_ACTION_BASE + blockIndex
+const HOLD_ACTION_BASE = GRID_SIZE * GRID_SIZE * MAX_BLOCKS;
 
 /**
  * ELITE ENVIRONMENT - MAXIMUM PERFORMANCE WOOD BLOCK PUZZLE AI
@@ -20,7 +26,13 @@ const ELITE_STATE_SIZE = 139;
  * - Comprehensive performance analytics
  */
 export class EliteEnvironment {
-  constructor() {
+  constructor(options = {}) {
+    // Seeded so a training run can be reproduced from options.seed
+    this.random = new SeededRandom(options.seed);
+    this.blocked = null; // Obstacle cells loaded with setState(), kept across resets
+    this.holdEnabled = Boolean(options.holdAction); // Hold actions + 9 held-block features
+    this.previewSets = Math.min(Math.max(options.previewSets || 0, 0), MAX_PREVIEW_SETS); // + 27 features per previewed set
+    this.adversary = options.adversary || null; // Adversarial tray selection ({ depth, randomness, ... }), off by default
     this.reset();
     
     // ELITE REWARD SYSTEM - MAXIMUM PERFORMANCE FOCUS
@@ -56,6 +68,7 @@ export class EliteEnvironment {
       // SURVIVAL AND PROGRESSION
       survivalBonus: 2,            // Small bonus per step
       gameOverPenalty: -8000,      // Heavy penalty for game over
+      holdPenalty: -10,            // Holding a block only delays placing it
       longevityBonus: 5,           // Bonus for long survival
       
       // ELITE PERFORMANCE MULTIPLIERS
@@ -71,7 +84,8 @@ export class EliteEnvironment {
       perfectMoves: 0,
       wastedMoves: 0,
       spatialEfficiency: 0,
-      strategicValue: 0
+      strategicValue: 0,
+      piecesPlaced: {} // Placements per catalog piece id
     };
     
     // CURRICULUM SYSTEM
@@ -80,13 +94,18 @@ export class EliteEnvironment {
     this.currentComplexity = this.blockComplexityLevels[this.curriculumLevel];
     
     console.log('🏆 ELITE ENVIRONMENT INITIALIZED - MAXIMUM PERFORMANCE MODE');
-    console.log(`📊 Enhanced State Size: ${ELITE_STATE_SIZE} features`);
+    console.log(`📊 Enhanced State Size: ${this.getStateSize()} features`);
     console.log(`💎 Reward System: Advanced spatial intelligence + massive line rewards`);
   }
 
   reset() {
     this.grid = Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(false));
-    this.availableBlocks = this.generateEliteBlocks();
+    this.upcoming = [];
+    this.fixedSets = []; // Trays dealt as given before any are generated, see setState()
+    this.fixedSetsLeft = 0; // Fixed trays not dealt yet, the adversary leaves them alone
+    this.availableBlocks = this.dealNextTray();
+    this.held = null;
+    this.combo = 0;
     this.score = 0;
     this.difficulty = 'elite';
     this.movesSinceClear = 0;
@@ -103,7 +122,8 @@ export class EliteEnvironment {
       perfectMoves: 0,
       wastedMoves: 0,
       spatialEfficiency: 0,
-      strategicValue: 0
+      strategicValue: 0,
+      piecesPlaced: {} // Placements per catalog piece id
     };
     
     // Track line completion states for chain detection
@@ -116,70 +136,41 @@ export class EliteEnvironment {
    * ELITE BLOCK GENERATION with sophisticated variety
    */
   generateEliteBlocks() {
-    const blocks = [];
-    const allShapes = this.getEliteBlockShapes();
-    
-    // Ensure variety in block selection for strategic depth
-    const selectedShapes = [];
+    // Ensure variety in block selection for strategic depth: no piece twice in a tray
+    const selectedPieces = [];
     for (let i = 0; i < 3; i++) {
-      let shape;
+      let piece;
       let attempts = 0;
       do {
-        shape = allShapes[Math.floor(Math.random() * allShapes.length)];
+        piece = pickPiece(this.random);
         attempts++;
-      } while (selectedShapes.some(s => this.areShapesSimilar(s, shape)) && attempts < 10);
+      } while (selectedPieces.some(selected => selected.id === piece.id) && attempts < 10);
       
-      selectedShapes.push(shape);
-      blocks.push(shape);
+      selectedPieces.push(piece);
     }
     
-    return blocks;
+    return selectedPieces.map(piece => piece.shape);
   }
 
   /**
-   * ELITE BLOCK SHAPES with strategic variety
+   * Deal from the upcoming queue, which runs previewSets trays ahead
    */
-  getEliteBlockShapes() {
-    const shapes = [
-      // Single cells - highest utility
-      [[true]],
-      
-      // Straight pieces - line completion focused
-      [[true, true]],
-      [[true], [true]],
-      [[true, true, true]],
-      [[true], [true], [true]],
-      
-      // L-shapes - corner utilization
-      [[true, false], [true, false], [true, true]],
-      [[true, true, true], [true, false, false]],
-      [[true, true], [false, true], [false, true]],
-      [[false, false, true], [true, true, true]],
-      
-      // T-shapes - versatile placement
-      [[true, true, true], [false, true, false]],
-      [[false, true], [true, true], [false, true]],
-      [[false, true, false], [true, true, true]],
-      [[true, false], [true, true], [true, false]],
-      
-      // Squares - stable foundations
-      [[true, true], [true, true]],
-      
-      // Z-shapes - gap filling
-      [[true, true, false], [false, true, true]],
-      [[false, true], [true, true], [true, false]],
-      
-      // Plus shape - central positioning
-      [[false, true, false], [true, true, true], [false, true, false]],
-      
-      // Corner shapes - edge optimization
-      [[true, false, false], [true, false, false], [true, true, true]],
-      [[true, true, true], [true, false, false], [true, false, false]],
-      [[true, true, true], [false, false, true], [false, false, true]],
-      [[false, false, true], [false, false, true], [true, true, true]]
-    ];
-    
-    return shapes;
+  dealNextTray() {
+    while (this.upcoming.length <= this.previewSets) {
+      this.upcoming.push(this.fixedSets.length > 0 ? this.fixedSets.shift() : this.generateEliteBlocks());
+    }
+    const tray = this.upcoming.shift();
+    const fixed = this.fixedSetsLeft > 0;
+    this.fixedSetsLeft = Math.max(this.fixedSetsLeft - 1, 0);
+    if (!this.adversary || fixed) return tray;
+
+    // Harder benchmark: an adversary deals the worst of several candidate trays
+    return chooseAdversarialSet(this.grid, tray, {
+      ...this.adversary,
+      blocked: this.blocked,
+      random: this.random,
+      drawSet: () => this.generateEliteBlocks()
+    });
   }
 
   /**
@@ -197,7 +188,7 @@ export class EliteEnvironment {
     // 1. GRID STATE (81 features) - Basic grid representation
     for (let row = 0; row < GRID_SIZE; row++) {
       for (let col = 0; col < GRID_SIZE; col++) {
-        state.push(this.grid[row][col] ? 1 : 0);
+        state.push(this.grid[row][col] || isBlockedCell(this.blocked, row, col) ? 1 : 0);
       }
     }
     
@@ -227,10 +218,17 @@ export class EliteEnvironment {
     state.push(lineAnalysis.edgeUtilization); // Edge usage efficiency
     state.push(lineAnalysis.deadSpaceRatio); // Ratio of dead/wasted space
     
-    // 3. AVAILABLE BLOCKS ANALYSIS (27 features) - 3 blocks × 9 features each
-    for (let i = 0; i < 3; i++) {
-      if (i < this.availableBlocks.length) {
-        const blockFeatures = this.analyzeBlockFeatures(this.availableBlocks[i]);
+    // 3. AVAILABLE BLOCKS ANALYSIS (27 features) - 3 blocks × 9 features each,
+    // plus the held block (9 more) when holding is enabled and 27 more per
+    // previewed set
+    const analyzedBlocks = [0, 1, 2].map(i => this.availableBlocks[i]);
+    if (this.holdEnabled) analyzedBlocks.push(this.held);
+    for (let set = 0; set < this.previewSets; set++) {
+      analyzedBlocks.push(...[0, 1, 2].map(i => this.upcoming[set]?.[i]));
+    }
+    for (const block of analyzedBlocks) {
+      if (block) {
+        const blockFeatures = this.analyzeBlockFeatures(block);
         state.push(blockFeatures.size / 9); // Normalized block size
         state.push(blockFeatures.width / 3); // Normalized width
         state.push(blockFeatures.height / 3); // Normalized height
@@ -252,12 +250,13 @@ export class EliteEnvironment {
     state.push(this.curriculumLevel / 3); // Normalized curriculum level
     state.push(this.movesSinceClear / 20); // Normalized moves since last clear
     
-    // Ensure exactly 139 features
-    if (state.length !== ELITE_STATE_SIZE) {
-      console.error(`⚠️ ELITE STATE SIZE MISMATCH: Expected ${ELITE_STATE_SIZE}, got ${state.length}`);
+    // Ensure exactly 139 features (148 with holding)
+    const stateSize = this.getStateSize();
+    if (state.length !== stateSize) {
+      console.error(`⚠️ ELITE STATE SIZE MISMATCH: Expected ${stateSize}, got ${state.length}`);
       // Pad or trim to ensure consistency
-      while (state.length < ELITE_STATE_SIZE) state.push(0);
-      if (state.length > ELITE_STATE_SIZE) state.splice(ELITE_STATE_SIZE);
+      while (state.length < stateSize) state.push(0);
+      if (state.length > stateSize) state.splice(stateSize);
     }
     
     return tf.tensor1d(state);
@@ -267,6 +266,10 @@ export class EliteEnvironment {
    * DECODE ACTION for Elite DQN compatibility
    */
   decodeAction(actionId) {
+    if (this.holdEnabled && actionId >= HOLD_ACTION_BASE) {
+      return { blockIndex: actionId - HOLD_ACTION_BASE, row: -1, col: -1, hold: true };
+    }
+
     const blockIndex = Math.floor(actionId / 81);
     const remainder = actionId % 81;
     const row = Math.floor(remainder / 9);
@@ -494,18 +497,6 @@ export class EliteEnvironment {
   /**
    * HELPER METHODS
    */
-  areShapesSimilar(shape1, shape2) {
-    if (shape1.length !== shape2.length) return false;
-    if (shape1[0].length !== shape2[0].length) return false;
-    
-    for (let i = 0; i < shape1.length; i++) {
-      for (let j = 0; j < shape1[i].length; j++) {
-        if (shape1[i][j] !== shape2[i][j]) return false;
-      }
-    }
-    return true;
-  }
-
   isLShaped(block) {
     // Simple L-shape detection - calculate features directly
     let filledCells = 0;
@@ -623,8 +614,7 @@ export class EliteEnvironment {
   /**
    * ELITE REWARD CALCULATION - MAXIMUM PERFORMANCE FOCUS
    */
-  calculateEliteReward(oldGrid, oldScore, blockSize, action) {
-    const linesCleared = this.countLinesCleared(oldGrid, this.grid);
+  calculateEliteReward(linesCleared, blockSize) {
     let totalReward = 0;
     
     // Track performance metrics
@@ -641,13 +631,10 @@ export class EliteEnvironment {
       else if (linesCleared === 3) comboReward = this.rewardConfig.comboMultiplier * 1.0;
       else if (linesCleared >= 4) comboReward = this.rewardConfig.comboMultiplier * 2.0;
       
-      // CHAIN BONUSES for sequential clears
-      if (this.performanceMetrics.currentChainLength > 0) {
-        comboReward += this.rewardConfig.chainExecutionBonus * this.performanceMetrics.currentChainLength;
-        this.performanceMetrics.currentChainLength++;
-      } else {
-        this.performanceMetrics.currentChainLength = 1;
-      }
+      // CHAIN BONUSES for sequential clears - the chain is the game engine's combo streak
+      comboReward += this.rewardConfig.chainExecutionBonus * (this.combo - 1);
+      this.performanceMetrics.currentChainLength = this.combo;
+      this.performanceMetrics.maxChainLength = Math.max(this.performanceMetrics.maxChainLength, this.combo);
       
       totalReward = baseReward + lineReward + comboReward;
       
@@ -656,7 +643,7 @@ export class EliteEnvironment {
       
       console.log(`🏆 ELITE LINE CLEAR! Lines: ${linesCleared}, Chain: ${this.performanceMetrics.currentChainLength}, Total: ${totalReward}`);
     } else {
-      // Reset chain if no lines cleared
+      // The engine reset the combo, so the chain is broken
       this.performanceMetrics.currentChainLength = 0;
     }
     
@@ -796,11 +783,12 @@ export class EliteEnvironment {
    * GAME STATE MANAGEMENT
    */
   getStateSize() {
-    return ELITE_STATE_SIZE;
+    return ELITE_STATE_SIZE + (this.holdEnabled ? 9 : 0) + this.previewSets * 27;
   }
 
   getMaxActionSpace() {
-    return GRID_SIZE * GRID_SIZE * MAX_BLOCKS; // 243 possible actions
+    // 243 possible placements, plus a hold action per tray block
+    return HOLD_ACTION_BASE + (this.holdEnabled ? MAX_BLOCKS : 0);
   }
 
   getValidActions() {
@@ -819,49 +807,24 @@ export class EliteEnvironment {
       }
     }
     
+    if (this.holdEnabled) {
+      for (let blockIndex = 0; blockIndex < this.availableBlocks.length; blockIndex++) {
+        validActions.push(HOLD_ACTION_BASE + blockIndex);
+      }
+    }
+    
     return validActions;
   }
 
   canPlaceBlockAtPosition(blockShape, startRow, startCol) {
-    for (let row = 0; row < blockShape.length; row++) {
-      for (let col = 0; col < blockShape[row].length; col++) {
-        if (blockShape[row][col]) {
-          const gridRow = startRow + row;
-          const gridCol = startCol + col;
-          
-          if (gridRow >= GRID_SIZE || gridCol >= GRID_SIZE || this.grid[gridRow][gridCol]) {
-            return false;
-          }
-        }
-      }
-    }
-    return true;
+    return canPlaceBlock(this.grid, blockShape, startRow, startCol, this.blocked);
   }
 
-  countLinesCleared(oldGrid, newGrid) {
-    let linesCleared = 0;
-    
-    // Check rows
-    for (let row = 0; row < GRID_SIZE; row++) {
-      const oldRowFull = oldGrid[row].every(cell => cell);
-      const newRowEmpty = newGrid[row].every(cell => !cell);
-      if (!oldRowFull && newRowEmpty) linesCleared++;
-    }
-    
-    // Check columns
-    for (let col = 0; col < GRID_SIZE; col++) {
-      const oldColFull = oldGrid.every(row => row[col]);
-      const newColEmpty = newGrid.every(row => !row[col]);
-      if (!oldColFull && newColEmpty) linesCleared++;
+  step(actionId) {
+    if (this.holdEnabled && actionId >= HOLD_ACTION_BASE) {
+      return this.holdStep(actionId - HOLD_ACTION_BASE);
     }
-    
-    return linesCleared;
-  }
 
-  step(actionId) {
-    const oldGrid = this.grid.map(row => [...row]);
-    const oldScore = this.score;
-    
     // Decode action
     const blockIndex = actionId % MAX_BLOCKS;
     const col = Math.floor(actionId / MAX_BLOCKS) % GRID_SIZE;
@@ -888,34 +851,14 @@ export class EliteEnvironment {
       };
     }
     
-    // Place block
-    const blockSize = this.placeBlock(block, row, col, blockIndex);
-    this.totalMoves++;
-    this.movesSinceClear++;
-    
-    // Clear lines and update score
-    const newGrid = this.clearCompletedLines(this.grid);
-    const linesCleared = this.countLinesCleared(oldGrid, newGrid);
-    
-    if (linesCleared > 0) {
-      this.movesSinceClear = 0;
-      this.grid = newGrid;
-      this.score += linesCleared * 100 * (1 + linesCleared);
-    }
-    
-    // Remove used block
-    this.availableBlocks.splice(blockIndex, 1);
-    
-    // Check if need new blocks
-    if (this.availableBlocks.length === 0) {
-      this.availableBlocks = this.generateEliteBlocks();
-    }
-    
-    // Check game over
-    this.gameOver = this.checkGameOver();
+    // Place block, clear lines and refill the tray through the shared game engine
+    const blockSize = getBlockSize(block);
+    const pieceId = getPieceId(block);
+    const linesCleared = this.placeBlock(block, row, col, blockIndex);
+    this.performanceMetrics.piecesPlaced[pieceId] = (this.performanceMetrics.piecesPlaced[pieceId] || 0) + 1;
     
     // Calculate elite reward
-    const reward = this.calculateEliteReward(oldGrid, oldScore, blockSize, actionId);
+    const reward = this.calculateEliteReward(linesCleared, blockSize);
     
     return {
       state: this.getEliteState(),
@@ -923,6 +866,7 @@ export class EliteEnvironment {
       done: this.gameOver,
       info: {
         linesCleared: linesCleared,
+        pieceId: pieceId,
         score: this.score,
         moves: this.totalMoves,
         chainLength: this.performanceMetrics.currentChainLength
@@ -930,45 +874,81 @@ export class EliteEnvironment {
     };
   }
 
-  placeBlock(blockShape, startRow, startCol, blockIndex) {
-    let blockSize = 0;
-    
-    for (let row = 0; row < blockShape.length; row++) {
-      for (let col = 0; col < blockShape[row].length; col++) {
-        if (blockShape[row][col]) {
-          this.grid[startRow + row][startCol + col] = true;
-          blockSize++;
-        }
-      }
+  /**
+   * Hold a tray block (swapping out the held one). Holding never clears
+   * anything, so it costs a little to keep agents from stalling with it.
+   */
+  holdStep(blockIndex) {
+    if (blockIndex >= this.availableBlocks.length) {
+      return {
+        state: this.getEliteState(),
+        reward: -1000,
+        done: true,
+        info: { error: 'Invalid block index' }
+      };
     }
-    
-    return blockSize;
+
+    const { state } = holdBlock({
+      grid: this.grid,
+      availableBlocks: this.availableBlocks,
+      held: this.held,
+      blocked: this.blocked
+    }, blockIndex);
+
+    this.held = state.held;
+    this.availableBlocks = state.availableBlocks.length === 0
+      ? this.dealNextTray()
+      : state.availableBlocks;
+    this.gameOver = this.checkGameOver();
+
+    return {
+      state: this.getEliteState(),
+      reward: this.gameOver ? this.rewardConfig.gameOverPenalty : this.rewardConfig.holdPenalty,
+      done: this.gameOver,
+      info: {
+        hold: true,
+        score: this.score,
+        moves: this.totalMoves
+      }
+    };
   }
 
-  clearCompletedLines(grid) {
-    const newGrid = grid.map(row => [...row]);
+  /**
+   * Apply a placement with the shared game engine and return how many lines it cleared
+   */
+  placeBlock(blockShape, startRow, startCol, blockIndex) {
+    const { state, events } = applyMove({
+      grid: this.grid,
+      availableBlocks: this.availableBlocks,
+      score: this.score,
+      difficulty: this.difficulty,
+      blocked: this.blocked,
+      held: this.held,
+      combo: this.combo
+    }, { blockIndex, row: startRow, col: startCol });
+    const clearEvent = getClearEvent(events);
+    const linesCleared = clearEvent ? clearEvent.total : 0;
+
+    this.grid = state.grid;
+    this.score = state.score;
+    this.combo = state.combo;
+    this.totalMoves++;
+    this.movesSinceClear = linesCleared > 0 ? 0 : this.movesSinceClear + 1;
+    this.lineClearsThisEpisode += linesCleared;
     
-    // Clear completed rows
-    for (let row = 0; row < GRID_SIZE; row++) {
-      if (newGrid[row].every(cell => cell)) {
-        newGrid[row].fill(false);
-      }
-    }
+    // Check if need new blocks
+    this.availableBlocks = state.availableBlocks.length === 0
+      ? this.dealNextTray()
+      : state.availableBlocks;
     
-    // Clear completed columns
-    for (let col = 0; col < GRID_SIZE; col++) {
-      if (newGrid.every(row => row[col])) {
-        for (let row = 0; row < GRID_SIZE; row++) {
-          newGrid[row][col] = false;
-        }
-      }
-    }
+    // Check game over
+    this.gameOver = this.checkGameOver();
     
-    return newGrid;
+    return linesCleared;
   }
 
   checkGameOver() {
-    return this.getValidActions().length === 0;
+    return checkGameOver(this.grid, this.availableBlocks, this.blocked, this.held);
   }
 
   updateCurriculum(episodeScore, linesCleared) {
@@ -980,9 +960,31 @@ export class EliteEnvironment {
     }
   }
 
-  setState(grid, availableBlocks, score, difficulty = 'elite') {
+  /**
+   * Restart the piece sequence from a seed. Call reset() afterwards for a fresh episode.
+   */
+  setSeed(seed) {
+    this.random = new SeededRandom(seed);
+    return this.random.seed;
+  }
+
+  /**
+   * Load a position, e.g. a saved level. blockedCells is a list of [row, col]
+   * obstacle cells; hard mode blocks the center when none are given.
+   * fixedSets are trays dealt, in order, before generated ones (a level's
+   * fixed piece sequence); the first one is dealt now if availableBlocks is null.
+   */
+  setState(grid, availableBlocks, score, difficulty = 'elite', blockedCells = difficulty === 'hard' ? getHardModeCells(grid.length) : [], fixedSets = []) {
     this.grid = grid.map(row => [...row]);
-    this.availableBlocks = availableBlocks || this.generateEliteBlocks();
+    // Dealing also fills the preview queue; a given tray replaces the dealt one
+    this.blocked = createBlockedGrid(grid.length, blockedCells);
+    this.upcoming = [];
+    this.fixedSets = fixedSets.map(set => [...set]);
+    this.fixedSetsLeft = fixedSets.length;
+    const dealtTray = this.dealNextTray();
+    this.availableBlocks = availableBlocks || dealtTray;
+    this.held = null;
+    this.combo = 0;
     this.score = score;
     this.difficulty = difficulty;
     this.gameOver = this.checkGameOver();
@@ -999,6 +1001,7 @@ export class EliteEnvironment {
    */
   clone() {
     const cloned = new EliteEnvironment();
+    cloned.random = this.random.clone();
     
     // Copy grid state
     cloned.grid = this.grid.map(row => [...row]);
@@ -1007,6 +1010,15 @@ export class EliteEnvironment {
     );
     cloned.score = this.score;
     cloned.difficulty = this.difficulty;
+    cloned.blocked = this.blocked;
+    cloned.holdEnabled = this.holdEnabled;
+    cloned.held = this.held;
+    cloned.previewSets = this.previewSets;
+    cloned.adversary = this.adversary;
+    cloned.upcoming = this.upcoming.map(set => [...set]);
+    cloned.fixedSets = this.fixedSets.map(set => [...set]);
+    cloned.fixedSetsLeft = this.fixedSetsLeft;
+    cloned.combo = this.combo;
     cloned.movesSinceClear = this.movesSinceClear;
     cloned.gameOver = this.gameOver;
     cloned.totalMoves = this.totalMoves;
@@ -0,0 +1,108 @@
+import * as tf from '@tensorflow/tfjs';
+import { DQNEnvironment } from './DQNEnvironment';
+import { DQNAgent } from './DQNAgent';
+import { HybridHeuristicAgent } from './AdvancedAIAgents';
+import { GRID_SIZE, isBlockedCell } from '../utils/gameEngine';
+
+/**
+ * HINT ADVISOR
+ * Runs an agent on the player's current position and returns its move.
+ * The agents play on the 9x9 DQN environment, so smaller boards are padded
+ * with blocked cells and boards larger than 9x9 get no hints.
+ */
+
+export const HEURISTIC_ADVISOR = 'heuristic';
+
+// DQN models stay loaded between hints
+const loadedAgents = new Map();
+
+/**
+ * Names of the DQN models saved in browser storage (localstorage://name)
+ */
+export async function listStoredModels() {
+  try {
+    const models = await tf.io.listModels();
+    return Object.keys(models)
+      .filter(url => url.startsWith('localstorage://'))
+      .map(url => url.slice('localstorage://'.length));
+  } catch (error) {
+    console.warn('⚠️ Could not list stored models:', error);
+    return [];
+  }
+}
+
+export function canGiveHint(gameState) {
+  return gameState.grid.length <= GRID_SIZE && gameState.availableBlocks.length > 0;
+}
+
+function createHintEnvironment(gameState) {
+  const gridSize = gameState.grid.length;
+  const blockedCells = [];
+  for (let row = 0; row < GRID_SIZE; row++) {
+    for (let col = 0; col < GRID_SIZE; col++) {
+      if (row >= gridSize || col >= gridSize || isBlockedCell(gameState.blocked, row, col)) {
+        blockedCells.push([row, col]);
+      }
+    }
+  }
+
+  const env = new DQNEnvironment();
+  env.setState(gameState.grid, gameState.availableBlocks, gameState.score, gameState.difficulty, blockedCells);
+  return env;
+}
+
+async function loadDQNAgent(modelName, env) {
+  if (!loadedAgents.has(modelName)) {
+    const agent = new DQNAgent(env.getStateSize(), env.getMaxActionSpace());
+    if (!(await agent.loadModel(modelName))) {
+      agent.dispose();
+      throw new Error(`Model ${modelName} could not be loaded`);
+    }
+    if (agent.qNetwork.inputs[0].shape[1] !== env.getStateSize()) {
+      agent.dispose();
+      throw new Error(`Model ${modelName} doesn't play the standard 9x9 board`);
+    }
+    loadedAgents.set(modelName, agent);
+  }
+  return loadedAgents.get(modelName);
+}
+
+async function selectDQNAction(modelName, env) {
+  const agent = await loadDQNAgent(modelName, env);
+  const state = env.getState();
+  try {
+    return await agent.predict(state, env.getValidActions());
+  } finally {
+    state.dispose();
+  }
+}
+
+/**
+ * The advisor's move for the position, as { blockIndex, row, col }, or null
+ * when there's nothing to suggest. advisor is HEURISTIC_ADVISOR or the name
+ * of a stored DQN model; a model that can't be used falls back to the
+ * heuristic agent.
+ */
+export async function getHint(gameState, advisor = HEURISTIC_ADVISOR) {
+  if (!canGiveHint(gameState)) return null;
+
+  const env = createHintEnvironment(gameState);
+  if (env.getValidActions().length === 0) return null;
+
+  let action = null;
+  if (advisor !== HEURISTIC_ADVISOR) {
+    try {
+      action = await selectDQNAction(advisor, env);
+    } catch (error) {
+      console.warn(`⚠️ Hint model failed, using the heuristic agent: ${error.message}`);
+    }
+  }
+  if (action === null) {
+    const agent = new HybridHeuristicAgent(env.getStateSize(), env.getMaxActionSpace());
+    action = await agent.selectAction(env);
+  }
+  if (action === null || action === undefined) return null;
+
+  const { blockIndex, row, col } = env.decodeAction(action);
+  return { blockIndex, row, col };
+}
@@ -11,8 +11,13 @@ import AIVisualization from './AIVisualization';
 import GameBoard from './GameBoard';
 import BlockTray from './BlockTray';
 import ScoreDisplay from './ScoreDisplay';
+import { useSettings } from './SettingsProvider';
+import { createRandomSeed, parseSeed } from '../utils/random';
+import { loadLevelIntoEnvironment, loadSavedLevels } from '../utils/levels';
+import { GENERATOR_POLICIES, getGeneratorPolicy } from '../utils/generatorPolicy';
 
 function AILearningView({ onNavigate }) {
+  const { settings, updateSetting } = useSettings();
   // Algorithm Selection
   const [selectedAlgorithm, setSelectedAlgorithm] = useState('dqn');
   
@@ -21,7 +26,14 @@ function AILearningView({ onNavigate }) {
   const [isPaused, setIsPaused] = useState(false);
   const [isPlaying, setIsPlaying] = useState(false);
   const [visualTraining, setVisualTraining] = useState(true);
-  const [trainingSpeed, setTrainingSpeed] = useState(50);
+  const [seedInput, setSeedInput] = useState(''); // Empty = random seed
+  const [trainingSeed, setTrainingSeed] = useState(null);
+  // The networks are sized for 9x9 boards, so only 9x9 levels can be trained on
+  const [trainingLevels] = useState(() => loadSavedLevels().filter(level => level.gridSize === 9));
+  const [trainingLevelId, setTrainingLevelId] = useState('');
+  const [holdAction, setHoldAction] = useState(false); // Lets agents use the hold slot
+  const [previewSets, setPreviewSets] = useState(0); // Upcoming sets the agent can see
+  const [adversaryPolicy, setAdversaryPolicy] = useState(''); // '' = random trays, or an adversarial generator policy
   const [aiPlayInterval, setAiPlayInterval] = useState(null);
   
   // Game State
@@ -57,6 +69,9 @@ function AILearningView({ onNavigate }) {
   const trainingRef = useRef(false);
   const episodeRef = useRef(0);
   const stepRef = useRef(0);
+  // The training loop reads the AI speed setting as it goes, so changing it applies mid-episode
+  const aiSpeedRef = useRef(settings.aiSpeed);
+  aiSpeedRef.current = settings.aiSpeed;
 
   // Algorithm configurations - ALL USE SAME ENVIRONMENT FOR FAIR COMPARISON
   const algorithmConfigs = useMemo(() => ({
@@ -88,7 +103,7 @@ function AILearningView({ onNavigate }) {
     },
     'visual-cnn': {
       name: 'Visual CNN DQN',
-      description: 'Revolutionary CNN-based DQN with 15×15 grid and 4-channel visual intelligence',
+      description: 'CNN-based DQN on its own 45×45 lines-only board (no square clears) with 4-channel visual intelligence',
       agentClass: ConvDQNAgent,
       environmentClass: ConvDQNEnvironment,
       options: {
@@ -135,12 +150,19 @@ function AILearningView({ onNavigate }) {
     }
   }), []);
 
+  // Adversarial trays need a board small enough to search every placement
+  const supportsAdversary = algorithmConfigs[selectedAlgorithm].environmentClass !== ConvDQNEnvironment;
+
   // Initialize agent and environment when algorithm changes
   const initializeAgent = useCallback(() => {
     console.log(`🤖 Initializing ${algorithmConfigs[selectedAlgorithm].name}...`);
     
     const config = algorithmConfigs[selectedAlgorithm];
-    const env = new config.environmentClass();
+    const env = new config.environmentClass({
+      holdAction,
+      previewSets,
+      adversary: getGeneratorPolicy(adversaryPolicy)?.adversary || null // Ignored by the visual environment
+    });
     
     let newAgent;
     if (config.agentClass) {
@@ -171,18 +193,29 @@ function AILearningView({ onNavigate }) {
     setBestScore(Math.max(bestScore, env.score));
     
     console.log(`✅ ${config.name} initialized successfully!`);
-  }, [selectedAlgorithm, algorithmConfigs, bestScore]);
+  }, [selectedAlgorithm, algorithmConfigs, bestScore, holdAction, previewSets, adversaryPolicy]);
 
   useEffect(() => {
     initializeAgent();
   }, [initializeAgent]);
 
-  const startTraining = async () => {
+  const startTraining = async (resume = false) => {
     if (!agent || !environment) {
       console.error('Agent or environment not initialized');
       return;
     }
 
+    if (!resume) {
+      // Seed pieces and exploration so the same run can be reproduced
+      const seed = seedInput.trim() ? parseSeed(seedInput) : createRandomSeed();
+      environment.setSeed(seed);
+      if (agent.setSeed && typeof agent.setSeed === 'function') {
+        agent.setSeed(seed);
+      }
+      setTrainingSeed(seed);
+      console.log(`🎲 Training seed: ${seed}`);
+    }
+
     setIsTraining(true);
     setIsPaused(false);
     trainingRef.current = true;
@@ -219,7 +252,7 @@ function AILearningView({ onNavigate }) {
   const resumeTraining = () => {
     setIsPaused(false);
     if (trainingRef.current) {
-      startTraining();
+      startTraining(true);
     }
   };
 
@@ -262,6 +295,13 @@ function AILearningView({ onNavigate }) {
     try {
       // Reset environment for new episode
       environment.reset();
+      const trainingLevel = trainingLevels.find(level => level.id === trainingLevelId);
+      if (trainingLevel) {
+        loadLevelIntoEnvironment(environment, trainingLevel);
+      } else if (environment.blocked) {
+        // Obstacles stay across resets, so drop the ones from a previous level
+        environment.setState(environment.grid, environment.availableBlocks, 0, environment.difficulty, []);
+      }
       
       // Store initial score for fair comparison
       const initialScore = environment.score;
@@ -320,7 +360,7 @@ function AILearningView({ onNavigate }) {
         
         if (action === null || action === undefined) {
           console.warn(`⚠️ ${selectedAlgorithm} returned null action, using random`);
-          action = validActions[Math.floor(Math.random() * validActions.length)];
+          action = environment.random.pick(validActions);
         }
         
         const stepResult = environment.step(action);
@@ -336,9 +376,10 @@ function AILearningView({ onNavigate }) {
           setEpisodeSteps(stepCount + 1);
           stepRef.current = stepCount + 1;
           
-          // Visual delay for training observation and UI responsiveness
+          // The board is only redrawn when the loop yields, every third step, and
+          // each drawn board stays up for the AI speed setting
           if (stepCount % 3 === 0) {
-            await new Promise(resolve => setTimeout(resolve, Math.max(10, 100 - trainingSpeed)));
+            await new Promise(resolve => setTimeout(resolve, aiSpeedRef.current));
           }
         } else {
           // Without visual training, much faster execution with minimal yielding
@@ -736,7 +777,7 @@ function AILearningView({ onNavigate }) {
               <li><strong>Pause/Resume:</strong> Temporarily halt training and continue later</li>
               <li><strong>Stop:</strong> End training session completely</li>
               <li><strong>Reset All Stats:</strong> Clear all progress and start fresh training</li>
-              <li><strong>Speed Control:</strong> Adjust how fast the AI trains during learning</li>
+              <li><strong>Move Delay:</strong> Slow down or speed up the moves shown during visual training</li>
             </ul>
           </div>
           
@@ -795,13 +836,13 @@ function AILearningView({ onNavigate }) {
       <div className="main-content">
         {/* Algorithm Selection */}
         <div className="algorithm-selection" style={{
-          background: 'rgba(139, 69, 19, 0.3)',
+          background: 'var(--block-container-bg)',
           padding: '20px',
           borderRadius: '12px',
-          border: '2px solid #8B4513',
+          border: '2px solid var(--panel-border)',
           marginBottom: '20px'
         }}>
-          <h3 style={{ color: '#FFD700', marginBottom: '15px', textAlign: 'center' }}>
+          <h3 style={{ color: 'var(--accent)', marginBottom: '15px', textAlign: 'center' }}>
             🤖 Select AI Algorithm
           </h3>
           
@@ -814,15 +855,15 @@ function AILearningView({ onNavigate }) {
                 flex: 1,
                 padding: '12px',
                 borderRadius: '8px',
-                border: '2px solid #8B4513',
+                border: '2px solid var(--panel-border)',
                 background: 'rgba(255, 215, 0, 0.1)',
-                color: '#FFD700',
+                color: 'var(--accent)',
                 fontSize: '16px',
                 fontWeight: 'bold'
               }}
             >
               {Object.entries(algorithmConfigs).map(([key, config]) => (
-                <option key={key} value={key} style={{ background: '#2C1810', color: '#FFD700' }}>
+                <option key={key} value={key} style={{ background: 'var(--option-bg)', color: 'var(--accent)' }}>
                   {config.name}
                 </option>
               ))}
@@ -833,12 +874,12 @@ function AILearningView({ onNavigate }) {
             background: 'rgba(255, 215, 0, 0.1)',
             padding: '12px',
             borderRadius: '8px',
-            border: '1px solid #FFD700'
+            border: '1px solid var(--accent)'
           }}>
-            <div style={{ color: '#FFD700', fontWeight: 'bold', marginBottom: '5px' }}>
+            <div style={{ color: 'var(--accent)', fontWeight: 'bold', marginBottom: '5px' }}>
               {algorithmConfigs[selectedAlgorithm].name}
             </div>
-            <div style={{ color: '#D2B48C', fontSize: '14px' }}>
+            <div style={{ color: 'var(--text-muted)', fontSize: '14px' }}>
               {algorithmConfigs[selectedAlgorithm].description}
             </div>
           </div>
@@ -846,13 +887,13 @@ function AILearningView({ onNavigate }) {
 
         {/* Performance Dashboard */}
         <div className="performance-dashboard" style={{
-          background: 'rgba(139, 69, 19, 0.3)',
+          background: 'var(--block-container-bg)',
           padding: '20px',
           borderRadius: '12px',
-          border: '2px solid #8B4513',
+          border: '2px solid var(--panel-border)',
           marginBottom: '20px'
         }}>
-          <h3 style={{ color: '#FFD700', marginBottom: '15px', textAlign: 'center' }}>
+          <h3 style={{ color: 'var(--accent)', marginBottom: '15px', textAlign: 'center' }}>
             📊 Performance Dashboard
           </h3>
           
@@ -862,15 +903,15 @@ function AILearningView({ onNavigate }) {
               background: 'rgba(255, 215, 0, 0.1)',
               padding: '15px',
               borderRadius: '8px',
-              border: '1px solid #FFD700'
+              border: '1px solid var(--accent)'
             }}>
-              <div style={{ color: '#FFD700', fontWeight: 'bold', marginBottom: '10px' }}>
+              <div style={{ color: 'var(--accent)', fontWeight: 'bold', marginBottom: '10px' }}>
                 🤖 Current: {algorithmConfigs[selectedAlgorithm].name}
               </div>
-              <div style={{ color: '#D2B48C', fontSize: '14px', marginBottom: '8px' }}>
+              <div style={{ color: 'var(--text-muted)', fontSize: '14px', marginBottom: '8px' }}>
                 Episodes: {trainingStats.episode || 0}
               </div>
-              <div style={{ color: '#D2B48C', fontSize: '14px' }}>
+              <div style={{ color: 'var(--text-muted)', fontSize: '14px' }}>
                 Avg Score: <span style={{ color: '#17a2b8', fontWeight: 'bold' }}>
                   {trainingStats.avgScore?.toFixed(1) || '0.0'}
                 </span>
@@ -882,9 +923,9 @@ function AILearningView({ onNavigate }) {
               background: 'rgba(255, 215, 0, 0.1)',
               padding: '15px',
               borderRadius: '8px',
-              border: '1px solid #FFD700'
+              border: '1px solid var(--accent)'
             }}>
-              <div style={{ color: '#FFD700', fontWeight: 'bold', marginBottom: '10px' }}>
+              <div style={{ color: 'var(--accent)', fontWeight: 'bold', marginBottom: '10px' }}>
                 🏆 Best Test Results
               </div>
               {Object.keys(testResults).length > 0 ? (
@@ -893,7 +934,7 @@ function AILearningView({ onNavigate }) {
                   .slice(0, 3)
                   .map(([algorithm, results], index) => (
                     <div key={algorithm} style={{ 
-                      color: '#D2B48C', 
+                      color: 'var(--text-muted)', 
                       fontSize: '12px', 
                       marginBottom: '4px',
                       display: 'flex',
@@ -908,7 +949,7 @@ function AILearningView({ onNavigate }) {
                     </div>
                   ))
               ) : (
-                <div style={{ color: '#D2B48C', fontSize: '12px', fontStyle: 'italic' }}>
+                <div style={{ color: 'var(--text-muted)', fontSize: '12px', fontStyle: 'italic' }}>
                   No test results yet. Click "🎯 Test Performance" to compare algorithms.
                 </div>
               )}
@@ -919,9 +960,9 @@ function AILearningView({ onNavigate }) {
               background: 'rgba(255, 215, 0, 0.1)',
               padding: '15px',
               borderRadius: '8px',
-              border: '1px solid #FFD700'
+              border: '1px solid var(--accent)'
             }}>
-              <div style={{ color: '#FFD700', fontWeight: 'bold', marginBottom: '10px' }}>
+              <div style={{ color: 'var(--accent)', fontWeight: 'bold', marginBottom: '10px' }}>
                 🌟 Global Best
               </div>
               <div style={{ 
@@ -937,7 +978,7 @@ function AILearningView({ onNavigate }) {
                 )}
               </div>
               <div style={{ 
-                color: '#D2B48C', 
+                color: 'var(--text-muted)', 
                 fontSize: '12px', 
                 textAlign: 'center',
                 marginTop: '5px'
@@ -959,7 +1000,7 @@ function AILearningView({ onNavigate }) {
             <div style={{ display: 'flex', gap: '10px' }}>
               {!isTraining ? (
                 <button
-                  onClick={startTraining}
+                  onClick={() => startTraining()}
                   disabled={!agent || isPlaying}
                   className="btn primary"
                   style={{
@@ -1031,7 +1072,7 @@ function AILearningView({ onNavigate }) {
 
           {/* Model Management Section with Improved UI */}
           <div className="control-group">
-            <label style={{ color: '#FFD700', fontWeight: 'bold', marginBottom: '8px', display: 'block' }}>
+            <label style={{ color: 'var(--accent)', fontWeight: 'bold', marginBottom: '8px', display: 'block' }}>
               Model Management
             </label>
             <div style={{ display: 'flex', gap: '10px' }}>
@@ -1073,7 +1114,7 @@ function AILearningView({ onNavigate }) {
               textAlign: 'center',
               marginTop: '10px',
               fontSize: '11px',
-              color: '#D2B48C',
+              color: 'var(--text-muted)',
               fontStyle: 'italic'
             }}>
               💡 Load: Restore saved models • Download: Save trained models to files
@@ -1082,7 +1123,7 @@ function AILearningView({ onNavigate }) {
 
           {/* Improved Episode Input Section */}
           <div className="control-group">
-            <label style={{ color: '#FFD700', fontWeight: 'bold', marginBottom: '8px', display: 'block' }}>
+            <label style={{ color: 'var(--accent)', fontWeight: 'bold', marginBottom: '8px', display: 'block' }}>
               Reset Training
             </label>
             <button
@@ -1101,18 +1142,18 @@ function AILearningView({ onNavigate }) {
             >
               🔄 Reset All Stats
             </button>
-            <div style={{ fontSize: '12px', color: '#D2B48C', marginTop: '5px', textAlign: 'center' }}>
+            <div style={{ fontSize: '12px', color: 'var(--text-muted)', marginTop: '5px', textAlign: 'center' }}>
               Clear all progress and start fresh
             </div>
           </div>
         </div>
 
-        {/* Training Speed Control - Full Width */}
+        {/* Move Delay (the AI speed setting) - Full Width */}
         <div className="speed-control" style={{
-          background: 'rgba(139, 69, 19, 0.3)',
+          background: 'var(--block-container-bg)',
           padding: '20px',
           borderRadius: '12px',
-          border: '2px solid #8B4513',
+          border: '2px solid var(--panel-border)',
           marginBottom: '20px'
         }}>
           <div style={{ 
@@ -1123,67 +1164,202 @@ function AILearningView({ onNavigate }) {
             margin: '0 auto'
           }}>
             <label style={{ 
-              color: '#FFD700', 
+              color: 'var(--accent)', 
               fontWeight: 'bold', 
               minWidth: '140px',
               fontSize: '16px'
             }}>
-              ⚡ Training Speed:
+              ⚡ Move Delay:
             </label>
             <div style={{ flex: 1, display: 'flex', alignItems: 'center', gap: '15px' }}>
-              <span style={{ color: '#D2B48C', fontSize: '14px', minWidth: '30px' }}>
-                10%
+              <span style={{ color: 'var(--text-muted)', fontSize: '14px', minWidth: '30px' }}>
+                Fast
               </span>
               <input
                 type="range"
-                min="10"
-                max="100"
-                value={trainingSpeed}
-                onChange={(e) => setTrainingSpeed(parseInt(e.target.value))}
-                disabled={isTraining}
+                min="50"
+                max="2000"
+                step="50"
+                value={settings.aiSpeed}
+                onChange={(e) => updateSetting('aiSpeed', parseInt(e.target.value))}
                 style={{
                   flex: 1,
                   height: '8px',
                   borderRadius: '4px',
-                  background: 'rgba(139, 69, 19, 0.5)',
+                  background: 'var(--panel-bg)',
                   outline: 'none',
-                  accentColor: '#FFD700',
-                  cursor: isTraining ? 'not-allowed' : 'pointer'
+                  accentColor: 'var(--accent)',
+                  cursor: 'pointer'
                 }}
               />
-              <span style={{ color: '#D2B48C', fontSize: '14px', minWidth: '40px' }}>
-                100%
+              <span style={{ color: 'var(--text-muted)', fontSize: '14px', minWidth: '40px' }}>
+                Slow
               </span>
               <div style={{ 
                 background: 'rgba(255, 215, 0, 0.2)', 
                 padding: '6px 12px', 
                 borderRadius: '6px',
-                border: '1px solid #FFD700',
+                border: '1px solid var(--accent)',
                 minWidth: '60px',
                 textAlign: 'center'
               }}>
-                <span style={{ color: '#FFD700', fontWeight: 'bold', fontSize: '16px' }}>
-                  {trainingSpeed}%
+                <span style={{ color: 'var(--accent)', fontWeight: 'bold', fontSize: '16px' }}>
+                  {settings.aiSpeed}ms
                 </span>
               </div>
             </div>
           </div>
           <div style={{ 
             fontSize: '12px', 
-            color: '#D2B48C', 
+            color: 'var(--text-muted)', 
             textAlign: 'center', 
             marginTop: '10px' 
           }}>
-            Higher speed = faster training but potentially less stable learning
+            With Visual Training on, the board is drawn every third move and stays up this long (AI Play Speed in Settings)
+          </div>
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '20px',
+            maxWidth: '600px',
+            margin: '15px auto 0'
+          }}>
+            <label style={{
+              color: 'var(--accent)',
+              fontWeight: 'bold',
+              minWidth: '140px',
+              fontSize: '16px'
+            }}>
+              🎲 Seed:
+            </label>
+            <input
+              type="text"
+              value={seedInput}
+              onChange={(e) => setSeedInput(e.target.value)}
+              placeholder="Random"
+              disabled={isTraining}
+              className="seed-input"
+              style={{ flex: 1 }}
+            />
+          </div>
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '20px',
+            maxWidth: '600px',
+            margin: '15px auto 0'
+          }}>
+            <label style={{
+              color: 'var(--accent)',
+              fontWeight: 'bold',
+              minWidth: '140px',
+              fontSize: '16px'
+            }}>
+              🧱 Level:
+            </label>
+            <select
+              value={trainingLevelId}
+              onChange={(e) => setTrainingLevelId(e.target.value)}
+              disabled={isTraining}
+              className="difficulty-select"
+              style={{ flex: 1 }}
+            >
+              <option value="">Empty board</option>
+              {trainingLevels.map(level => (
+                <option key={level.id} value={level.id}>{level.name}</option>
+              ))}
+            </select>
+          </div>
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '20px',
+            maxWidth: '600px',
+            margin: '15px auto 0'
+          }}>
+            <label style={{
+              color: 'var(--accent)',
+              fontWeight: 'bold',
+              minWidth: '140px',
+              fontSize: '16px'
+            }}>
+              ✋ Hold Action:
+            </label>
+            <select
+              value={holdAction ? 'on' : 'off'}
+              onChange={(e) => setHoldAction(e.target.value === 'on')}
+              disabled={isTraining}
+              className="difficulty-select"
+              style={{ flex: 1 }}
+            >
+              <option value="off">Off - place pieces only</option>
+              <option value="on">On - agent can hold a piece (new network)</option>
+            </select>
+          </div>
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '20px',
+            maxWidth: '600px',
+            margin: '15px auto 0'
+          }}>
+            <label style={{
+              color: 'var(--accent)',
+              fontWeight: 'bold',
+              minWidth: '140px',
+              fontSize: '16px'
+            }}>
+              🔮 Preview:
+            </label>
+            <select
+              value={previewSets}
+              onChange={(e) => setPreviewSets(parseInt(e.target.value))}
+              disabled={isTraining}
+              className="difficulty-select"
+              style={{ flex: 1 }}
+            >
+              <option value={0}>Off - current tray only</option>
+              <option value={1}>Next set (new network)</option>
+              <option value={2}>Next two sets (new network)</option>
+            </select>
+          </div>
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '20px',
+            maxWidth: '600px',
+            margin: '15px auto 0'
+          }}>
+            <label style={{
+              color: 'var(--accent)',
+              fontWeight: 'bold',
+              minWidth: '140px',
+              fontSize: '16px'
+            }}>
+              😈 Trays:
+            </label>
+            <select
+              value={supportsAdversary ? adversaryPolicy : ''}
+              onChange={(e) => setAdversaryPolicy(e.target.value)}
+              disabled={isTraining || !supportsAdversary}
+              title={supportsAdversary ? undefined : 'The 45x45 visual board is too large to search'}
+              className="difficulty-select"
+              style={{ flex: 1 }}
+            >
+              <option value="">Random</option>
+              {GENERATOR_POLICIES.filter(policy => policy.adversary).map(policy => (
+                <option key={policy.id} value={policy.id}>{policy.label} - {policy.description.toLowerCase()}</option>
+              ))}
+            </select>
           </div>
         </div>
 
         {/* Episode Count Control */}
         <div className="episode-control" style={{
-          background: 'rgba(139, 69, 19, 0.3)',
+          background: 'var(--block-container-bg)',
           padding: '20px',
           borderRadius: '12px',
-          border: '2px solid #8B4513',
+          border: '2px solid var(--panel-border)',
           marginBottom: '20px'
         }}>
           <div style={{ 
@@ -1194,7 +1370,7 @@ function AILearningView({ onNavigate }) {
             margin: '0 auto'
           }}>
             <label style={{ 
-              color: '#FFD700', 
+              color: 'var(--accent)', 
               fontWeight: 'bold', 
               minWidth: '140px',
               fontSize: '16px'
@@ -1214,7 +1390,7 @@ function AILearningView({ onNavigate }) {
                   flex: 1,
                   padding: '8px 12px',
                   borderRadius: '6px',
-                  border: '1px solid #8B4513',
+                  border: '1px solid var(--panel-border)',
                   background: 'rgba(255, 255, 255, 0.9)',
                   fontSize: '16px',
                   textAlign: 'center'
@@ -1224,11 +1400,11 @@ function AILearningView({ onNavigate }) {
                 background: 'rgba(255, 215, 0, 0.2)', 
                 padding: '6px 12px', 
                 borderRadius: '6px',
-                border: '1px solid #FFD700',
+                border: '1px solid var(--accent)',
                 minWidth: '120px',
                 textAlign: 'center'
               }}>
-                <span style={{ color: '#FFD700', fontWeight: 'bold', fontSize: '14px' }}>
+                <span style={{ color: 'var(--accent)', fontWeight: 'bold', fontSize: '14px' }}>
                   {currentEpisode}/{maxEpisodes}
                 </span>
               </div>
@@ -1236,7 +1412,7 @@ function AILearningView({ onNavigate }) {
           </div>
           <div style={{ 
             fontSize: '12px', 
-            color: '#D2B48C', 
+            color: 'var(--text-muted)', 
             textAlign: 'center', 
             marginTop: '10px' 
           }}>
@@ -1247,10 +1423,10 @@ function AILearningView({ onNavigate }) {
         {/* Training Progress */}
         {(isTraining || currentEpisode > 0) && (
           <div className="training-progress" style={{
-            background: 'rgba(139, 69, 19, 0.3)',
+            background: 'var(--block-container-bg)',
             padding: '15px',
             borderRadius: '8px',
-            border: '1px solid #8B4513',
+            border: '1px solid var(--panel-border)',
             marginBottom: '20px'
           }}>
             <div className="progress-header" style={{
@@ -1259,13 +1435,13 @@ function AILearningView({ onNavigate }) {
               alignItems: 'center',
               marginBottom: '10px'
             }}>
-              <h4 style={{ color: '#FFD700', margin: 0 }}>Training Progress</h4>
+              <h4 style={{ color: 'var(--accent)', margin: 0 }}>Training Progress</h4>
             </div>
             
             <div className="progress-bar" style={{
               width: '100%',
               height: '20px',
-              background: 'rgba(139, 69, 19, 0.5)',
+              background: 'var(--panel-bg)',
               borderRadius: '10px',
               overflow: 'hidden',
               marginBottom: '10px'
@@ -1275,12 +1451,12 @@ function AILearningView({ onNavigate }) {
                 style={{ 
                   width: `${(currentEpisode / maxEpisodes) * 100}%`,
                   height: '100%',
-                  background: 'linear-gradient(90deg, #FFD700, #FFA500)',
+                  background: 'var(--cell-highlight)',
                   transition: 'width 0.3s ease'
                 }}
               />
             </div>
-            <div className="progress-text" style={{ color: '#D2B48C', fontSize: '14px', textAlign: 'center' }}>
+            <div className="progress-text" style={{ color: 'var(--text-muted)', fontSize: '14px', textAlign: 'center' }}>
               Episode {currentEpisode} / {maxEpisodes} ({((currentEpisode / maxEpisodes) * 100).toFixed(1)}%)
             </div>
           </div>
@@ -1304,7 +1480,7 @@ function AILearningView({ onNavigate }) {
                 <div style={{ color: '#28a745', fontWeight: 'bold', marginBottom: '5px' }}>
                   🚀 Training Active
                 </div>
-                <div style={{ color: '#D2B48C', fontSize: '12px' }}>
+                <div style={{ color: 'var(--text-muted)', fontSize: '12px' }}>
                   {algorithmConfigs[selectedAlgorithm].name} is learning...
                 </div>
               </div>
@@ -1321,7 +1497,7 @@ function AILearningView({ onNavigate }) {
                 <div style={{ color: '#17a2b8', fontWeight: 'bold', marginBottom: '5px' }}>
                   🎮 AI Playing
                 </div>
-                <div style={{ color: '#D2B48C', fontSize: '12px' }}>
+                <div style={{ color: 'var(--text-muted)', fontSize: '12px' }}>
                   Watch the AI make moves in real-time
                 </div>
               </div>
@@ -1340,12 +1516,12 @@ function AILearningView({ onNavigate }) {
             }}>
               {/* Game Board */}
               <div className="game-area" style={{
-                background: 'rgba(139, 69, 19, 0.3)',
+                background: 'var(--block-container-bg)',
                 padding: '20px',
                 borderRadius: '12px',
-                border: '2px solid #8B4513'
+                border: '2px solid var(--panel-border)'
               }}>
-                <h4 style={{ color: '#FFD700', marginBottom: '15px', textAlign: 'center' }}>
+                <h4 style={{ color: 'var(--accent)', marginBottom: '15px', textAlign: 'center' }}>
                   🎯 Game Board
                 </h4>
                 
@@ -1354,7 +1530,7 @@ function AILearningView({ onNavigate }) {
                   onBlockPlace={() => {}} // Disabled for AI training
                   availableBlocks={availableBlocks}
                   isPaused={false}
-                  difficulty={difficulty}
+                  blocked={environment ? environment.blocked : null}
                 />
               </div>
 
@@ -1366,30 +1542,31 @@ function AILearningView({ onNavigate }) {
               }}>
                 {/* Score Display */}
                 <div style={{
-                  background: 'rgba(139, 69, 19, 0.3)',
+                  background: 'var(--block-container-bg)',
                   padding: '15px',
                   borderRadius: '8px',
-                  border: '1px solid #8B4513'
+                  border: '1px solid var(--panel-border)'
                 }}>
                   <ScoreDisplay 
                     score={score} 
                     bestScore={bestScore} 
                     linesCleared={linesCleared}
                     difficulty={difficulty}
+                    seed={trainingSeed}
                   />
                 </div>
 
                 {/* Available Blocks */}
                 <div style={{
-                  background: 'rgba(139, 69, 19, 0.3)',
+                  background: 'var(--block-container-bg)',
                   padding: '15px',
                   borderRadius: '8px',
-                  border: '1px solid #8B4513',
+                  border: '1px solid var(--panel-border)',
                   height: '380px', // Increased height to eliminate scrollbar
                   display: 'flex',
                   flexDirection: 'column'
                 }}>
-                  <h5 style={{ color: '#FFD700', marginBottom: '10px', margin: '0 0 10px 0' }}>Available Blocks</h5>
+                  <h5 style={{ color: 'var(--accent)', marginBottom: '10px', margin: '0 0 10px 0' }}>Available Blocks</h5>
                   <div style={{ 
                     flex: 1,
                     overflow: 'hidden', // Prevent content overflow
@@ -1403,32 +1580,32 @@ function AILearningView({ onNavigate }) {
 
                 {/* Episode Info */}
                 <div style={{
-                  background: 'rgba(139, 69, 19, 0.3)',
+                  background: 'var(--block-container-bg)',
                   padding: '15px',
                   borderRadius: '8px',
-                  border: '1px solid #8B4513'
+                  border: '1px solid var(--panel-border)'
                 }}>
-                  <h5 style={{ color: '#FFD700', marginBottom: '10px' }}>Episode Info</h5>
+                  <h5 style={{ color: 'var(--accent)', marginBottom: '10px' }}>Episode Info</h5>
                   <div className="episode-stats">
                     <div className="info-item" style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
-                      <span style={{ color: '#D2B48C' }}>Episode:</span>
-                      <span style={{ color: '#FFD700', fontWeight: 'bold' }}>{currentEpisode}</span>
+                      <span style={{ color: 'var(--text-muted)' }}>Episode:</span>
+                      <span style={{ color: 'var(--accent)', fontWeight: 'bold' }}>{currentEpisode}</span>
                     </div>
                     <div className="info-item" style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
-                      <span style={{ color: '#D2B48C' }}>Episode Score:</span>
-                      <span style={{ color: '#FFD700', fontWeight: 'bold' }}>{episodeScore}</span>
+                      <span style={{ color: 'var(--text-muted)' }}>Episode Score:</span>
+                      <span style={{ color: 'var(--accent)', fontWeight: 'bold' }}>{episodeScore}</span>
                     </div>
                     <div className="info-item" style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
-                      <span style={{ color: '#D2B48C' }}>Total Score:</span>
-                      <span style={{ color: '#FFD700', fontWeight: 'bold' }}>{score}</span>
+                      <span style={{ color: 'var(--text-muted)' }}>Total Score:</span>
+                      <span style={{ color: 'var(--accent)', fontWeight: 'bold' }}>{score}</span>
                     </div>
                     <div className="info-item" style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
-                      <span style={{ color: '#D2B48C' }}>Steps:</span>
-                      <span style={{ color: '#FFD700', fontWeight: 'bold' }}>{episodeSteps}</span>
+                      <span style={{ color: 'var(--text-muted)' }}>Steps:</span>
+                      <span style={{ color: 'var(--accent)', fontWeight: 'bold' }}>{episodeSteps}</span>
                     </div>
                     <div className="info-item" style={{ display: 'flex', justifyContent: 'space-between' }}>
-                      <span style={{ color: '#D2B48C' }}>Algorithm:</span>
-                      <span style={{ color: '#FFD700', fontWeight: 'bold' }}>{algorithmConfigs[selectedAlgorithm].name}</span>
+                      <span style={{ color: 'var(--text-muted)' }}>Algorithm:</span>
+                      <span style={{ color: 'var(--accent)', fontWeight: 'bold' }}>{algorithmConfigs[selectedAlgorithm].name}</span>
                     </div>
                   </div>
                 </div>
@@ -1438,10 +1615,10 @@ function AILearningView({ onNavigate }) {
         )}
 
         <div className="ai-visualization-section" style={{
-          background: 'rgba(139, 69, 19, 0.3)',
+          background: 'var(--block-container-bg)',
           padding: '20px',
           borderRadius: '12px',
-          border: '2px solid #8B4513'
+          border: '2px solid var(--panel-border)'
         }}>
           <div className="visualization-header" style={{
             display: 'flex',
@@ -1449,7 +1626,7 @@ function AILearningView({ onNavigate }) {
             alignItems: 'center',
             marginBottom: '15px'
           }}>
-            <h4 style={{ color: '#FFD700', margin: 0 }}>📊 AI Performance Analytics</h4>
+            <h4 style={{ color: 'var(--accent)', margin: 0 }}>📊 AI Performance Analytics</h4>
             <button 
               className="toggle-btn"
               onClick={() => setVisualTraining(!visualTraining)}
@@ -1457,7 +1634,7 @@ function AILearningView({ onNavigate }) {
                 padding: '8px 12px',
                 borderRadius: '6px',
                 border: 'none',
-                background: visualTraining ? 'linear-gradient(145deg, #28a745, #20c997)' : 'rgba(139, 69, 19, 0.5)',
+                background: visualTraining ? 'linear-gradient(145deg, #28a745, #20c997)' : 'var(--panel-bg)',
                 color: 'white',
                 fontWeight: 'bold',
                 fontSize: '12px'
@@ -1479,13 +1656,13 @@ function AILearningView({ onNavigate }) {
         {/* Test Results */}
         {testResults && (
           <div className="test-results" style={{
-            background: 'rgba(139, 69, 19, 0.3)',
+            background: 'var(--block-container-bg)',
             padding: '20px',
             borderRadius: '12px',
-            border: '2px solid #8B4513',
+            border: '2px solid var(--panel-border)',
             marginTop: '20px'
           }}>
-            <h4 style={{ color: '#FFD700', marginBottom: '15px' }}>🧪 Test Results</h4>
+            <h4 style={{ color: 'var(--accent)', marginBottom: '15px' }}>🧪 Test Results</h4>
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '10px' }}>
               {Object.entries(testResults).map(([test, passed]) => (
                 <div key={test} style={{
@@ -1,4 +1,5 @@
 import React, { useEffect, useRef, useCallback } from 'react';
+import { getChartColors } from '../utils/themes';
 
 function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyNetwork = false }) {
   const scoreChartRef = useRef(null);
@@ -39,6 +40,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     scoreChartRef.current.appendChild(canvas);
     
     const ctx = canvas.getContext('2d');
+    const colors = getChartColors();
     const scores = trainingStats.scores.slice(-100); // Show last 100 episodes
     
     if (scores.length === 0) return;
@@ -53,11 +55,11 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     const scoreRange = maxScore - minScore || 1;
     
     // Clear and setup
-    ctx.fillStyle = '#1a1a1a';
+    ctx.fillStyle = colors.background;
     ctx.fillRect(0, 0, canvas.width, canvas.height);
     
     // Grid
-    ctx.strokeStyle = '#333';
+    ctx.strokeStyle = colors.grid;
     ctx.lineWidth = 1;
     for (let i = 0; i <= 5; i++) {
       const y = padding + (i / 5) * chartHeight;
@@ -68,7 +70,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     }
     
     // Score line
-    ctx.strokeStyle = '#4CAF50';
+    ctx.strokeStyle = colors.series[0];
     ctx.lineWidth = 2;
     ctx.beginPath();
     
@@ -87,7 +89,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     // Moving average
     const movingAvg = getMovingAverage(scores, 10);
     if (movingAvg.length > 1) {
-      ctx.strokeStyle = '#FFD700';
+      ctx.strokeStyle = colors.series[1];
       ctx.lineWidth = 3;
       ctx.beginPath();
       
@@ -107,7 +109,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     // Best score line
     if (trainingStats.bestScore > 0) {
       const bestY = padding + (1 - (trainingStats.bestScore - minScore) / scoreRange) * chartHeight;
-      ctx.strokeStyle = '#FF4444';
+      ctx.strokeStyle = colors.series[2];
       ctx.lineWidth = 1;
       ctx.setLineDash([5, 5]);
       ctx.beginPath();
@@ -118,7 +120,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     }
     
     // Labels
-    ctx.fillStyle = '#FFD700';
+    ctx.fillStyle = colors.text;
     ctx.font = '12px Arial';
     ctx.textAlign = 'left';
     
@@ -152,6 +154,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     rewardChartRef.current.appendChild(canvas);
     
     const ctx = canvas.getContext('2d');
+    const colors = getChartColors();
     const rewards = trainingStats.rewards.slice(-100);
     
     if (rewards.length === 0) return;
@@ -166,11 +169,11 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     const rewardRange = maxReward - minReward || 1;
     
     // Clear and setup
-    ctx.fillStyle = '#1a1a1a';
+    ctx.fillStyle = colors.background;
     ctx.fillRect(0, 0, canvas.width, canvas.height);
     
     // Grid
-    ctx.strokeStyle = '#333';
+    ctx.strokeStyle = colors.grid;
     ctx.lineWidth = 1;
     for (let i = 0; i <= 5; i++) {
       const y = padding + (i / 5) * chartHeight;
@@ -183,7 +186,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     // Zero line
     if (minReward < 0 && maxReward > 0) {
       const zeroY = padding + (1 - (0 - minReward) / rewardRange) * chartHeight;
-      ctx.strokeStyle = '#666';
+      ctx.strokeStyle = colors.axis;
       ctx.lineWidth = 1;
       ctx.setLineDash([3, 3]);
       ctx.beginPath();
@@ -194,7 +197,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     }
     
     // Reward line
-    ctx.strokeStyle = '#2196F3';
+    ctx.strokeStyle = colors.series[3];
     ctx.lineWidth = 2;
     ctx.beginPath();
     
@@ -213,7 +216,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     // Moving average
     const movingAvg = getMovingAverage(rewards, 10);
     if (movingAvg.length > 1) {
-      ctx.strokeStyle = '#FF9800';
+      ctx.strokeStyle = colors.series[4];
       ctx.lineWidth = 2;
       ctx.beginPath();
       
@@ -231,7 +234,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     }
     
     // Labels
-    ctx.fillStyle = '#FFD700';
+    ctx.fillStyle = colors.text;
     ctx.font = '12px Arial';
     ctx.textAlign = 'left';
     
@@ -265,6 +268,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     lossChartRef.current.appendChild(canvas);
     
     const ctx = canvas.getContext('2d');
+    const colors = getChartColors();
     const losses = trainingStats.losses.slice(-100);
     
     if (losses.length === 0) return;
@@ -279,11 +283,11 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     const lossRange = maxLoss - minLoss || 1;
     
     // Clear and setup
-    ctx.fillStyle = '#1a1a1a';
+    ctx.fillStyle = colors.background;
     ctx.fillRect(0, 0, canvas.width, canvas.height);
     
     // Grid
-    ctx.strokeStyle = '#333';
+    ctx.strokeStyle = colors.grid;
     ctx.lineWidth = 1;
     for (let i = 0; i <= 5; i++) {
       const y = padding + (i / 5) * chartHeight;
@@ -294,7 +298,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     }
     
     // Loss line
-    ctx.strokeStyle = '#F44336';
+    ctx.strokeStyle = colors.series[2];
     ctx.lineWidth = 2;
     ctx.beginPath();
     
@@ -313,7 +317,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     // Moving average
     const movingAvg = getMovingAverage(losses, 10);
     if (movingAvg.length > 1) {
-      ctx.strokeStyle = '#9C27B0';
+      ctx.strokeStyle = colors.series[5];
       ctx.lineWidth = 2;
       ctx.beginPath();
       
@@ -331,7 +335,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     }
     
     // Labels
-    ctx.fillStyle = '#FFD700';
+    ctx.fillStyle = colors.text;
     ctx.font = '12px Arial';
     ctx.textAlign = 'left';
     
@@ -365,9 +369,10 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     networkRef.current.appendChild(canvas);
     
     const ctx = canvas.getContext('2d');
+    const colors = getChartColors();
     
     // Clear canvas
-    ctx.fillStyle = '#1a1a1a';
+    ctx.fillStyle = colors.background;
     ctx.fillRect(0, 0, canvas.width, canvas.height);
     
     // Network architecture visualization
@@ -375,30 +380,30 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     
     if (trainingStats.algorithm.includes('DQN')) {
       // DQN architecture
-      layers.push({ name: 'Input', neurons: 'State', color: '#4CAF50' });
-      layers.push({ name: 'Hidden 1', neurons: '128', color: '#2196F3' });
-      layers.push({ name: 'Hidden 2', neurons: '128', color: '#2196F3' });
-      layers.push({ name: 'Hidden 3', neurons: '64', color: '#2196F3' });
-      layers.push({ name: 'Output', neurons: 'Actions', color: '#FF9800' });
+      layers.push({ name: 'Input', neurons: 'State', color: colors.series[0] });
+      layers.push({ name: 'Hidden 1', neurons: '128', color: colors.series[3] });
+      layers.push({ name: 'Hidden 2', neurons: '128', color: colors.series[3] });
+      layers.push({ name: 'Hidden 3', neurons: '64', color: colors.series[3] });
+      layers.push({ name: 'Output', neurons: 'Actions', color: colors.series[4] });
     } else if (trainingStats.algorithm.includes('Policy')) {
       // Policy Gradient architecture
-      layers.push({ name: 'Input', neurons: 'State', color: '#4CAF50' });
-      layers.push({ name: 'Hidden 1', neurons: '128', color: '#9C27B0' });
-      layers.push({ name: 'Hidden 2', neurons: '128', color: '#9C27B0' });
-      layers.push({ name: 'Hidden 3', neurons: '64', color: '#9C27B0' });
-      layers.push({ name: 'Policy', neurons: 'Softmax', color: '#E91E63' });
+      layers.push({ name: 'Input', neurons: 'State', color: colors.series[0] });
+      layers.push({ name: 'Hidden 1', neurons: '128', color: colors.series[5] });
+      layers.push({ name: 'Hidden 2', neurons: '128', color: colors.series[5] });
+      layers.push({ name: 'Hidden 3', neurons: '64', color: colors.series[5] });
+      layers.push({ name: 'Policy', neurons: 'Softmax', color: colors.series[2] });
     } else {
       // Generic network
-      layers.push({ name: 'Input', neurons: 'State', color: '#4CAF50' });
-      layers.push({ name: 'Processing', neurons: 'Rules', color: '#607D8B' });
-      layers.push({ name: 'Output', neurons: 'Action', color: '#FF9800' });
+      layers.push({ name: 'Input', neurons: 'State', color: colors.series[0] });
+      layers.push({ name: 'Processing', neurons: 'Rules', color: colors.axis });
+      layers.push({ name: 'Output', neurons: 'Action', color: colors.series[4] });
     }
     
     const layerWidth = canvas.width / layers.length;
     const centerY = canvas.height / 2;
 
     // Draw connections
-    ctx.strokeStyle = '#444';
+    ctx.strokeStyle = colors.axis;
     ctx.lineWidth = 1;
     for (let i = 0; i < layers.length - 1; i++) {
       const x1 = (i + 0.5) * layerWidth;
@@ -430,7 +435,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
       }
       
       // Draw layer label
-      ctx.fillStyle = '#FFD700';
+      ctx.fillStyle = colors.text;
       ctx.font = '12px Arial';
       ctx.textAlign = 'center';
       ctx.fillText(layer.name, x, centerY + 60);
@@ -438,7 +443,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     });
     
     // Title
-    ctx.fillStyle = '#FFD700';
+    ctx.fillStyle = colors.text;
     ctx.font = 'bold 16px Arial';
     ctx.textAlign = 'center';
     ctx.fillText(`${trainingStats.algorithm} Architecture`, canvas.width / 2, 25);
@@ -449,21 +454,21 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
     if (trainingStats.supportsTraining) {
       indicators.push({
         text: `Training: ${isTraining ? 'ACTIVE' : 'STOPPED'}`,
-        color: isTraining ? '#4CAF50' : '#F44336'
+        color: isTraining ? colors.series[0] : colors.series[2]
       });
     }
     
     if (trainingStats.epsilon !== undefined) {
       indicators.push({
         text: `Exploration: ${(trainingStats.epsilon * 100).toFixed(1)}%`,
-        color: '#2196F3'
+        color: colors.series[3]
       });
     }
     
     if (trainingStats.avgDecisionTime !== undefined) {
       indicators.push({
         text: `Decision: ${trainingStats.avgDecisionTime.toFixed(1)}ms`,
-        color: '#FF9800'
+        color: colors.series[4]
       });
     }
     
@@ -559,14 +564,14 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
   if (!trainingStats || Object.keys(trainingStats).length === 0) {
     return (
       <div className="ai-visualization" style={{
-        background: 'rgba(139, 69, 19, 0.2)',
+        background: 'var(--panel-bg-soft)',
         padding: '20px',
         borderRadius: '10px',
-        border: '2px solid #8B4513',
+        border: '2px solid var(--panel-border)',
         textAlign: 'center'
       }}>
-        <h4 style={{ color: '#FFD700', marginBottom: '10px' }}>🤖 AI Visualization</h4>
-        <p style={{ color: '#D2B48C' }}>No training data available yet. Start training to see visualizations!</p>
+        <h4 style={{ color: 'var(--accent)', marginBottom: '10px' }}>🤖 AI Visualization</h4>
+        <p style={{ color: 'var(--text-muted)' }}>No training data available yet. Start training to see visualizations!</p>
       </div>
     );
   }
@@ -577,13 +582,13 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
 
   return (
     <div className="ai-visualization" style={{
-      background: 'rgba(139, 69, 19, 0.2)',
+      background: 'var(--panel-bg-soft)',
       padding: '20px',
       borderRadius: '10px',
-      border: '2px solid #8B4513'
+      border: '2px solid var(--panel-border)'
     }}>
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
-        <h4 style={{ color: '#FFD700', margin: 0 }}>
+        <h4 style={{ color: 'var(--accent)', margin: 0 }}>
           🤖 {trainingStats.algorithm || 'AI'} Visualization
         </h4>
         
@@ -635,23 +640,23 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
         marginBottom: '20px'
       }}>
         <div style={{ textAlign: 'center' }}>
-          <div style={{ color: '#D2B48C', fontSize: '12px' }}>Episodes</div>
-          <div style={{ color: '#FFD700', fontSize: '18px', fontWeight: 'bold' }}>
+          <div style={{ color: 'var(--text-muted)', fontSize: '12px' }}>Episodes</div>
+          <div style={{ color: 'var(--accent)', fontSize: '18px', fontWeight: 'bold' }}>
             {trainingStats.episode || 0}
           </div>
         </div>
         
         <div style={{ textAlign: 'center' }}>
-          <div style={{ color: '#D2B48C', fontSize: '12px' }}>Best Score</div>
-          <div style={{ color: '#4CAF50', fontSize: '18px', fontWeight: 'bold' }}>
+          <div style={{ color: 'var(--text-muted)', fontSize: '12px' }}>Best Score</div>
+          <div style={{ color: 'var(--chart-series-1)', fontSize: '18px', fontWeight: 'bold' }}>
             {formatNumber(trainingStats.bestScore || 0)}
           </div>
         </div>
         
         {trainingStats.avgScore !== undefined && (
           <div style={{ textAlign: 'center' }}>
-            <div style={{ color: '#D2B48C', fontSize: '12px' }}>Avg Score</div>
-            <div style={{ color: '#2196F3', fontSize: '18px', fontWeight: 'bold' }}>
+            <div style={{ color: 'var(--text-muted)', fontSize: '12px' }}>Avg Score</div>
+            <div style={{ color: 'var(--chart-series-4)', fontSize: '18px', fontWeight: 'bold' }}>
               {formatNumber(trainingStats.avgScore)}
             </div>
         </div>
@@ -659,8 +664,8 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
 
         {trainingStats.avgDecisionTime !== undefined && (
           <div style={{ textAlign: 'center' }}>
-            <div style={{ color: '#D2B48C', fontSize: '12px' }}>Decision Time</div>
-            <div style={{ color: '#FF9800', fontSize: '18px', fontWeight: 'bold' }}>
+            <div style={{ color: 'var(--text-muted)', fontSize: '12px' }}>Decision Time</div>
+            <div style={{ color: 'var(--chart-series-5)', fontSize: '18px', fontWeight: 'bold' }}>
               {trainingStats.avgDecisionTime.toFixed(1)}ms
       </div>
           </div>
@@ -668,8 +673,8 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
         
         {trainingStats.avgLoss !== undefined && (
           <div style={{ textAlign: 'center' }}>
-            <div style={{ color: '#D2B48C', fontSize: '12px' }}>Training Loss</div>
-            <div style={{ color: '#F44336', fontSize: '18px', fontWeight: 'bold' }}>
+            <div style={{ color: 'var(--text-muted)', fontSize: '12px' }}>Training Loss</div>
+            <div style={{ color: 'var(--chart-series-3)', fontSize: '18px', fontWeight: 'bold' }}>
               {formatNumber(trainingStats.avgLoss)}
           </div>
         </div>
@@ -677,8 +682,8 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
         
         {trainingStats.memorySize !== undefined && trainingStats.memorySize > 0 && (
           <div style={{ textAlign: 'center' }}>
-            <div style={{ color: '#D2B48C', fontSize: '12px' }}>Memory</div>
-            <div style={{ color: '#9C27B0', fontSize: '18px', fontWeight: 'bold' }}>
+            <div style={{ color: 'var(--text-muted)', fontSize: '12px' }}>Memory</div>
+            <div style={{ color: 'var(--chart-series-6)', fontSize: '18px', fontWeight: 'bold' }}>
               {trainingStats.memorySize}
             </div>
           </div>
@@ -686,7 +691,7 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
         
         {trainingStats.epsilon !== undefined && (
           <div style={{ textAlign: 'center' }}>
-            <div style={{ color: '#D2B48C', fontSize: '12px' }}>Exploration</div>
+            <div style={{ color: 'var(--text-muted)', fontSize: '12px' }}>Exploration</div>
             <div style={{ color: '#00BCD4', fontSize: '18px', fontWeight: 'bold' }}>
               {(trainingStats.epsilon * 100).toFixed(1)}%
             </div>
@@ -704,10 +709,10 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
         }}>
           {trainingStats.scores && trainingStats.scores.length > 0 && (
             <div style={{
-              background: 'rgba(0, 0, 0, 0.3)',
+              background: 'var(--chart-bg)',
           borderRadius: '8px', 
               padding: '10px',
-              border: '1px solid #8B4513'
+              border: '1px solid var(--panel-border)'
             }}>
               <div ref={scoreChartRef} />
           </div>
@@ -715,10 +720,10 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
           
           {trainingStats.rewards && trainingStats.rewards.length > 0 && (
             <div style={{
-              background: 'rgba(0, 0, 0, 0.3)',
+              background: 'var(--chart-bg)',
           borderRadius: '8px', 
               padding: '10px',
-              border: '1px solid #8B4513'
+              border: '1px solid var(--panel-border)'
         }}>
               <div ref={rewardChartRef} />
           </div>
@@ -726,10 +731,10 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
           
           {trainingStats.losses && trainingStats.losses.length > 0 && trainingStats.supportsTraining && (
             <div style={{
-              background: 'rgba(0, 0, 0, 0.3)',
+              background: 'var(--chart-bg)',
             borderRadius: '8px', 
               padding: '10px',
-              border: '1px solid #8B4513'
+              border: '1px solid var(--panel-border)'
           }}>
               <div ref={lossChartRef} />
           </div>
@@ -740,10 +745,10 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
       {/* Network Architecture */}
       {(trainingStats.algorithm?.includes('DQN') || trainingStats.algorithm?.includes('Policy')) && (
         <div style={{
-          background: 'rgba(0, 0, 0, 0.3)',
+          background: 'var(--chart-bg)',
           borderRadius: '8px', 
           padding: '10px',
-          border: '1px solid #8B4513',
+          border: '1px solid var(--panel-border)',
           textAlign: 'center'
         }}>
           <div ref={networkRef} />
@@ -756,12 +761,12 @@ function AIVisualization({ trainingStats, isTraining, compact = false, showOnlyN
         padding: '10px',
         background: 'rgba(255, 215, 0, 0.1)',
         borderRadius: '5px',
-        border: '1px solid #FFD700'
+        border: '1px solid var(--accent)'
       }}>
-        <div style={{ color: '#FFD700', fontSize: '12px', fontWeight: 'bold', marginBottom: '5px' }}>
+        <div style={{ color: 'var(--accent)', fontSize: '12px', fontWeight: 'bold', marginBottom: '5px' }}>
           Algorithm: {trainingStats.algorithm || 'Unknown'}
               </div>
-        <div style={{ color: '#D2B48C', fontSize: '11px' }}>
+        <div style={{ color: 'var(--text-muted)', fontSize: '11px' }}>
           {trainingStats.supportsTraining ? '🎓 Supports Training' : '🚀 No Training Required'} | 
           {trainingStats.supportsVisualization ? ' 📊 Full Visualization' : ' 📈 Basic Stats'}
           {trainingStats.trainingSteps > 0 && ` | ${trainingStats.trainingSteps} Training Steps`}
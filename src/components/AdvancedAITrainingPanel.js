@@ -3,6 +3,7 @@ import { EliteDQNAgent } from '../ai/EliteDQNAgent';
 import { AlgorithmSelector } from '../ai/AdvancedAIAgents';
 import { EliteEnvironment } from '../ai/EliteEnvironment';
 import AIVisualization from './AIVisualization';
+import { useSettings } from './SettingsProvider';
 
 function AdvancedAITrainingPanel({ 
   grid, 
@@ -13,6 +14,8 @@ function AdvancedAITrainingPanel({
   gameOver,
   onResetGame 
 }) {
+  const { settings, updateSetting } = useSettings();
+  const playSpeed = settings.aiSpeed; // ms between moves while the AI plays
   const [selectedAlgorithm, setSelectedAlgorithm] = useState('heuristic'); // Start with fastest
   const [agent, setAgent] = useState(null);
   const [environment, setEnvironment] = useState(null);
@@ -21,11 +24,11 @@ function AdvancedAITrainingPanel({
   const [trainingStats, setTrainingStats] = useState({});
   const [trainingEpisodes, setTrainingEpisodes] = useState(500); // Increased for better training
   const [autoPlay, setAutoPlay] = useState(false);
-  const [playSpeed, setPlaySpeed] = useState(500);
   const [algorithmComparison, setAlgorithmComparison] = useState({});
   
   const trainingIntervalRef = useRef(null);
   const playIntervalRef = useRef(null);
+  const playMoveRef = useRef(null); // Latest makeAIMove, for the play interval
   const episodeRef = useRef(0);
 
   // Algorithm configurations
@@ -242,9 +245,7 @@ function AdvancedAITrainingPanel({
     // Set environment to current game state
     environment.setState(grid, availableBlocks, score, difficulty);
     
-    playIntervalRef.current = setInterval(async () => {
-      await makeAIMove();
-    }, playSpeed);
+    playIntervalRef.current = setInterval(() => playMoveRef.current(), playSpeed);
   };
 
   const stopAIPlay = () => {
@@ -256,6 +257,13 @@ function AdvancedAITrainingPanel({
     console.log(`🛑 ${algorithmConfigs[selectedAlgorithm].displayName} play stopped`);
   };
 
+  // A new play speed applies to the game the AI is playing right now
+  useEffect(() => {
+    if (!playIntervalRef.current) return;
+    clearInterval(playIntervalRef.current);
+    playIntervalRef.current = setInterval(() => playMoveRef.current(), playSpeed);
+  }, [playSpeed]);
+
   const makeAIMove = async () => {
     if (!agent || !environment) return;
     
@@ -317,6 +325,7 @@ function AdvancedAITrainingPanel({
       console.error(`❌ AI move error:`, error);
     }
   };
+  playMoveRef.current = makeAIMove;
 
   const runAlgorithmComparison = async () => {
     console.log('🏁 Starting algorithm comparison...');
@@ -462,11 +471,10 @@ function AdvancedAITrainingPanel({
             <input
               type="range"
               value={playSpeed}
-              onChange={(e) => setPlaySpeed(parseInt(e.target.value))}
-              min="100"
+              onChange={(e) => updateSetting('aiSpeed', parseInt(e.target.value))}
+              min="50"
               max="2000"
-              step="100"
-              disabled={isPlaying}
+              step="50"
               style={{ marginLeft: '10px' }}
             />
             <span style={{ marginLeft: '10px' }}>{playSpeed}ms</span>
@@ -0,0 +1,27 @@
+import React from 'react';
+
+// Small, non-draggable drawing of a block shape
+function BlockPreview({ shape }) {
+  const maxCols = Math.max(...shape.map(row => row.length));
+
+  return (
+    <div
+      className="block preview"
+      style={{
+        gridTemplateColumns: `repeat(${maxCols}, 1fr)`,
+        gridTemplateRows: `repeat(${shape.length}, 1fr)`
+      }}
+    >
+      {shape.map((row, rowIndex) =>
+        row.map((cell, colIndex) => (
+          <div
+            key={`${rowIndex}-${colIndex}`}
+            className={`block-cell ${cell ? 'filled' : 'empty'}`}
+          />
+        ))
+      )}
+    </div>
+  );
+}
+
+export default BlockPreview;
@@ -1,7 +1,7 @@
 import React from 'react';
 import DraggableBlock from './DraggableBlock';
 
-function BlockTray({ blocks, disabled }) {
+function BlockTray({ blocks, disabled, hintIndex = null, selectedIndex = null, onSelect = null }) {
   return (
     <div className="block-tray" style={{
       display: 'flex',
@@ -19,6 +19,9 @@ function BlockTray({ blocks, disabled }) {
           shape={block}
           index={index}
           disabled={disabled}
+          hinted={index === hintIndex}
+          selected={index === selectedIndex}
+          onSelect={onSelect}
         />
       ))}
       {/* Fill remaining space if there are fewer than 3 blocks */}
@@ -29,12 +32,12 @@ function BlockTray({ blocks, disabled }) {
             width: '80px',
             height: '40px',
             minHeight: '40px',
-            border: '2px dashed rgba(139, 69, 19, 0.3)',
+            border: '2px dashed var(--placeholder-border)',
             borderRadius: '10px',
             display: 'flex',
             alignItems: 'center',
             justifyContent: 'center',
-            color: 'rgba(139, 69, 19, 0.5)',
+            color: 'var(--placeholder-text)',
             fontSize: '12px',
             fontStyle: 'italic'
           }}
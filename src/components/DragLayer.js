@@ -0,0 +1,60 @@
+import React, { useMemo } from 'react';
+import { useDragLayer } from 'react-dnd';
+
+const FALLBACK_CELL = { size: 25, gap: 0 };
+
+// Cell size and spacing of the board on screen, so the dragged piece is drawn
+// at the scale it will have once placed
+function measureBoardCells() {
+  const cells = document.querySelectorAll('.game-board .grid-cell');
+  if (cells.length < 2) return FALLBACK_CELL;
+
+  const first = cells[0].getBoundingClientRect();
+  const second = cells[1].getBoundingClientRect();
+  return { size: first.width, gap: Math.max(second.left - first.right, 0) };
+}
+
+// Draws the whole piece being dragged, with the cell it was picked up by
+// under the pointer (or fingerOffset pixels above a finger). The browser's
+// own drag image is turned off in DraggableBlock.
+function DragLayer({ fingerOffset = 0 }) {
+  const { item, isDragging, pointer } = useDragLayer((monitor) => ({
+    item: monitor.getItem(),
+    isDragging: monitor.isDragging(),
+    pointer: monitor.getClientOffset()
+  }));
+
+  // Measured once per drag; the board doesn't resize mid-drag
+  const cell = useMemo(() => (isDragging ? measureBoardCells() : FALLBACK_CELL), [isDragging]);
+
+  if (!isDragging || !pointer || !item?.shape) return null;
+
+  const { shape } = item;
+  const cols = Math.max(...shape.map(row => row.length));
+  const pitch = cell.size + cell.gap;
+  const anchorX = (item.dragCellCol || 0) * pitch + cell.size / 2;
+  const anchorY = (item.dragCellRow || 0) * pitch + cell.size / 2;
+
+  return (
+    <div
+      className="drag-layer"
+      style={{
+        transform: `translate(${pointer.x - anchorX}px, ${pointer.y - fingerOffset - anchorY}px)`,
+        gridTemplateColumns: `repeat(${cols}, ${cell.size}px)`,
+        gridTemplateRows: `repeat(${shape.length}, ${cell.size}px)`,
+        gap: `${cell.gap}px`
+      }}
+    >
+      {shape.map((row, rowIndex) =>
+        Array.from({ length: cols }, (_, colIndex) => (
+          <div
+            key={`${rowIndex}-${colIndex}`}
+            className={row[colIndex] ? 'drag-layer-cell' : ''}
+          />
+        ))
+      )}
+    </div>
+  );
+}
+
+export default DragLayer;
@@ -1,7 +1,9 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { useDrag } from 'react-dnd';
+import { getEmptyImage } from 'react-dnd-html5-backend';
+import { emitGameEvent } from '../utils/gameEvents';
 
-function DraggableBlock({ shape, index, disabled }) {
+function DraggableBlock({ shape, index, disabled, hinted = false, selected = false, onSelect = null }) {
   const renderBlock = () => {
     const maxCols = Math.max(...shape.map(row => row.length));
     
@@ -34,13 +36,17 @@ function DraggableBlock({ shape, index, disabled }) {
 
   // Individual cell component with drag functionality
   function DraggableBlockCell({ shape, blockIndex, cellRow, cellCol, isVisible, disabled }) {
-    const [{ isDragging }, drag] = useDrag({
+    const [{ isDragging }, drag, preview] = useDrag({
       type: 'block',
-      item: { 
-        shape, 
-        index: blockIndex,
-        dragCellRow: cellRow,
-        dragCellCol: cellCol
+      // Built when the drag starts
+      item: () => {
+        emitGameEvent({ type: 'pickup' });
+        return {
+          shape,
+          index: blockIndex,
+          dragCellRow: cellRow,
+          dragCellCol: cellCol
+        };
       },
       canDrag: !disabled && isVisible,
       collect: (monitor) => ({
@@ -48,6 +54,11 @@ function DraggableBlock({ shape, index, disabled }) {
       }),
     });
 
+    // DragLayer draws the whole piece instead of the browser's image of this cell
+    useEffect(() => {
+      preview(getEmptyImage(), { captureDraggingState: true });
+    }, [preview]);
+
     if (!isVisible) {
       return (
         <div
@@ -74,10 +85,15 @@ function DraggableBlock({ shape, index, disabled }) {
 
   return (
     <div
-      className={`block-container ${disabled ? 'disabled' : ''}`}
+      className={`block-container ${disabled ? 'disabled' : ''} ${hinted ? 'hinted' : ''} ${selected ? 'selected' : ''}`}
       style={{
         opacity: disabled ? 0.5 : 1,
       }}
+      // Clicking picks the piece up for click-to-place
+      onClick={onSelect && !disabled ? () => onSelect(index) : undefined}
+      role={onSelect ? 'button' : undefined}
+      aria-pressed={onSelect ? selected : undefined}
+      aria-label={onSelect ? `Piece ${index + 1}` : undefined}
     >
       {renderBlock()}
     </div>
@@ -1,161 +1,234 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useMemo } from 'react';
 import { useDrop } from 'react-dnd';
+import {
+  canPlaceBlock as canPlaceOnGrid,
+  findCompletedLines,
+  findNearestPlacement,
+  getValidPlacements,
+  hasSquares,
+  isBlockedCell,
+  placeBlockOnGrid,
+  SQUARE_SIZE
+} from '../utils/gameEngine';
 
-const GRID_SIZE = 9;
+// How many cells a dropped piece may be nudged to reach a spot where it fits
+const SNAP_TOLERANCE = 1;
 
-function GameBoard({ grid, onBlockPlace, availableBlocks, isPaused, difficulty }) {
-  const [dragPreview, setDragPreview] = useState(null);
-  const [previewPosition, setPreviewPosition] = useState({ row: -1, col: -1 });
+function GameBoard({ grid, onBlockPlace, availableBlocks, isPaused, blocked = null, readOnly = false, hint = null, ghost = null, fingerOffset = 0,
+  selectedShape = null, onCellClick = null, onCellHover = null, animation = null }) {
+  const [dragTarget, setDragTarget] = useState(null); // { shape, row, col } where the dragged piece would land
+  const boardRef = useRef(null);
+  const gridSize = grid.length;
 
   const [{ isOver }, drop] = useDrop({
     accept: 'block',
+    canDrop: () => !readOnly, // Replays show the board without accepting blocks
     drop: (item, monitor) => {
-      const clientOffset = monitor.getClientOffset();
-      const dropPosition = getDropPosition(clientOffset);
-      
-      if (dropPosition) {
-        // Calculate the actual placement position based on the dragged cell
-        const actualRow = dropPosition.row - (item.dragCellRow || 0);
-        const actualCol = dropPosition.col - (item.dragCellCol || 0);
-        
-        const success = onBlockPlace(
-          item.shape, 
-          actualRow, 
-          actualCol, 
-          item.index
-        );
-        if (success) {
-          setDragPreview(null);
-          setPreviewPosition({ row: -1, col: -1 });
-        }
+      // Drops where nothing fits still go to onBlockPlace, which turns them down
+      const target = getDropTarget(item, monitor) || getPointerTarget(item, monitor);
+      if (target && onBlockPlace(item.shape, target.row, target.col, item.index)) {
+        setDragTarget(null);
       }
     },
     hover: (item, monitor) => {
-      const clientOffset = monitor.getClientOffset();
-      const dropPosition = getDropPosition(clientOffset);
-      
-      if (dropPosition) {
-        // Calculate the actual placement position based on the dragged cell
-        const actualRow = dropPosition.row - (item.dragCellRow || 0);
-        const actualCol = dropPosition.col - (item.dragCellCol || 0);
-        
-        if (canPlaceBlock(item.shape, actualRow, actualCol)) {
-          setDragPreview(item.shape);
-          setPreviewPosition({ row: actualRow, col: actualCol });
-        } else {
-          setDragPreview(null);
-          setPreviewPosition({ row: -1, col: -1 });
-        }
-      } else {
-        setDragPreview(null);
-        setPreviewPosition({ row: -1, col: -1 });
-      }
+      if (readOnly) return;
+
+      const target = getDropTarget(item, monitor);
+      setDragTarget(target && { shape: item.shape, ...target });
     },
     collect: (monitor) => ({
-      isOver: !!monitor.isOver(),
+      isOver: !!monitor.isOver() && monitor.canDrop(),
     }),
   });
 
+  // Position of the piece's top-left cell under the pointer, from the cell it
+  // was picked up by. exactRow/exactCol are the unrounded position.
+  const getPointerTarget = (item, monitor) => {
+    const position = getDropPosition(getAimPoint(monitor));
+    if (!position) return null;
+
+    return {
+      row: position.row - (item.dragCellRow || 0),
+      col: position.col - (item.dragCellCol || 0),
+      exactRow: position.exactRow - 0.5 - (item.dragCellRow || 0),
+      exactCol: position.exactCol - 0.5 - (item.dragCellCol || 0)
+    };
+  };
+
+  // Where a dragged piece lands: right under the pointer if it fits there,
+  // otherwise the closest spot within SNAP_TOLERANCE cells, or nowhere
+  const getDropTarget = (item, monitor) => {
+    const target = getPointerTarget(item, monitor);
+    if (!target || isPaused) return null;
+
+    const { row, col, exactRow, exactCol } = target;
+    if (canPlaceBlock(item.shape, row, col)) return { row, col };
+    return findNearestPlacement(grid, item.shape, exactRow, exactCol, blocked, SNAP_TOLERANCE);
+  };
+
+  // Touch drags show the piece above the finger, so that's where they aim
+  const getAimPoint = (monitor) => {
+    const clientOffset = monitor.getClientOffset();
+    return clientOffset && { x: clientOffset.x, y: clientOffset.y - fingerOffset };
+  };
+
   const getDropPosition = (clientOffset) => {
     if (!clientOffset) return null;
     
-    const boardElement = document.querySelector('.game-board');
+    const boardElement = boardRef.current;
     if (!boardElement) return null;
+
+    // Measure the rendered cells rather than the board's CSS, so padding,
+    // borders, the smaller cells on phones and scale transforms are all
+    // covered. Half of each gap belongs to the cell on either side of it.
+    const cells = boardElement.getElementsByClassName('grid-cell');
+    if (cells.length < gridSize * gridSize) return null;
+
+    const first = cells[0].getBoundingClientRect();
+    const last = cells[gridSize * gridSize - 1].getBoundingClientRect();
+    const pitchX = (last.left - first.left) / (gridSize - 1);
+    const pitchY = (last.top - first.top) / (gridSize - 1);
+    if (!(pitchX > 0 && pitchY > 0)) return null;
+
+    // exactRow/exactCol are in cells: 2.5 is the middle of the third cell.
+    // Points just off the board are kept so drops there can snap back on.
+    const gapX = pitchX - first.width;
+    const gapY = pitchY - first.height;
+    const exactCol = (clientOffset.x - first.left + gapX / 2) / pitchX;
+    const exactRow = (clientOffset.y - first.top + gapY / 2) / pitchY;
     
-    const boardRect = boardElement.getBoundingClientRect();
-    const cellSize = (boardRect.width - 20 - (GRID_SIZE - 1) * 2) / GRID_SIZE; // Account for padding and gaps
-    
-    const relativeX = clientOffset.x - boardRect.left - 10; // Account for padding
-    const relativeY = clientOffset.y - boardRect.top - 10;
-    
-    const col = Math.floor(relativeX / (cellSize + 2)); // Account for gap
-    const row = Math.floor(relativeY / (cellSize + 2));
-    
-    if (row >= 0 && row < GRID_SIZE && col >= 0 && col < GRID_SIZE) {
-      return { row, col };
-    }
-    
-    return null;
+    return { row: Math.floor(exactRow), col: Math.floor(exactCol), exactRow, exactCol };
   };
 
   const canPlaceBlock = (blockShape, startRow, startCol) => {
     if (isPaused) return false;
-    
-    for (let row = 0; row < blockShape.length; row++) {
-      for (let col = 0; col < blockShape[row].length; col++) {
-        if (blockShape[row][col]) {
-          const gridRow = startRow + row;
-          const gridCol = startCol + col;
-          
-          if (gridRow >= GRID_SIZE || gridCol >= GRID_SIZE || 
-              gridRow < 0 || gridCol < 0 || grid[gridRow][gridCol]) {
-            return false;
-          }
-          
-          // Check blocked center square in hard mode
-          if (difficulty === 'hard' && 
-              gridRow >= 3 && gridRow <= 5 && 
-              gridCol >= 3 && gridCol <= 5) {
-            return false;
-          }
-        }
-      }
-    }
-    return true;
+    return canPlaceOnGrid(grid, blockShape, startRow, startCol, blocked);
   };
 
-  const shouldHighlightCell = (row, col) => {
-    if (!dragPreview || previewPosition.row === -1) return false;
-    
-    const relativeRow = row - previewPosition.row;
-    const relativeCol = col - previewPosition.col;
-    
-    if (relativeRow >= 0 && relativeRow < dragPreview.length &&
-        relativeCol >= 0 && relativeCol < dragPreview[0].length) {
-      return dragPreview[relativeRow][relativeCol];
-    }
-    
-    return false;
-  };
+  // Whether a piece ({ shape, row, col }) covers the cell
+  const coversCell = (piece, row, col) => Boolean(piece?.shape?.[row - piece.row]?.[col - piece.col]);
+
+  // The keyboard ghost ({ shape, row, col }) uses the drag preview's highlight
+  // where it fits and is marked invalid where it doesn't. Dragging wins.
+  const isDragging = isOver && dragTarget !== null;
+  const ghostFits = Boolean(ghost) && canPlaceBlock(ghost.shape, ghost.row, ghost.col);
+  const preview = isDragging ? dragTarget : (ghostFits ? ghost : null);
+
+  // Rows, columns and squares the previewed placement would complete
+  const completed = preview
+    ? findCompletedLines(placeBlockOnGrid(grid, preview.shape, preview.row, preview.col), blocked)
+    : null;
+
+  const shouldHighlightCell = (row, col) => coversCell(preview, row, col);
+
+  const willClearCell = (row, col) => Boolean(completed) && (
+    completed.rows.includes(row) ||
+    completed.cols.includes(col) ||
+    completed.squares.some(square =>
+      square.row === Math.floor(row / SQUARE_SIZE) && square.col === Math.floor(col / SQUARE_SIZE))
+  );
+
+  const isInvalidGhostCell = (row, col) => !isDragging && !ghostFits && coversCell(ghost, row, col);
+
+  // With a piece selected by clicking, every cell its top-left could go on
+  const anchors = useMemo(() => {
+    if (!selectedShape || isPaused || readOnly) return null;
+    return new Set(getValidPlacements(grid, selectedShape, blocked).map(({ row, col }) => `${row},${col}`));
+  }, [grid, selectedShape, blocked, isPaused, readOnly]);
+
+  const isAnchorCell = (row, col) => Boolean(anchors?.has(`${row},${col}`));
+
+  // Cells animated for the last move (see getMoveAnimation): cell -> delay
+  // for cleared cells, and the set of newly placed ones
+  const { clearDelays, placedCells } = useMemo(() => ({
+    clearDelays: new Map((animation?.cleared || []).map(({ row, col, delay }) => [`${row},${col}`, delay])),
+    placedCells: new Set((animation?.placed || []).map(({ row, col }) => `${row},${col}`))
+  }), [animation]);
+
+  // Cells the suggested move ({ shape, row, col }) would fill
+  const isHintCell = (row, col) => coversCell(hint, row, col);
 
   const getSquareBorderClasses = (rowIndex, colIndex) => {
+    // Boards that don't divide into 3x3 squares have no square separators
+    if (!hasSquares(gridSize)) return '';
+
     let classes = '';
-    // Add right border for 3x3 square separation (columns 2 and 5)
-    if (colIndex === 2 || colIndex === 5) {
+    // Add right border after every 3x3 square except the last (columns 2 and 5 on 9x9)
+    if ((colIndex + 1) % SQUARE_SIZE === 0 && colIndex < gridSize - 1) {
       classes += ' square-border-right';
     }
-    // Add bottom border for 3x3 square separation (rows 2 and 5)
-    if (rowIndex === 2 || rowIndex === 5) {
+    // Add bottom border after every 3x3 square except the last (rows 2 and 5 on 9x9)
+    if ((rowIndex + 1) % SQUARE_SIZE === 0 && rowIndex < gridSize - 1) {
       classes += ' square-border-bottom';
     }
     return classes;
   };
 
-  const isCenterBlocked = (rowIndex, colIndex) => {
-    return difficulty === 'hard' && 
-           rowIndex >= 3 && rowIndex <= 5 && 
-           colIndex >= 3 && colIndex <= 5;
+  const isObstacle = (rowIndex, colIndex) => {
+    return isBlockedCell(blocked, rowIndex, colIndex);
   };
 
   return (
     <div 
-      ref={drop}
-      className={`game-board ${isOver ? 'drag-over' : ''}`}
+      ref={(node) => {
+        boardRef.current = node;
+        drop(node);
+      }}
+      className={`game-board ${isOver ? 'drag-over' : ''} ${anchors ? 'selecting' : ''}`}
+      style={{ gridTemplateColumns: `repeat(${gridSize}, 1fr)` }}
     >
       {grid.map((row, rowIndex) =>
-        row.map((cell, colIndex) => (
-          <div
-            key={`${rowIndex}-${colIndex}`}
-            className={`grid-cell ${
-              cell ? 'occupied' : ''
-            } ${
-              shouldHighlightCell(rowIndex, colIndex) ? 'highlight' : ''
-            } ${
-              isCenterBlocked(rowIndex, colIndex) ? 'blocked' : ''
-            }${getSquareBorderClasses(rowIndex, colIndex)}`}
-          />
-        ))
+        row.map((cell, colIndex) => {
+          const cellKey = `${rowIndex},${colIndex}`;
+          const clearDelay = clearDelays.get(cellKey);
+          const isPlaced = placedCells.has(cellKey);
+          // Animated cells are keyed by the animation so it restarts every move
+          const animationKey = clearDelay !== undefined || isPlaced ? `-${animation.id}` : '';
+
+          return (
+            <div
+              key={`${rowIndex}-${colIndex}${animationKey}`}
+              className={`grid-cell ${
+                cell ? 'occupied' : ''
+              } ${
+                shouldHighlightCell(rowIndex, colIndex) ? 'highlight' : ''
+              } ${
+                isInvalidGhostCell(rowIndex, colIndex) ? 'ghost-invalid' : ''
+              } ${
+                willClearCell(rowIndex, colIndex) ? 'will-clear' : ''
+              } ${
+                isHintCell(rowIndex, colIndex) ? 'hint' : ''
+              } ${
+                isAnchorCell(rowIndex, colIndex) ? 'anchor' : ''
+              } ${
+                isObstacle(rowIndex, colIndex) ? 'blocked' : ''
+              } ${
+                clearDelay !== undefined ? 'clearing' : ''
+              } ${
+                isPlaced ? 'placed' : ''
+              }${getSquareBorderClasses(rowIndex, colIndex)}`}
+              style={clearDelay !== undefined ? { animationDelay: `${clearDelay}ms` } : undefined}
+              data-row={rowIndex}
+              data-col={colIndex}
+              onClick={anchors && onCellClick ? () => onCellClick(rowIndex, colIndex) : undefined}
+              onMouseEnter={anchors && onCellHover ? () => onCellHover(rowIndex, colIndex) : undefined}
+            />
+          );
+        })
       )}
+      {animation?.popups.map((popup, index) => (
+        <div
+          key={`${animation.id}-${index}`}
+          className="score-popup"
+          style={{
+            left: `${((popup.col + 0.5) / gridSize) * 100}%`,
+            top: `${((popup.row + 0.5) / gridSize) * 100}%`
+          }}
+        >
+          +{popup.points.toLocaleString()}
+          {popup.multiplier && <span className="score-popup-combo">x{popup.multiplier}</span>}
+        </div>
+      ))}
     </div>
   );
 }
@@ -1,23 +1,47 @@
 import React from 'react';
 
-function GameOverModal({ score, bestScore, isNewBest, onRestart }) {
+function GameOverModal({ score, bestScore, isNewBest, timeUp = false, hintsUsed = null, onRestart, onUndo, onWatchReplay, onDownloadReplay }) {
   return (
     <div className="game-over-overlay">
       <div className="game-over-modal">
         <div className="game-over-title">
-          {isNewBest ? '🎉 New Best Score!' : 'Game Over'}
+          {isNewBest ? '🎉 New Best Score!' : timeUp ? "⏰ Time's Up!" : 'Game Over'}
         </div>
         <div className="final-score">
           Final Score: {score.toLocaleString()}
         </div>
+        {hintsUsed !== null && (
+          <div className="hints-used">
+            💡 Hints used: {hintsUsed}
+          </div>
+        )}
         {isNewBest && (
-          <div style={{ fontSize: '18px', color: '#FFD700', marginBottom: '20px' }}>
+          <div style={{ fontSize: '18px', color: 'var(--accent)', marginBottom: '20px' }}>
             You beat your previous best of {bestScore !== score ? bestScore.toLocaleString() : '0'}!
           </div>
         )}
         <button className="btn" onClick={onRestart}>
           🔄 Play Again
         </button>
+        {onUndo && (
+          <button className="btn" onClick={onUndo} style={{ marginLeft: '10px' }}>
+            ↩️ Undo Last Move
+          </button>
+        )}
+        {(onWatchReplay || onDownloadReplay) && (
+          <div style={{ display: 'flex', gap: '10px', justifyContent: 'center', marginTop: '15px' }}>
+            {onWatchReplay && (
+              <button className="btn" onClick={onWatchReplay}>
+                🎬 Watch Replay
+              </button>
+            )}
+            {onDownloadReplay && (
+              <button className="btn" onClick={onDownloadReplay}>
+                ⬇️ Download Replay
+              </button>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,274 +1,502 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { DndProvider } from 'react-dnd';
-import { HTML5Backend } from 'react-dnd-html5-backend';
 import GameBoard from './GameBoard';
 import BlockTray from './BlockTray';
+import HoldSlot from './HoldSlot';
+import UpcomingPieces from './UpcomingPieces';
 import ScoreDisplay from './ScoreDisplay';
 import GameOverModal from './GameOverModal';
-import { generateRandomBlocks, checkGameOver } from '../utils/gameLogic';
+import PuzzleResultModal from './PuzzleResultModal';
+import DragLayer from './DragLayer';
+import { useSettings } from './SettingsProvider';
+import { canUpcomingSetChange, createSeededGame, playMove } from '../utils/gameLogic';
+import { getClearEvent, getValidPlacements, GRID_SIZE } from '../utils/gameEngine';
+import { createRandomSeed, parseSeed } from '../utils/random';
+import { canRedo, canUndo, createHistory, pushHistory, redo, undo } from '../utils/history';
+import { clearSavedGame, loadSavedGame, saveGame } from '../utils/savedGame';
+import { createReplay, downloadReplay, saveReplay } from '../utils/replay';
+import { emitGameEvent, emitGameEvents } from '../utils/gameEvents';
+import { areAnimationsEnabled, getMoveAnimation } from '../utils/animations';
+import { getDistributionProfile } from '../utils/pieces';
+import { DEFAULT_POLICY, GENERATOR_POLICIES } from '../utils/generatorPolicy';
+import { loadBestScore, saveBestScore } from '../utils/bestScores';
+import { getObstacleCount, getSkillEstimate, getSkillTier, recordGame, SKILL_TIERS } from '../utils/skillModel';
+import { getNextPackLevel, getPuzzleProgress, savePuzzleResult } from '../utils/puzzles';
+import { createTimer, getTimeBonus, isTimeUp, recordTimedMove, tickTimer, TIME_MODES } from '../utils/timer';
+import { getDragInput } from '../utils/dragInput';
+import { describeKey, getActionForKey, getKeyBindings, MOVE_DIRECTIONS } from '../utils/keyBindings';
+import { canGiveHint, getHint } from '../ai/HintAdvisor';
 
-const GRID_SIZE = 9;
+const TIMER_TICK_MS = 100;
 
-function GameView({ onNavigate }) {
-  const [grid, setGrid] = useState(() => 
-    Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(false))
-  );
-  const [availableBlocks, setAvailableBlocks] = useState([]);
-  const [score, setScore] = useState(0);
-  const [bestScore, setBestScore] = useState(() => {
-    const saved = localStorage.getItem('woodBlockPuzzleBestScore');
-    return saved ? parseInt(saved, 10) : 0;
+/**
+ * A new game with the board size and piece distribution chosen in Settings.
+ * With adaptive difficulty on, the skill model picks the piece distribution
+ * and adds obstacles instead; the state then carries adaptive: { skill, tier }
+ * for the banner. Levels are played as designed either way, on normal.
+ */
+function createGameFromSettings(settings, options) {
+  const { gridSize } = settings;
+  if (options.level) {
+    return createSeededGame({ ...options, difficulty: 'normal', gridSize, pieceProfile: settings.pieceProfile });
+  }
+  if (!settings.adaptiveDifficulty) {
+    return createSeededGame({ ...options, gridSize, pieceProfile: settings.pieceProfile });
+  }
+
+  const skill = getSkillEstimate();
+  const tier = getSkillTier(skill);
+  const game = createSeededGame({
+    ...options,
+    gridSize,
+    pieceProfile: tier.pieceProfile,
+    obstacles: getObstacleCount(tier, gridSize)
   });
-  const [gameOver, setGameOver] = useState(false);
+  return { ...game, adaptive: { skill, tier: tier.id } };
+}
+
+function describeAdaptive({ skill, tier: tierId }, state) {
+  const tier = SKILL_TIERS.find(candidate => candidate.id === tierId);
+  const pieces = getDistributionProfile(state.pieceProfile)?.label || 'Classic';
+  const obstacles = state.obstacles > 0 ? `, ${state.obstacles} obstacles` : '';
+  const estimate = skill === null ? 'new player' : `skill ${skill}`;
+  return `${tier?.label || 'Adaptive'} (${estimate}): ${pieces} pieces${obstacles}`;
+}
+
+// Keeps a keyboard ghost's piece inside the board
+function clampGhost(ghost, shape, gridSize) {
+  const maxRow = gridSize - shape.length;
+  const maxCol = gridSize - Math.max(...shape.map(row => row.length));
+  return {
+    ...ghost,
+    row: Math.min(Math.max(ghost.row, 0), maxRow),
+    col: Math.min(Math.max(ghost.col, 0), maxCol)
+  };
+}
+
+function describeControls(bindings) {
+  const keys = (...actions) => actions.map(action => describeKey(bindings[action])).join('/');
+  return [
+    `${keys('selectPiece1', 'selectPiece2', 'selectPiece3')} pick a piece`,
+    `${keys('moveUp', 'moveDown', 'moveLeft', 'moveRight')} move`,
+    `${keys('place')} place`,
+    `${keys('cancel')} cancel`,
+    'or click a piece, then a cell'
+  ].join(' · ');
+}
+
+function describeClear(clearEvent) {
+  const { rows, cols, squares } = clearEvent;
+  const clearedMessages = [];
+  if (rows.length > 0) clearedMessages.push(`${rows.length} row${rows.length > 1 ? 's' : ''}`);
+  if (cols.length > 0) clearedMessages.push(`${cols.length} column${cols.length > 1 ? 's' : ''}`);
+  if (squares.length > 0) clearedMessages.push(`${squares.length} square${squares.length > 1 ? 's' : ''}`);
+  const combo = clearEvent.combo > 1 ? ` Combo x${clearEvent.multiplier}!` : '';
+  return `Cleared: ${clearedMessages.join(', ')}!${combo}`;
+}
+
+function describePuzzleProgress(goal, { current, target }) {
+  switch (goal.type) {
+    case 'clearLines':
+      return `Lines: ${current} / ${target}`;
+    case 'score':
+      return `Score: ${current.toLocaleString()} / ${target.toLocaleString()}`;
+    case 'emptyBoard':
+    default:
+      return `Cells left: ${current}`;
+  }
+}
+
+// Custom levels, each time limit, generator policy and piece profile, obstacle
+// games and adaptive games keep their own best score
+function getBestScoreOptions(state, timer) {
+  return {
+    gridSize: state.grid.length,
+    levelId: state.level?.id,
+    timeMode: timer?.mode,
+    generatorPolicy: state.generatorPolicy,
+    pieceProfile: state.pieceProfile,
+    adaptive: Boolean(state.adaptive),
+    obstacles: state.obstacles
+  };
+}
+
+function GameView({ onNavigate, resumeSavedGame = false, level = null }) {
+  const { settings, updateSetting } = useSettings();
+  const { autoSave, previewSets, showHints, soundEnabled, difficulty } = settings; // difficulty is for new games
+  const [savedGame] = useState(() => (resumeSavedGame ? loadSavedGame() : null));
+  const [dragInput] = useState(getDragInput); // Mouse or touch drag and drop
+  const [history, setHistory] = useState(() => createHistory(
+    savedGame?.gameState || createGameFromSettings(settings, { difficulty, level })
+  ));
+  const [timeMode, setTimeMode] = useState(savedGame?.timer?.mode || ''); // '' = untimed
+  const [generatorPolicy, setGeneratorPolicy] = useState(savedGame?.gameState.generatorPolicy || DEFAULT_POLICY);
+  const [timer, setTimer] = useState(savedGame?.timer || null);
+  const [bestScore, setBestScore] = useState(() => loadBestScore(getBestScoreOptions(history.present, timer)));
+  const [beatBest, setBeatBest] = useState(false); // This game set a new best score
   const [isPaused, setIsPaused] = useState(false);
-  const [linesCleared, setLinesCleared] = useState(0);
-  const [difficulty, setDifficulty] = useState('normal'); // 'normal' or 'hard'
   const [clearingMessage, setClearingMessage] = useState('');
+  const [seedInput, setSeedInput] = useState(''); // Empty = random seed
+  const [allowUndo, setAllowUndo] = useState(savedGame?.allowUndo ?? false);
+  // Games where undo was allowed at any point don't count for the best score
+  const [isRanked, setIsRanked] = useState(savedGame?.isRanked ?? true);
+  const [hint, setHint] = useState(null); // { blockIndex, row, col } suggested by the hint advisor
+  const [isThinking, setIsThinking] = useState(false);
+  const [hintsUsed, setHintsUsed] = useState(savedGame?.hintsUsed || 0);
+  const keyBindings = useMemo(() => getKeyBindings(settings), [settings]);
+  const animationsEnabled = areAnimationsEnabled(settings);
+  const [animation, setAnimation] = useState(null); // The last move's board animation, see getMoveAnimation
+  const [inputLocked, setInputLocked] = useState(false); // While cleared cells collapse
+  const [ghost, setGhost] = useState(null); // { blockIndex, row, col } of the piece moved with the keyboard
+
+  const gameState = history.present;
+  const { grid, availableBlocks, score, linesCleared, gameOver, seed } = gameState;
+  const gridSize = grid.length;
+  const upcomingSets = (gameState.upcoming || []).slice(0, previewSets);
+  const activeLevel = gameState.level || null;
+  // Levels with a goal are puzzles: they end when the goal is won or lost
+  const puzzle = activeLevel?.goal ? getPuzzleProgress(gameState) : null;
+  const timeUp = isTimeUp(timer);
+  const isFinished = gameOver || timeUp || (puzzle !== null && puzzle.status !== 'playing');
+  // Game options only change between games, they'd start a new board
+  const gameInProgress = !isFinished && gameState.moves > 0;
+  // Latest position and clock, for effects that only run when a game ends
+  const gameStateRef = useRef(gameState);
+  gameStateRef.current = gameState;
+  const timerRef = useRef(timer);
+  timerRef.current = timer;
 
-  // Initialize game
+  // Hints and the keyboard ghost only apply to the position they were made for
   useEffect(() => {
-    resetGame();
-  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+    setHint(null);
+    setGhost(null);
+  }, [gameState]);
 
-  // Check for game over when blocks change
+  // Moves are applied straight away, game over included; only new input
+  // waits until the cleared cells have collapsed
   useEffect(() => {
-    if (availableBlocks.length > 0) {
-      const isGameOver = checkGameOver(grid, availableBlocks, difficulty);
-      if (isGameOver) {
-        setGameOver(true);
-        if (score > bestScore) {
-          setBestScore(score);
-          localStorage.setItem('woodBlockPuzzleBestScore', score.toString());
-        }
-      }
+    if (!animation) {
+      setInputLocked(false);
+      return;
     }
-  }, [grid, availableBlocks, score, bestScore, difficulty]);
-
-  const resetGame = useCallback(() => {
-    const newGrid = Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(false));
-    setGrid(newGrid);
-    setAvailableBlocks(generateRandomBlocks());
-    setScore(0);
-    setGameOver(false);
-    setIsPaused(false);
-    setLinesCleared(0);
-  }, []);
 
-  const clearCompletedLines = useCallback((newGrid) => {
-    let totalCleared = 0;
-    let rowsCleared = 0;
-    let colsCleared = 0;
-    let squaresCleared = 0;
-    const gridCopy = newGrid.map(row => [...row]);
-    const clearedMessages = [];
-    
-    // Check rows
-    for (let row = 0; row < GRID_SIZE; row++) {
-      let isRowComplete = true;
-      
-      // Check if all non-blocked cells in the row are filled
-      for (let col = 0; col < GRID_SIZE; col++) {
-        const isBlocked = difficulty === 'hard' && 
-                         row >= 3 && row <= 5 && 
-                         col >= 3 && col <= 5;
-        
-        // Only check non-blocked cells
-        if (!isBlocked && !gridCopy[row][col]) {
-          isRowComplete = false;
-          break;
-        }
-      }
-      
-      if (isRowComplete) {
-        rowsCleared++;
-        totalCleared++;
-        // Clear only the non-blocked cells in the row
-        for (let col = 0; col < GRID_SIZE; col++) {
-          const isBlocked = difficulty === 'hard' && 
-                           row >= 3 && row <= 5 && 
-                           col >= 3 && col <= 5;
-          
-          if (!isBlocked) {
-            gridCopy[row][col] = false;
-          }
-        }
-      }
+    setInputLocked(animation.lockMs > 0);
+    const unlock = setTimeout(() => setInputLocked(false), animation.lockMs);
+    const finish = setTimeout(() => setAnimation(null), animation.durationMs);
+    return () => {
+      clearTimeout(unlock);
+      clearTimeout(finish);
+    };
+  }, [animation]);
+
+  // Run the clock while the game is on and not paused
+  const hasTimer = timer !== null;
+  useEffect(() => {
+    if (!hasTimer || isPaused || isFinished) return;
+
+    let lastTick = Date.now();
+    const interval = setInterval(() => {
+      const now = Date.now();
+      const elapsed = now - lastTick;
+      lastTick = now;
+      setTimer(current => (current ? tickTimer(current, elapsed) : current));
+    }, TIMER_TICK_MS);
+
+    return () => clearInterval(interval);
+  }, [hasTimer, isPaused, isFinished]);
+
+  // Record the best score for this board size (or level) once the game is finished
+  useEffect(() => {
+    if (isRanked && isFinished && score > bestScore) {
+      // Only a beaten best counts, not the first score on a new board
+      if (bestScore > 0) emitGameEvent({ type: 'newBest' });
+      setBeatBest(true);
+      setBestScore(score);
+      saveBestScore(getBestScoreOptions(gameStateRef.current, timerRef.current), score);
     }
-    
-    // Check columns
-    for (let col = 0; col < GRID_SIZE; col++) {
-      let isColComplete = true;
-      
-      // Check if all non-blocked cells in the column are filled
-      for (let row = 0; row < GRID_SIZE; row++) {
-        const isBlocked = difficulty === 'hard' && 
-                         row >= 3 && row <= 5 && 
-                         col >= 3 && col <= 5;
-        
-        // Only check non-blocked cells
-        if (!isBlocked && !gridCopy[row][col]) {
-          isColComplete = false;
-          break;
-        }
-      }
-      
-      if (isColComplete) {
-        colsCleared++;
-        totalCleared++;
-        // Clear only the non-blocked cells in the column
-        for (let row = 0; row < GRID_SIZE; row++) {
-          const isBlocked = difficulty === 'hard' && 
-                           row >= 3 && row <= 5 && 
-                           col >= 3 && col <= 5;
-          
-          if (!isBlocked) {
-            gridCopy[row][col] = false;
-          }
-        }
-      }
+  }, [isRanked, isFinished, score, bestScore]);
+
+  useEffect(() => {
+    if (timeUp) emitGameEvent({ type: 'timeUp' });
+  }, [timeUp]);
+
+  // Ranked games outside levels feed the player skill model
+  useEffect(() => {
+    const finished = gameStateRef.current;
+    if (isFinished && isRanked && !finished.level && finished.moves > 0) {
+      recordGame(finished);
     }
-    
-    // Check 3x3 squares (9x9 grid has 9 squares)
-    for (let squareRow = 0; squareRow < 3; squareRow++) {
-      for (let squareCol = 0; squareCol < 3; squareCol++) {
-        let isSquareComplete = true;
-        
-        // Skip center square check in hard mode (it's always blocked)
-        if (difficulty === 'hard' && squareRow === 1 && squareCol === 1) {
-          continue;
-        }
-        
-        // Check if all cells in the 3x3 square are filled
-        for (let row = squareRow * 3; row < (squareRow + 1) * 3; row++) {
-          for (let col = squareCol * 3; col < (squareCol + 1) * 3; col++) {
-            if (!gridCopy[row][col]) {
-              isSquareComplete = false;
-              break;
-            }
-          }
-          if (!isSquareComplete) break;
-        }
-        
-        // If square is complete, clear it
-        if (isSquareComplete) {
-          squaresCleared++;
-          totalCleared++;
-          for (let row = squareRow * 3; row < (squareRow + 1) * 3; row++) {
-            for (let col = squareCol * 3; col < (squareCol + 1) * 3; col++) {
-              gridCopy[row][col] = false;
-            }
-          }
-        }
-      }
+  }, [isFinished, isRanked]);
+
+  // Every finished game is kept as a replay
+  useEffect(() => {
+    const finished = gameStateRef.current;
+    if (isFinished && finished.moves > 0) {
+      saveReplay(createReplay(finished));
     }
-    
-    if (totalCleared > 0) {
-      // Create clearing message
-      if (rowsCleared > 0) clearedMessages.push(`${rowsCleared} row${rowsCleared > 1 ? 's' : ''}`);
-      if (colsCleared > 0) clearedMessages.push(`${colsCleared} column${colsCleared > 1 ? 's' : ''}`);
-      if (squaresCleared > 0) clearedMessages.push(`${squaresCleared} square${squaresCleared > 1 ? 's' : ''}`);
-      
-      const message = `Cleared: ${clearedMessages.join(', ')}!`;
-      setClearingMessage(message);
-      
-      // Clear message after 2 seconds
-      setTimeout(() => setClearingMessage(''), 2000);
-      
-      setLinesCleared(prev => prev + totalCleared);
-      
-      // Enhanced scoring system
-      let points = 0;
-      const basePoints = 100;
-      
-      // Base points for each clear
-      points += totalCleared * basePoints;
-      
-      // Bonus for multiple clears at once
-      if (totalCleared > 1) {
-        points += (totalCleared - 1) * 50; // 50 bonus per additional clear
-      }
-      
-      // Special bonus for combo clears (different types)
-      let comboTypes = 0;
-      if (rowsCleared > 0) comboTypes++;
-      if (colsCleared > 0) comboTypes++;
-      if (squaresCleared > 0) comboTypes++;
-      
-      if (comboTypes > 1) {
-        points += comboTypes * 100; // 100 bonus per combo type
-      }
-      
-      // Hard mode bonus
-      if (difficulty === 'hard') {
-        points = Math.floor(points * 1.5); // 50% more points in hard mode
-      }
-      
-      setScore(prev => prev + points);
+  }, [isFinished]);
+
+  // Solved puzzles from a level pack earn stars and unlock the next level
+  const puzzleStatus = puzzle?.status;
+  const puzzleStars = puzzle?.stars;
+  useEffect(() => {
+    if (puzzleStatus === 'won' && activeLevel.packId) {
+      savePuzzleResult(activeLevel.packId, activeLevel.id, puzzleStars);
     }
-    
-    return gridCopy;
-  }, [difficulty]);
+  }, [puzzleStatus, puzzleStars, activeLevel]);
 
-  const placeBlock = useCallback((blockShape, startRow, startCol, blockIndex) => {
-    if (isPaused || gameOver) return false;
-
-    // Check if placement is valid
-    for (let row = 0; row < blockShape.length; row++) {
-      for (let col = 0; col < blockShape[row].length; col++) {
-        if (blockShape[row][col]) {
-          const gridRow = startRow + row;
-          const gridCol = startCol + col;
-          
-          if (gridRow >= GRID_SIZE || gridCol >= GRID_SIZE || grid[gridRow][gridCol]) {
-            return false;
-          }
-          
-          // Check if trying to place in blocked center square (hard mode)
-          if (difficulty === 'hard' && 
-              gridRow >= 3 && gridRow <= 5 && 
-              gridCol >= 3 && gridCol <= 5) {
-            return false;
-          }
-        }
-      }
+  // Keep the saved game in sync so it can be continued from the menu. A new
+  // game only replaces the save once its first move is made, so opening a
+  // board by mistake doesn't lose the game waiting under Continue.
+  // The clock is saved with each move, on pause and on leaving, not on every tick.
+  const saveProgress = useCallback(() => {
+    if (!autoSave || gameState.moves === 0) return;
+
+    if (isFinished) {
+      clearSavedGame();
+    } else {
+      saveGame({ gameState, isRanked, allowUndo, timer: timerRef.current, hintsUsed });
     }
+  }, [autoSave, gameState, isFinished, isRanked, allowUndo, hintsUsed]);
+
+  useEffect(() => {
+    saveProgress();
+  }, [saveProgress, isPaused]);
+
+  const saveProgressRef = useRef(saveProgress);
+  saveProgressRef.current = saveProgress;
+  useEffect(() => {
+    const saveLatest = () => saveProgressRef.current();
+    window.addEventListener('beforeunload', saveLatest);
+    return () => {
+      window.removeEventListener('beforeunload', saveLatest);
+      saveLatest();
+    };
+  }, []);
+
+  // New games replay the current level, if one is being played
+  const startGame = useCallback((gameDifficulty, gameTimeMode = timeMode, gamePolicy = generatorPolicy) => {
+    const newSeed = seedInput.trim() ? parseSeed(seedInput) : createRandomSeed();
+    const newGame = createGameFromSettings(settings, {
+      difficulty: gameDifficulty,
+      seed: newSeed,
+      level: activeLevel,
+      generatorPolicy: gamePolicy
+    });
+    const newTimer = createTimer(gameTimeMode);
+    setHistory(createHistory(newGame));
+    setTimer(newTimer);
+    setBestScore(loadBestScore(getBestScoreOptions(newGame, newTimer)));
+    setBeatBest(false);
+    setIsRanked(!allowUndo);
+    setIsPaused(false);
+    setHintsUsed(0);
+    setAnimation(null);
+  }, [settings, seedInput, allowUndo, activeLevel, timeMode, generatorPolicy]);
+
+  const resetGame = () => startGame(difficulty);
+
+  // Start a fresh board whenever the difficulty changes
+  const changeDifficulty = (newDifficulty) => {
+    updateSetting('difficulty', newDifficulty);
+    startGame(newDifficulty);
+  };
+
+  const changeTimeMode = (newTimeMode) => {
+    setTimeMode(newTimeMode);
+    startGame(difficulty, newTimeMode);
+  };
+
+  const changeGeneratorPolicy = (newPolicy) => {
+    setGeneratorPolicy(newPolicy);
+    startGame(difficulty, timeMode, newPolicy);
+  };
+
+  const toggleAllowUndo = (enabled) => {
+    setAllowUndo(enabled);
+    if (enabled) setIsRanked(false);
+  };
+
+  // A timed game that ran out of time stays finished
+  const undoMove = useCallback(() => {
+    if (!allowUndo || isPaused || timeUp) return;
+    setClearingMessage('');
+    setAnimation(null);
+    setHistory(undo);
+  }, [allowUndo, isPaused, timeUp]);
 
-    // Place the block
-    const newGrid = grid.map(row => [...row]);
-    for (let row = 0; row < blockShape.length; row++) {
-      for (let col = 0; col < blockShape[row].length; col++) {
-        if (blockShape[row][col]) {
-          newGrid[startRow + row][startCol + col] = true;
-        }
+  const redoMove = useCallback(() => {
+    if (!allowUndo || isPaused || timeUp) return;
+    setClearingMessage('');
+    setAnimation(null);
+    setHistory(redo);
+  }, [allowUndo, isPaused, timeUp]);
+
+  // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y to redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.tagName === 'INPUT') return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoMove();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redoMove();
       }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undoMove, redoMove]);
+
+  const placeBlock = useCallback((blockShape, startRow, startCol, blockIndex) => {
+    if (isPaused || isFinished || inputLocked) return false;
+
+    const { state: nextState, events } = playMove(gameState, {
+      blockIndex,
+      row: startRow,
+      col: startCol
+    });
+    emitGameEvents(events);
+
+    if (events[0].type === 'invalid') return false;
+
+    const clearEvent = getClearEvent(events);
+    if (clearEvent) {
+      const timeBonus = timer ? ` +${getTimeBonus(clearEvent) / 1000}s` : '';
+      setClearingMessage(describeClear(clearEvent) + timeBonus);
+
+      // Clear message after 2 seconds
+      setTimeout(() => setClearingMessage(''), 2000);
+    }
+
+    setHistory(current => pushHistory(current, nextState));
+    if (timer) {
+      setTimer(current => recordTimedMove(current, clearEvent));
+    }
+    if (animationsEnabled) {
+      const moveAnimation = getMoveAnimation(events, gridSize);
+      setAnimation(moveAnimation && { ...moveAnimation, id: nextState.moves });
     }
 
-    // Clear completed lines
-    const clearedGrid = clearCompletedLines(newGrid);
-    setGrid(clearedGrid);
+    return true;
+  }, [gameState, isPaused, isFinished, inputLocked, timer, animationsEnabled, gridSize]);
+
+  // Holding isn't a move: no points, no timer bonus and puzzles don't count it
+  const holdPiece = useCallback((blockIndex) => {
+    if (isPaused || isFinished || inputLocked) return false;
+
+    const { state: nextState, events } = playMove(gameState, { blockIndex, hold: true });
+    emitGameEvents(events);
+    if (events[0].type === 'invalid') return false;
+
+    setHistory(current => pushHistory(current, nextState));
+    return true;
+  }, [gameState, isPaused, isFinished, inputLocked]);
+
+  // Picking a piece, by key or by clicking it in the tray, keeps the ghost
+  // where it was, or starts it on the first spot the piece fits
+  const selectPiece = useCallback((blockIndex) => {
+    const shape = availableBlocks[blockIndex];
+    if (!shape) return;
 
-    // Add score for placing the block
-    const blockSize = blockShape.flat().filter(cell => cell).length;
-    setScore(prev => prev + blockSize * 10);
+    emitGameEvent({ type: 'pickup' });
+    setGhost(current => {
+      if (current) return clampGhost({ ...current, blockIndex }, shape, gridSize);
+      const [firstFit] = getValidPlacements(grid, shape, gameState.blocked);
+      return { blockIndex, ...(firstFit || { row: 0, col: 0 }) };
+    });
+  }, [availableBlocks, grid, gridSize, gameState.blocked]);
 
-    // Remove the used block and generate new ones if needed
-    const newBlocks = availableBlocks.filter((_, index) => index !== blockIndex);
-    if (newBlocks.length === 0) {
-      setAvailableBlocks(generateRandomBlocks());
+  // Click-to-place: clicking the selected piece again puts it back, and the
+  // ghost follows the mouse over the board until a cell is clicked
+  const toggleSelectedPiece = (blockIndex) => {
+    if (isPaused || isFinished) return;
+    if (ghost?.blockIndex === blockIndex) {
+      setGhost(null);
     } else {
-      setAvailableBlocks(newBlocks);
+      selectPiece(blockIndex);
     }
+  };
 
-    return true;
-  }, [grid, availableBlocks, isPaused, gameOver, clearCompletedLines, difficulty]);
+  const moveGhostTo = (row, col) => {
+    setGhost(current => current && { ...current, row, col });
+  };
+
+  // The clicked cell is where the piece's top-left goes
+  const placeSelectedAt = (row, col) => {
+    if (!ghost) return;
+    placeBlock(availableBlocks[ghost.blockIndex], row, col, ghost.blockIndex);
+  };
+
+  // Keyboard play: pick a piece, move its ghost, then place it or cancel
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+      if (isPaused || isFinished || inputLocked) return;
+
+      const action = getActionForKey(keyBindings, e.key);
+      if (!action) return;
+
+      if (action.startsWith('selectPiece')) {
+        e.preventDefault();
+        selectPiece(Number(action.slice('selectPiece'.length)) - 1);
+        return;
+      }
+
+      // Everything else needs a picked piece
+      if (!ghost) return;
+      e.preventDefault();
+      const shape = availableBlocks[ghost.blockIndex];
+
+      if (MOVE_DIRECTIONS[action]) {
+        const [rowStep, colStep] = MOVE_DIRECTIONS[action];
+        setGhost(clampGhost({ ...ghost, row: ghost.row + rowStep, col: ghost.col + colStep }, shape, gridSize));
+      } else if (action === 'place') {
+        // Invalid spots are already shown on the board; the ghost just stays put
+        placeBlock(shape, ghost.row, ghost.col, ghost.blockIndex);
+      } else if (action === 'cancel') {
+        setGhost(null);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [keyBindings, ghost, availableBlocks, gridSize, isPaused, isFinished, inputLocked, selectPiece, placeBlock]);
+
+  const requestHint = async () => {
+    if (isPaused || isFinished || isThinking) return;
+
+    const position = gameState;
+    setIsThinking(true);
+    try {
+      const suggestion = await getHint(position, settings.hintAdvisor);
+      // Ignore hints that arrive after the player has moved on
+      if (gameStateRef.current !== position) return;
+      setHint(suggestion);
+      if (suggestion) setHintsUsed(count => count + 1);
+    } finally {
+      setIsThinking(false);
+    }
+  };
+
+  const nextLevel = puzzle?.status === 'won' && activeLevel.packId ? getNextPackLevel(activeLevel) : null;
 
   const togglePause = () => {
     setIsPaused(!isPaused);
   };
 
+  const toggleSound = () => {
+    updateSetting('soundEnabled', !soundEnabled);
+  };
+
   return (
-    <DndProvider backend={HTML5Backend}>
-      <div className="game-view">
+    <DndProvider backend={dragInput.backend} options={dragInput.options}>
+      <div className={`game-view ${animationsEnabled ? '' : 'no-animations'}`}>
+        <DragLayer fingerOffset={dragInput.fingerOffset} />
         <div className="game-header">
           <button 
             className="back-btn"
@@ -277,24 +505,89 @@ function GameView({ onNavigate }) {
             ← Back to Menu
           </button>
           
-          <h1 style={{ color: 'white', fontSize: '36px', margin: '0', textAlign: 'center', flex: 1 }}>
+          <h1 style={{ color: 'var(--text-color)', fontSize: '36px', margin: '0', textAlign: 'center', flex: 1 }}>
             Wood Block Puzzle
           </h1>
         </div>
         
         <div className="difficulty-selector">
-          <label style={{ color: 'white', marginRight: '15px' }}>Difficulty:</label>
+          <label style={{ color: 'var(--text-color)', marginRight: '15px' }}>Difficulty:</label>
           <select 
             value={difficulty} 
-            onChange={(e) => setDifficulty(e.target.value)}
+            onChange={(e) => changeDifficulty(e.target.value)}
             className="difficulty-select"
-            disabled={!gameOver && score > 0}
+            disabled={Boolean(activeLevel) || gameInProgress}
           >
             <option value="normal">Normal</option>
             <option value="hard">Hard (Blocked Center)</option>
           </select>
+          <label style={{ color: 'var(--text-color)', margin: '0 15px 0 25px' }}>Time:</label>
+          <select
+            value={timeMode}
+            onChange={(e) => changeTimeMode(e.target.value)}
+            className="difficulty-select"
+            disabled={Boolean(activeLevel?.goal) || gameInProgress}
+          >
+            <option value="">Untimed</option>
+            {TIME_MODES.map(mode => (
+              <option key={mode.id} value={mode.id}>{mode.label}</option>
+            ))}
+          </select>
+          <label style={{ color: 'var(--text-color)', margin: '0 15px 0 25px' }}>Pieces:</label>
+          <select
+            value={generatorPolicy}
+            onChange={(e) => changeGeneratorPolicy(e.target.value)}
+            className="difficulty-select"
+            disabled={Boolean(activeLevel?.goal) || gameInProgress}
+            title={GENERATOR_POLICIES.find(policy => policy.id === generatorPolicy)?.description}
+          >
+            {GENERATOR_POLICIES.map(policy => (
+              <option key={policy.id} value={policy.id}>{policy.label}</option>
+            ))}
+          </select>
+          <label style={{ color: 'var(--text-color)', margin: '0 15px 0 25px' }}>Seed:</label>
+          <input
+            type="text"
+            value={seedInput}
+            onChange={(e) => setSeedInput(e.target.value)}
+            placeholder="Random"
+            className="seed-input"
+            title="Used by the next New Game. Leave empty for a random seed."
+          />
+          <label
+            style={{ color: 'var(--text-color)', marginLeft: '25px', cursor: 'pointer' }}
+            title="Games with undo allowed don't count towards your best score"
+          >
+            <input
+              type="checkbox"
+              checked={allowUndo}
+              onChange={(e) => toggleAllowUndo(e.target.checked)}
+              style={{ marginRight: '8px' }}
+            />
+            Allow Undo
+          </label>
         </div>
         
+        {activeLevel && (
+          <div className="level-banner">
+            🧱 {activeLevel.name}
+          </div>
+        )}
+
+        {gameState.adaptive && (
+          <div className="level-banner adaptive-banner" title="Adaptive difficulty is on in Settings">
+            🎚️ {describeAdaptive(gameState.adaptive, gameState)}
+          </div>
+        )}
+
+        {puzzle && (
+          <div className="puzzle-goal">
+            <span>🎯 {puzzle.description}</span>
+            <span>{describePuzzleProgress(activeLevel.goal, puzzle)}</span>
+            {puzzle.movesLeft !== null && <span>Moves left: {puzzle.movesLeft}</span>}
+          </div>
+        )}
+
         {clearingMessage && (
           <div className="clearing-message">
             {clearingMessage}
@@ -305,7 +598,12 @@ function GameView({ onNavigate }) {
           score={score} 
           bestScore={bestScore} 
           linesCleared={linesCleared}
-          difficulty={difficulty}
+          difficulty={gameState.difficulty}
+          gridSize={gridSize}
+          seed={seed}
+          timer={timer}
+          combo={gameState.combo || 0}
+          generatorPolicy={gameState.generatorPolicy || DEFAULT_POLICY}
         />
         
         <div className="game-main">
@@ -315,14 +613,36 @@ function GameView({ onNavigate }) {
               onBlockPlace={placeBlock}
               availableBlocks={availableBlocks}
               isPaused={isPaused}
-              difficulty={difficulty}
+              blocked={gameState.blocked}
+              hint={hint && { shape: availableBlocks[hint.blockIndex], row: hint.row, col: hint.col }}
+              ghost={ghost && !isPaused && { shape: availableBlocks[ghost.blockIndex], row: ghost.row, col: ghost.col }}
+              fingerOffset={dragInput.fingerOffset}
+              selectedShape={ghost && !isFinished ? availableBlocks[ghost.blockIndex] : null}
+              onCellClick={placeSelectedAt}
+              onCellHover={moveGhostTo}
+              animation={animation}
             />
           </div>
           
-          <BlockTray 
-            blocks={availableBlocks} 
-            onBlockPlace={placeBlock}
-            disabled={isPaused || gameOver}
+          <div className="tray-column">
+            <BlockTray 
+              blocks={availableBlocks} 
+              onBlockPlace={placeBlock}
+              disabled={isPaused || isFinished}
+              hintIndex={hint ? hint.blockIndex : null}
+              selectedIndex={ghost ? ghost.blockIndex : null}
+              onSelect={toggleSelectedPiece}
+            />
+            <UpcomingPieces
+              sets={upcomingSets}
+              mayChange={upcomingSets.some((_, index) => canUpcomingSetChange(gameState, index))}
+            />
+          </div>
+
+          <HoldSlot
+            held={gameState.held}
+            onHold={holdPiece}
+            disabled={isPaused || isFinished}
           />
         </div>
         
@@ -330,21 +650,87 @@ function GameView({ onNavigate }) {
           <button 
             className="btn" 
             onClick={togglePause}
-            disabled={gameOver}
+            disabled={isFinished}
           >
             {isPaused ? '▶️ Resume' : '⏸️ Pause'}
           </button>
           <button className="btn" onClick={resetGame}>
             🔄 New Game
           </button>
+          <button
+            className="btn"
+            onClick={toggleSound}
+            title={soundEnabled ? 'Mute sound effects' : 'Turn sound effects on'}
+          >
+            {soundEnabled ? '🔊' : '🔇'}
+          </button>
+          {showHints && (
+            <button
+              className="btn"
+              onClick={requestHint}
+              disabled={isPaused || isFinished || isThinking || !canGiveHint(gameState)}
+              title={gridSize > GRID_SIZE ? 'Hints are only available on boards up to 9x9' : 'Suggest a move'}
+            >
+              💡 {isThinking ? 'Thinking...' : 'Hint'}
+            </button>
+          )}
+          {allowUndo && (
+            <>
+              <button
+                className="btn"
+                onClick={undoMove}
+                disabled={isPaused || timeUp || !canUndo(history)}
+                title="Undo (Ctrl+Z)"
+              >
+                ↩️ Undo
+              </button>
+              <button
+                className="btn"
+                onClick={redoMove}
+                disabled={isPaused || timeUp || !canRedo(history)}
+                title="Redo (Ctrl+Y)"
+              >
+                ↪️ Redo
+              </button>
+            </>
+          )}
+        </div>
+
+        <div className="keyboard-help">
+          ⌨️ {describeControls(keyBindings)}
         </div>
 
-        {gameOver && (
+        {!isRanked && (
+          <div className="unranked-note">
+            Undo allowed - this game won't count towards your best score
+          </div>
+        )}
+
+        {/* Results wait for the last move's animation */}
+        {puzzle && isFinished && !animation && (
+          <PuzzleResultModal
+            won={puzzle.status === 'won'}
+            stars={puzzle.stars}
+            goalDescription={puzzle.description}
+            movesUsed={puzzle.movesUsed}
+            onRetry={resetGame}
+            onUndo={allowUndo ? undoMove : null}
+            onNextLevel={nextLevel ? () => onNavigate('game', { level: nextLevel }) : null}
+            onLevels={activeLevel.packId ? () => onNavigate('puzzles') : null}
+          />
+        )}
+
+        {!puzzle && isFinished && !animation && (
           <GameOverModal 
             score={score}
             bestScore={bestScore}
-            isNewBest={score === bestScore}
+            isNewBest={isRanked && beatBest}
+            timeUp={timeUp}
+            hintsUsed={showHints || hintsUsed > 0 ? hintsUsed : null}
             onRestart={resetGame}
+            onUndo={allowUndo && !timeUp ? undoMove : null}
+            onWatchReplay={() => onNavigate('replay')}
+            onDownloadReplay={() => downloadReplay(createReplay(gameState))}
           />
         )}
       </div>
@@ -0,0 +1,33 @@
+import React from 'react';
+import { useDrop } from 'react-dnd';
+import BlockPreview from './BlockPreview';
+
+// Drop a tray piece here to hold it; dropping another one swaps them
+function HoldSlot({ held, onHold, disabled }) {
+  const [{ isOver, canDrop }, drop] = useDrop({
+    accept: 'block',
+    canDrop: () => !disabled,
+    drop: (item) => {
+      onHold(item.index);
+    },
+    collect: (monitor) => ({
+      isOver: !!monitor.isOver(),
+      canDrop: !!monitor.canDrop()
+    })
+  });
+
+  return (
+    <div
+      ref={drop}
+      className={`hold-slot ${isOver && canDrop ? 'drop-target' : ''} ${disabled ? 'disabled' : ''}`}
+      title="Drag a piece here to hold it for later"
+    >
+      <div className="hold-slot-label">Hold</div>
+      {held
+        ? <BlockPreview shape={held} />
+        : <div className="hold-slot-empty">Empty</div>}
+    </div>
+  );
+}
+
+export default HoldSlot;
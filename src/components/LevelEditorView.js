@@ -0,0 +1,272 @@
+import React, { useState, useEffect } from 'react';
+import BlockPreview from './BlockPreview';
+import { getPiece, PIECES } from '../utils/pieces';
+import { GRID_SIZES, hasSquares, SQUARE_SIZE } from '../utils/gameEngine';
+import { createLevel, deleteLevel, loadSavedLevels, saveLevel } from '../utils/levels';
+
+const TOOLS = [
+  { id: 'blocked', label: '🧱 Blocked' },
+  { id: 'filled', label: '🟫 Pre-filled' },
+  { id: 'empty', label: '🧽 Erase' }
+];
+
+// The editor paints on a matrix of 'empty' | 'blocked' | 'filled' cells
+function toCellMatrix(level) {
+  const cells = Array(level.gridSize).fill(null).map(() => Array(level.gridSize).fill('empty'));
+  level.blocked.forEach(([row, col]) => { cells[row][col] = 'blocked'; });
+  level.filled.forEach(([row, col]) => { cells[row][col] = 'filled'; });
+  return cells;
+}
+
+function collectCells(cells, type) {
+  const list = [];
+  cells.forEach((row, rowIndex) => row.forEach((cell, colIndex) => {
+    if (cell === type) list.push([rowIndex, colIndex]);
+  }));
+  return list;
+}
+
+function LevelEditorView({ onNavigate }) {
+  const [levels, setLevels] = useState(loadSavedLevels);
+  const [level, setLevel] = useState(() => createLevel());
+  const [cells, setCells] = useState(() => toCellMatrix(level));
+  const [tool, setTool] = useState('blocked');
+  const [isPainting, setIsPainting] = useState(false);
+  const [statusMessage, setStatusMessage] = useState('');
+
+  // Stop painting even if the mouse is released outside the board
+  useEffect(() => {
+    const stopPainting = () => setIsPainting(false);
+    window.addEventListener('mouseup', stopPainting);
+    return () => window.removeEventListener('mouseup', stopPainting);
+  }, []);
+
+  const editLevel = (nextLevel) => {
+    setLevel(nextLevel);
+    setCells(toCellMatrix(nextLevel));
+    setStatusMessage('');
+  };
+
+  const paintCell = (row, col) => {
+    setCells(current => current.map((cellRow, rowIndex) =>
+      rowIndex !== row ? cellRow : cellRow.map((cell, colIndex) => (colIndex === col ? tool : cell))
+    ));
+  };
+
+  const changeGridSize = (gridSize) => {
+    // Keep whatever still fits on the new board
+    const resized = Array(gridSize).fill(null).map((_, row) =>
+      Array(gridSize).fill(null).map((_, col) => cells[row]?.[col] || 'empty')
+    );
+    setLevel({ ...level, gridSize });
+    setCells(resized);
+  };
+
+  const buildLevel = () => ({
+    ...level,
+    name: level.name.trim() || 'Untitled Level',
+    blocked: collectCells(cells, 'blocked'),
+    filled: collectCells(cells, 'filled')
+  });
+
+  const handleSave = () => {
+    const savedLevel = buildLevel();
+    setLevels(saveLevel(savedLevel));
+    setLevel(savedLevel);
+    setStatusMessage(`Saved "${savedLevel.name}"`);
+    return savedLevel;
+  };
+
+  const handlePlay = (levelToPlay) => {
+    onNavigate('game', { level: levelToPlay });
+  };
+
+  const handleDelete = (levelId) => {
+    setLevels(deleteLevel(levelId));
+    if (levelId === level.id) editLevel(createLevel());
+  };
+
+  const getCellClasses = (row, col) => {
+    let classes = 'grid-cell';
+    if (cells[row][col] === 'blocked') classes += ' blocked';
+    if (cells[row][col] === 'filled') classes += ' occupied';
+    if (hasSquares(level.gridSize)) {
+      if ((col + 1) % SQUARE_SIZE === 0 && col < level.gridSize - 1) classes += ' square-border-right';
+      if ((row + 1) % SQUARE_SIZE === 0 && row < level.gridSize - 1) classes += ' square-border-bottom';
+    }
+    return classes;
+  };
+
+  return (
+    <div className="game-view level-editor-view">
+      <div className="game-header">
+        <button
+          className="back-btn"
+          onClick={() => onNavigate('menu')}
+        >
+          ← Back to Menu
+        </button>
+
+        <h1 style={{ color: 'var(--text-color)', fontSize: '36px', margin: '0', textAlign: 'center', flex: 1 }}>
+          🧱 Level Editor
+        </h1>
+      </div>
+
+      <div className="list-layout">
+        <div className="saved-list">
+          <div className="saved-list-header">
+            <span>Saved Levels</span>
+            <button className="btn saved-list-btn" onClick={() => editLevel(createLevel())}>
+              ➕ New
+            </button>
+          </div>
+
+          {levels.length === 0 && (
+            <div className="empty-note">Saved levels show up here.</div>
+          )}
+
+          {levels.map(savedLevel => (
+            <div
+              key={savedLevel.id}
+              className={`saved-item ${savedLevel.id === level.id ? 'selected' : ''}`}
+              onClick={() => editLevel(savedLevel)}
+            >
+              <div className="saved-item-title">{savedLevel.name}</div>
+              <div className="saved-item-details">
+                {savedLevel.gridSize}x{savedLevel.gridSize} · {savedLevel.blocked.length} blocked · {savedLevel.filled.length} filled
+              </div>
+              <div className="saved-item-details">
+                {savedLevel.pieces.length > 0 ? `${savedLevel.pieces.length} fixed pieces` : 'Random pieces'}
+              </div>
+              <button
+                className="btn saved-list-btn"
+                style={{ marginTop: '8px' }}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handlePlay(savedLevel);
+                }}
+              >
+                ▶️ Play
+              </button>
+              <button
+                className="saved-item-delete"
+                title="Delete level"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleDelete(savedLevel.id);
+                }}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="editor-panel">
+          <div className="editor-toolbar">
+            <label>Name:</label>
+            <input
+              type="text"
+              value={level.name}
+              onChange={(e) => setLevel({ ...level, name: e.target.value })}
+              className="seed-input"
+              style={{ width: '200px' }}
+            />
+            <label>Board:</label>
+            <select
+              value={level.gridSize}
+              onChange={(e) => changeGridSize(parseInt(e.target.value, 10))}
+              className="difficulty-select"
+            >
+              {GRID_SIZES.map(size => (
+                <option key={size} value={size}>{size}x{size}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="editor-toolbar">
+            {TOOLS.map(({ id, label }) => (
+              <button
+                key={id}
+                className={`btn editor-tool ${tool === id ? 'active' : ''}`}
+                onClick={() => setTool(id)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div
+            className="game-board editor-board"
+            style={{ gridTemplateColumns: `repeat(${level.gridSize}, 1fr)` }}
+            onMouseLeave={() => setIsPainting(false)}
+          >
+            {cells.map((row, rowIndex) =>
+              row.map((_, colIndex) => (
+                <div
+                  key={`${rowIndex}-${colIndex}`}
+                  className={getCellClasses(rowIndex, colIndex)}
+                  onMouseDown={() => {
+                    setIsPainting(true);
+                    paintCell(rowIndex, colIndex);
+                  }}
+                  onMouseEnter={() => {
+                    if (isPainting) paintCell(rowIndex, colIndex);
+                  }}
+                />
+              ))
+            )}
+          </div>
+
+          <div className="editor-pieces">
+            <div style={{ fontWeight: 'bold', color: 'var(--accent)' }}>
+              Piece Sequence ({level.pieces.length})
+            </div>
+            <div className="setting-description">
+              Optional. Pieces are dealt in this order, three at a time, then random pieces follow.
+              Click a piece in the sequence to remove it.
+            </div>
+            <div className="piece-sequence">
+              {level.pieces.length === 0 && <span className="empty-note">Random pieces</span>}
+              {level.pieces.map((pieceId, index) => (
+                <button
+                  key={index}
+                  className="piece-button"
+                  title={`Remove ${getPiece(pieceId).name} from sequence`}
+                  onClick={() => setLevel({ ...level, pieces: level.pieces.filter((_, i) => i !== index) })}
+                >
+                  <BlockPreview shape={getPiece(pieceId).shape} />
+                </button>
+              ))}
+            </div>
+            <div className="piece-palette">
+              {PIECES.map(piece => (
+                <button
+                  key={piece.id}
+                  className="piece-button"
+                  title={`Add ${piece.name} to sequence`}
+                  onClick={() => setLevel({ ...level, pieces: [...level.pieces, piece.id] })}
+                >
+                  <BlockPreview shape={piece.shape} />
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="controls">
+            <button className="btn" onClick={handleSave}>
+              💾 Save Level
+            </button>
+            <button className="btn" onClick={() => handlePlay(handleSave())}>
+              ▶️ Save & Play
+            </button>
+          </div>
+
+          {statusMessage && <div className="empty-note">{statusMessage}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LevelEditorView;
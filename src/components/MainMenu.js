@@ -1,6 +1,11 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { loadSavedGame } from '../utils/savedGame';
+import { useSettings } from './SettingsProvider';
 
 function MainMenu({ onNavigate }) {
+  const { settings } = useSettings();
+  const [savedGame] = useState(() => (settings.autoSave ? loadSavedGame() : null));
+
   return (
     <div className="main-menu">
       <div className="menu-container">
@@ -13,6 +18,21 @@ function MainMenu({ onNavigate }) {
         </div>
         
         <div className="menu-buttons">
+          {savedGame && (
+            <button 
+              className="menu-btn continue-btn"
+              onClick={() => onNavigate('continue')}
+            >
+              <div className="btn-icon">▶️</div>
+              <div className="btn-content">
+                <div className="btn-title">Continue</div>
+                <div className="btn-subtitle">
+                  Resume your {savedGame.gameState.difficulty} game · {savedGame.gameState.score.toLocaleString()} points
+                </div>
+              </div>
+            </button>
+          )}
+
           <button 
             className="menu-btn play-btn"
             onClick={() => onNavigate('game')}
@@ -24,6 +44,17 @@ function MainMenu({ onNavigate }) {
             </div>
           </button>
           
+          <button
+            className="menu-btn puzzle-btn"
+            onClick={() => onNavigate('puzzles')}
+          >
+            <div className="btn-icon">🧩</div>
+            <div className="btn-content">
+              <div className="btn-title">Puzzles</div>
+              <div className="btn-subtitle">Solve goal-based levels and earn stars</div>
+            </div>
+          </button>
+
           <button 
             className="menu-btn ai-btn"
             onClick={() => onNavigate('ai-learning')}
@@ -35,6 +66,39 @@ function MainMenu({ onNavigate }) {
             </div>
           </button>
           
+          <button 
+            className="menu-btn replay-btn"
+            onClick={() => onNavigate('replay')}
+          >
+            <div className="btn-icon">🎬</div>
+            <div className="btn-content">
+              <div className="btn-title">Replays</div>
+              <div className="btn-subtitle">Watch and share recorded games</div>
+            </div>
+          </button>
+
+          <button
+            className="menu-btn level-editor-btn"
+            onClick={() => onNavigate('level-editor')}
+          >
+            <div className="btn-icon">🧱</div>
+            <div className="btn-content">
+              <div className="btn-title">Level Editor</div>
+              <div className="btn-subtitle">Design obstacle layouts and piece sequences</div>
+            </div>
+          </button>
+
+          <button
+            className="menu-btn stats-btn"
+            onClick={() => onNavigate('stats')}
+          >
+            <div className="btn-icon">📈</div>
+            <div className="btn-content">
+              <div className="btn-title">Stats</div>
+              <div className="btn-subtitle">Your skill estimate over time</div>
+            </div>
+          </button>
+
           <button 
             className="menu-btn settings-btn"
             onClick={() => onNavigate('settings')}
@@ -0,0 +1,59 @@
+import React from 'react';
+
+export function StarRating({ stars }) {
+  return (
+    <span className="star-rating" title={`${stars} of 3 stars`}>
+      {[1, 2, 3].map(star => (
+        <span key={star} className={star <= stars ? 'star earned' : 'star'}>★</span>
+      ))}
+    </span>
+  );
+}
+
+// Shown in place of GameOverModal when a puzzle is won or lost
+function PuzzleResultModal({ won, stars, goalDescription, movesUsed, onRetry, onUndo, onNextLevel, onLevels }) {
+  return (
+    <div className="game-over-overlay">
+      <div className="game-over-modal">
+        <div className="game-over-title">
+          {won ? '🎉 Puzzle Solved!' : 'Puzzle Failed'}
+        </div>
+        {won && (
+          <div className="puzzle-result-stars">
+            <StarRating stars={stars} />
+          </div>
+        )}
+        <div className="final-score" style={{ fontSize: '20px' }}>
+          {goalDescription}
+        </div>
+        <div style={{ fontSize: '18px', color: 'var(--accent)', marginBottom: '20px' }}>
+          {won
+            ? `Solved in ${movesUsed} move${movesUsed !== 1 ? 's' : ''}`
+            : 'The goal was not reached - try a different order'}
+        </div>
+        {won && onNextLevel && (
+          <button className="btn" onClick={onNextLevel} style={{ marginRight: '10px' }}>
+            ▶️ Next Level
+          </button>
+        )}
+        <button className="btn" onClick={onRetry}>
+          🔄 {won ? 'Play Again' : 'Retry'}
+        </button>
+        {onUndo && (
+          <button className="btn" onClick={onUndo} style={{ marginLeft: '10px' }}>
+            ↩️ Undo Last Move
+          </button>
+        )}
+        {onLevels && (
+          <div style={{ marginTop: '15px' }}>
+            <button className="btn" onClick={onLevels}>
+              🧩 All Puzzles
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PuzzleResultModal;
@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { StarRating } from './PuzzleResultModal';
+import {
+  deleteLevelPack,
+  describeGoal,
+  getLevelStars,
+  getPackLevel,
+  isLevelUnlocked,
+  loadLevelPacks,
+  loadPuzzleProgress,
+  parseLevelPack,
+  saveLevelPack,
+  STARTER_PACK
+} from '../utils/puzzles';
+
+function countPackStars(progress, pack) {
+  return pack.levels.reduce((total, level) => total + getLevelStars(progress, pack.id, level.id), 0);
+}
+
+function PuzzleSelectView({ onNavigate }) {
+  const [packs, setPacks] = useState(loadLevelPacks);
+  const [selectedPackId, setSelectedPackId] = useState(STARTER_PACK.id);
+  const [progress] = useState(loadPuzzleProgress);
+  const [loadError, setLoadError] = useState('');
+
+  const pack = packs.find(saved => saved.id === selectedPackId) || packs[0];
+
+  const importPack = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const imported = parseLevelPack(e.target.result);
+        setPacks(saveLevelPack(imported));
+        setSelectedPackId(imported.id);
+        setLoadError('');
+      } catch (error) {
+        setLoadError(error.message);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const removePack = (packId) => {
+    setPacks(deleteLevelPack(packId));
+    if (packId === selectedPackId) setSelectedPackId(STARTER_PACK.id);
+  };
+
+  return (
+    <div className="game-view puzzle-select-view">
+      <div className="game-header">
+        <button
+          className="back-btn"
+          onClick={() => onNavigate('menu')}
+        >
+          ← Back to Menu
+        </button>
+
+        <h1 style={{ color: 'var(--text-color)', fontSize: '36px', margin: '0', textAlign: 'center', flex: 1 }}>
+          🧩 Puzzles
+        </h1>
+      </div>
+
+      <div className="list-layout">
+        <div className="saved-list">
+          <div className="saved-list-header">
+            <span>Level Packs</span>
+            <label className="btn saved-list-btn">
+              📂 Load Pack
+              <input type="file" accept=".json" onChange={importPack} style={{ display: 'none' }} />
+            </label>
+          </div>
+
+          {loadError && <div className="error-note">{loadError}</div>}
+
+          {packs.map(savedPack => (
+            <div
+              key={savedPack.id}
+              className={`saved-item ${savedPack.id === pack.id ? 'selected' : ''}`}
+              onClick={() => setSelectedPackId(savedPack.id)}
+            >
+              <div className="saved-item-title">{savedPack.name}</div>
+              <div className="saved-item-details">
+                {savedPack.levels.length} levels · ★ {countPackStars(progress, savedPack)} / {savedPack.levels.length * 3}
+              </div>
+              {savedPack.id !== STARTER_PACK.id && (
+                <button
+                  className="saved-item-delete"
+                  title="Remove pack"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    removePack(savedPack.id);
+                  }}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="puzzle-levels">
+          {pack.levels.map((level, index) => {
+            const unlocked = isLevelUnlocked(progress, pack, index);
+            return (
+              <button
+                key={level.id}
+                className={`puzzle-level-card ${unlocked ? '' : 'locked'}`}
+                disabled={!unlocked}
+                onClick={() => onNavigate('game', { level: getPackLevel(pack, index) })}
+              >
+                <div className="puzzle-level-number">{unlocked ? index + 1 : '🔒'}</div>
+                <div className="saved-item-title">{level.name}</div>
+                <div className="saved-item-details">{describeGoal(level.goal)}</div>
+                <StarRating stars={getLevelStars(progress, pack.id, level.id)} />
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PuzzleSelectView;
@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { DndProvider } from 'react-dnd';
+import { HTML5Backend } from 'react-dnd-html5-backend';
+import GameBoard from './GameBoard';
+import BlockTray from './BlockTray';
+import HoldSlot from './HoldSlot';
+import ScoreDisplay from './ScoreDisplay';
+import {
+  buildReplayStates,
+  deleteSavedReplay,
+  downloadReplay,
+  loadSavedReplays,
+  parseReplay,
+  saveReplay
+} from '../utils/replay';
+import { loadBestScore } from '../utils/bestScores';
+import { getPiece, getPieceId } from '../utils/pieces';
+import { decodeMove } from '../utils/gameLogic';
+
+const PLAYBACK_SPEEDS = [
+  { label: '0.5x', delay: 1600 },
+  { label: '1x', delay: 800 },
+  { label: '2x', delay: 400 },
+  { label: '4x', delay: 200 }
+];
+
+const getReplayKey = (replay) => `${replay.recordedAt}-${replay.seed}`;
+
+// stateBefore is the game right before the move, to name the piece it used
+function describeMove(loggedMove, stateBefore) {
+  const { blockIndex, row, col, hold } = decodeMove(loggedMove);
+  const piece = getPiece(getPieceId(stateBefore.availableBlocks[blockIndex]));
+  const pieceName = piece ? piece.name : `Piece ${blockIndex + 1}`;
+  if (hold) return `${pieceName} moved to the hold slot`;
+  return `${pieceName} placed at row ${row + 1}, column ${col + 1}`;
+}
+
+function ReplayView({ onNavigate }) {
+  const [replays, setReplays] = useState(loadSavedReplays);
+  const [replay, setReplay] = useState(() => replays[0] || null);
+  const [step, setStep] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackDelay, setPlaybackDelay] = useState(800);
+  const [loadError, setLoadError] = useState('');
+
+  // Rebuild every state of the game once, so scrubbing is instant
+  const { states, replayError } = useMemo(() => {
+    if (!replay) return { states: [], replayError: '' };
+    try {
+      return { states: buildReplayStates(replay), replayError: '' };
+    } catch (error) {
+      console.error('❌ Replay could not be rebuilt:', error);
+      return { states: [], replayError: error.message };
+    }
+  }, [replay]);
+
+  const lastStep = Math.max(states.length - 1, 0);
+  const currentState = states[step];
+
+  // Advance one move per tick while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (step >= lastStep) {
+      setIsPlaying(false);
+      return;
+    }
+
+    const timer = setTimeout(() => setStep(step + 1), playbackDelay);
+    return () => clearTimeout(timer);
+  }, [isPlaying, step, lastStep, playbackDelay]);
+
+  const selectReplay = (nextReplay) => {
+    setReplay(nextReplay);
+    setStep(0);
+    setIsPlaying(false);
+    setLoadError('');
+  };
+
+  const goToStep = (nextStep) => {
+    setStep(Math.min(Math.max(nextStep, 0), lastStep));
+  };
+
+  const togglePlayback = () => {
+    // Playing from the end starts over
+    if (!isPlaying && step >= lastStep) setStep(0);
+    setIsPlaying(!isPlaying);
+  };
+
+  const importReplay = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const imported = parseReplay(e.target.result);
+        setReplays(saveReplay(imported));
+        selectReplay(imported);
+      } catch (error) {
+        setLoadError(error.message);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const removeReplay = (index) => {
+    const removed = replays[index];
+    setReplays(deleteSavedReplay(index));
+    if (replay && getReplayKey(removed) === getReplayKey(replay)) selectReplay(null);
+  };
+
+  return (
+    <DndProvider backend={HTML5Backend}>
+      <div className="game-view replay-view">
+        <div className="game-header">
+          <button
+            className="back-btn"
+            onClick={() => onNavigate('menu')}
+          >
+            ← Back to Menu
+          </button>
+
+          <h1 style={{ color: 'var(--text-color)', fontSize: '36px', margin: '0', textAlign: 'center', flex: 1 }}>
+            🎬 Replays
+          </h1>
+        </div>
+
+        <div className="list-layout">
+          <div className="saved-list">
+            <div className="saved-list-header">
+              <span>Saved Replays</span>
+              <label className="btn saved-list-btn">
+                📂 Load File
+                <input type="file" accept=".json" onChange={importReplay} style={{ display: 'none' }} />
+              </label>
+            </div>
+
+            {loadError && <div className="error-note">{loadError}</div>}
+
+            {replays.length === 0 && (
+              <div className="empty-note">
+                Finished games show up here. You can also load a replay file shared by a teammate.
+              </div>
+            )}
+
+            {replays.map((savedReplay, index) => (
+              <div
+                key={`${getReplayKey(savedReplay)}-${index}`}
+                className={`saved-item ${replay && getReplayKey(savedReplay) === getReplayKey(replay) ? 'selected' : ''}`}
+                onClick={() => selectReplay(savedReplay)}
+              >
+                <div className="saved-item-title">{savedReplay.score.toLocaleString()} pts</div>
+                <div className="saved-item-details">
+                  {savedReplay.gridSize}x{savedReplay.gridSize} {savedReplay.difficulty} · {savedReplay.moves.length} moves · seed {savedReplay.seed}
+                </div>
+                <div className="saved-item-details">
+                  {new Date(savedReplay.recordedAt).toLocaleString()}
+                </div>
+                <button
+                  className="saved-item-delete"
+                  title="Delete replay"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    removeReplay(index);
+                  }}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="replay-player">
+            {!replay && (
+              <div className="empty-note">Select a replay to watch it.</div>
+            )}
+
+            {replay && replayError && (
+              <div className="error-note">This replay can't be played: {replayError}</div>
+            )}
+
+            {replay && currentState && (
+              <>
+                <ScoreDisplay
+                  score={currentState.score}
+                  bestScore={loadBestScore({
+                    gridSize: currentState.grid.length,
+                    generatorPolicy: replay.generatorPolicy,
+                    pieceProfile: replay.pieceProfile,
+                    obstacles: replay.obstacles
+                  })}
+                  linesCleared={currentState.linesCleared}
+                  difficulty={replay.difficulty}
+                  gridSize={currentState.grid.length}
+                  seed={replay.seed}
+                  combo={currentState.combo || 0}
+                  generatorPolicy={replay.generatorPolicy}
+                />
+
+                <div className="replay-move">
+                  {step === 0
+                    ? 'Start of game'
+                    : `Move ${step}/${lastStep}: ${describeMove(replay.moves[step - 1], states[step - 1])}`}
+                </div>
+
+                <div className="game-main">
+                  <div className="game-board-container">
+                    <GameBoard
+                      grid={currentState.grid}
+                      onBlockPlace={() => false}
+                      availableBlocks={currentState.availableBlocks}
+                      isPaused
+                      blocked={currentState.blocked}
+                      readOnly
+                    />
+                  </div>
+
+                  <BlockTray
+                    blocks={currentState.availableBlocks}
+                    disabled
+                  />
+
+                  <HoldSlot held={currentState.held} onHold={() => {}} disabled />
+                </div>
+
+                <input
+                  type="range"
+                  className="replay-scrubber"
+                  min="0"
+                  max={lastStep}
+                  value={step}
+                  onChange={(e) => {
+                    setIsPlaying(false);
+                    goToStep(parseInt(e.target.value, 10));
+                  }}
+                />
+
+                <div className="controls">
+                  <button className="btn" onClick={() => goToStep(0)} disabled={step === 0}>
+                    ⏮️
+                  </button>
+                  <button className="btn" onClick={() => goToStep(step - 1)} disabled={step === 0}>
+                    ◀️ Step
+                  </button>
+                  <button className="btn" onClick={togglePlayback} disabled={lastStep === 0}>
+                    {isPlaying ? '⏸️ Pause' : '▶️ Play'}
+                  </button>
+                  <button className="btn" onClick={() => goToStep(step + 1)} disabled={step >= lastStep}>
+                    Step ▶️
+                  </button>
+                  <button className="btn" onClick={() => goToStep(lastStep)} disabled={step >= lastStep}>
+                    ⏭️
+                  </button>
+                  <select
+                    value={playbackDelay}
+                    onChange={(e) => setPlaybackDelay(parseInt(e.target.value, 10))}
+                    className="difficulty-select"
+                  >
+                    {PLAYBACK_SPEEDS.map(speed => (
+                      <option key={speed.label} value={speed.delay}>{speed.label}</option>
+                    ))}
+                  </select>
+                  <button className="btn" onClick={() => downloadReplay(replay)}>
+                    ⬇️ Download
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </DndProvider>
+  );
+}
+
+export default ReplayView;
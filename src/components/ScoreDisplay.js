@@ -1,10 +1,17 @@
 import React from 'react';
+import { getComboMultiplier } from '../utils/gameEngine';
+import { getGeneratorPolicy } from '../utils/generatorPolicy';
+import { formatTime, getTimeMode } from '../utils/timer';
 
-function ScoreDisplay({ score, bestScore, linesCleared, difficulty }) {
+// Last seconds of a blitz timer are highlighted
+const LOW_TIME_MS = 10 * 1000;
+
+function ScoreDisplay({ score, bestScore, linesCleared, difficulty, gridSize, seed, timer = null, combo = null, generatorPolicy = null }) {
   // Ensure values are numbers and handle undefined cases
   const safeScore = typeof score === 'number' ? score : 0;
   const safeBestScore = typeof bestScore === 'number' ? bestScore : 0;
   const safeLinesCleared = typeof linesCleared === 'number' ? linesCleared : 0;
+  const policy = getGeneratorPolicy(generatorPolicy);
   
   return (
     <div className="score-container">
@@ -20,12 +27,43 @@ function ScoreDisplay({ score, bestScore, linesCleared, difficulty }) {
         <div className="score-label">Cleared</div>
         <div className="score-value">{safeLinesCleared}</div>
       </div>
+      {combo !== null && (
+        <div className={`score-item combo-indicator ${combo > 1 ? 'combo-active' : ''}`}>
+          <div className="score-label">Combo</div>
+          <div className="score-value">
+            {combo > 0 ? `🔥 ${combo} · x${getComboMultiplier(combo)}` : '-'}
+          </div>
+        </div>
+      )}
       <div className="score-item">
         <div className="score-label">Mode</div>
         <div className="score-value">
           {difficulty === 'hard' ? 'Hard' : 'Normal'}
+          {policy && <div className="score-subvalue" title={policy.description}>{policy.label}</div>}
         </div>
       </div>
+      {timer && (
+        <div className="score-item">
+          <div className="score-label">
+            {getTimeMode(timer.mode)?.type === 'perMove' ? 'Move Time' : 'Time'}
+          </div>
+          <div className={`score-value ${timer.remainingMs <= LOW_TIME_MS ? 'time-low' : ''}`}>
+            {formatTime(timer.remainingMs)}
+          </div>
+        </div>
+      )}
+      {gridSize && (
+        <div className="score-item">
+          <div className="score-label">Board</div>
+          <div className="score-value">{gridSize}x{gridSize}</div>
+        </div>
+      )}
+      {seed !== undefined && seed !== null && (
+        <div className="score-item">
+          <div className="score-label">Seed</div>
+          <div className="score-value">{seed}</div>
+        </div>
+      )}
     </div>
   );
 }
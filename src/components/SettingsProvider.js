@@ -0,0 +1,67 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  onStoredSettingsChange,
+  saveSettings,
+  validateSettings
+} from '../utils/settings';
+import { applyTheme } from '../utils/themes';
+
+const SettingsContext = createContext(null);
+
+/**
+ * Holds the player settings for the whole app. Changes made through
+ * useSettings() reach every screen straight away and are saved to the
+ * browser; changes made in another tab are picked up too.
+ */
+function SettingsProvider({ children }) {
+  const [settings, setSettings] = useState(loadSettings);
+
+  // Also stores settings that were just migrated from an older version
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
+
+  useEffect(() => {
+    applyTheme(settings.theme);
+  }, [settings.theme]);
+
+  useEffect(() => onStoredSettingsChange(setSettings), []);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(current => validateSettings({ ...current, ...changes }));
+  }, []);
+
+  const updateSetting = useCallback((key, value) => {
+    updateSettings({ [key]: value });
+  }, [updateSettings]);
+
+  const resetSettings = useCallback(() => {
+    setSettings({ ...DEFAULT_SETTINGS });
+  }, []);
+
+  const value = useMemo(
+    () => ({ settings, updateSetting, updateSettings, resetSettings }),
+    [settings, updateSetting, updateSettings, resetSettings]
+  );
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
+
+/**
+ * { settings, updateSetting(key, value), updateSettings(changes), resetSettings() }
+ */
+export function useSettings() {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error('useSettings must be used inside a SettingsProvider');
+  }
+  return context;
+}
+
+export default SettingsProvider;
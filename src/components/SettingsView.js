@@ -1,46 +1,65 @@
 import React, { useState, useEffect } from 'react';
+import { collectAppData, restoreAppData } from '../utils/appData';
+import { clearSavedGame } from '../utils/savedGame';
+import { DEFAULT_SETTINGS, migrateSettings, serializeSettings } from '../utils/settings';
+import { GRID_SIZES, GRID_SIZE, hasSquares } from '../utils/gameEngine';
+import { PLAYER_PROFILES } from '../utils/pieces';
+import { getSkillEstimate, getSkillTier } from '../utils/skillModel';
+import { describeKey, getKeyBindings, KEY_ACTIONS, rebindKey } from '../utils/keyBindings';
+import { playSound } from '../utils/sound';
+import { getTheme, THEMES } from '../utils/themes';
+import { HEURISTIC_ADVISOR, listStoredModels } from '../ai/HintAdvisor';
+import { useSettings } from './SettingsProvider';
+
+function describeGridSize(size) {
+  if (size === GRID_SIZE) return `${size}x${size} (Classic)`;
+  return `${size}x${size}${hasSquares(size) ? '' : ' (No Squares)'}`;
+}
 
 function SettingsView({ onNavigate }) {
-  const [settings, setSettings] = useState({
-    soundEnabled: true,
-    animationsEnabled: true,
-    difficulty: 'normal',
-    autoSave: true,
-    theme: 'dark',
-    aiSpeed: 500,
-    showHints: true,
-    gridSize: 9
-  });
-
-  // Load settings from localStorage on mount
+  const { settings, updateSetting: changeSetting, updateSettings, resetSettings } = useSettings();
+  const [skill] = useState(() => getSkillEstimate());
+  const [storedModels, setStoredModels] = useState([]);
+  const [rebinding, setRebinding] = useState(null); // Action waiting for its new key
+
+  // Trained DQN models that can give hints
   useEffect(() => {
-    const savedSettings = localStorage.getItem('woodBlockPuzzleSettings');
-    if (savedSettings) {
-      setSettings(JSON.parse(savedSettings));
-    }
+    let cancelled = false;
+    listStoredModels().then(models => {
+      if (!cancelled) setStoredModels(models);
+    });
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
-  // Save settings to localStorage whenever they change
+  // Changes apply everywhere at once, see SettingsProvider
   const updateSetting = (key, value) => {
-    const newSettings = { ...settings, [key]: value };
-    setSettings(newSettings);
-    localStorage.setItem('woodBlockPuzzleSettings', JSON.stringify(newSettings));
+    changeSetting(key, value);
+
+    // Don't offer to continue a game that will no longer be kept up to date
+    if (key === 'autoSave' && !value) {
+      clearSavedGame();
+    }
   };
 
-  const resetSettings = () => {
-    const defaultSettings = {
-      soundEnabled: true,
-      animationsEnabled: true,
-      difficulty: 'normal',
-      autoSave: true,
-      theme: 'dark',
-      aiSpeed: 500,
-      showHints: true,
-      gridSize: 9
+  const keyBindings = getKeyBindings(settings);
+
+  // The next key pressed (other than a lone modifier) becomes the binding
+  useEffect(() => {
+    if (!rebinding) return;
+
+    const handleKeyDown = (e) => {
+      if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      changeSetting('keyBindings', rebindKey(getKeyBindings(settings), rebinding, e.key));
+      setRebinding(null);
     };
-    setSettings(defaultSettings);
-    localStorage.setItem('woodBlockPuzzleSettings', JSON.stringify(defaultSettings));
-  };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [rebinding, settings, changeSetting]);
 
   const clearAllData = () => {
     const confirmed = window.confirm(
@@ -56,8 +75,8 @@ function SettingsView({ onNavigate }) {
 
   const exportData = () => {
     const data = {
-      settings: settings,
-      bestScore: localStorage.getItem('woodBlockPuzzleBestScore'),
+      settings: serializeSettings(settings),
+      storage: collectAppData(), // Best scores, replays, levels, puzzle progress, ...
       timestamp: new Date().toISOString()
     };
     
@@ -82,11 +101,14 @@ function SettingsView({ onNavigate }) {
       try {
         const data = JSON.parse(e.target.result);
         
+        // Files exported by older versions are migrated, anything invalid is dropped
         if (data.settings) {
-          setSettings(data.settings);
-          localStorage.setItem('woodBlockPuzzleSettings', JSON.stringify(data.settings));
+          updateSettings(migrateSettings(data.settings));
         }
         
+        restoreAppData(data.storage);
+
+        // Older exports only had the classic best score
         if (data.bestScore) {
           localStorage.setItem('woodBlockPuzzleBestScore', data.bestScore);
         }
@@ -109,7 +131,7 @@ function SettingsView({ onNavigate }) {
           ← Back to Menu
         </button>
         
-        <h1 style={{ color: 'white', fontSize: '36px', margin: '0', textAlign: 'center', flex: 1 }}>
+        <h1 style={{ color: 'var(--text-color)', fontSize: '36px', margin: '0', textAlign: 'center', flex: 1 }}>
           ⚙️ Game Settings
         </h1>
       </div>
@@ -143,11 +165,67 @@ function SettingsView({ onNavigate }) {
               onChange={(e) => updateSetting('gridSize', parseInt(e.target.value))}
               className="setting-select"
             >
-              <option value={9}>9x9 (Classic)</option>
-              <option value={10}>10x10 (Extended)</option>
+              {GRID_SIZES.map(size => (
+                <option key={size} value={size}>{describeGridSize(size)}</option>
+              ))}
             </select>
             <div className="setting-description">
-              Game board size (9x9 is recommended for optimal AI performance)
+              Board size for new games. 3x3 squares only clear when the board divides into them. The AI always trains on 9x9.
+            </div>
+          </div>
+
+          <div className="setting-item">
+            <label htmlFor="previewSets">Next Pieces Preview:</label>
+            <select
+              id="previewSets"
+              value={settings.previewSets}
+              onChange={(e) => updateSetting('previewSets', parseInt(e.target.value))}
+              className="setting-select"
+            >
+              <option value={0}>Off</option>
+              <option value={1}>Next set</option>
+              <option value={2}>Next two sets</option>
+            </select>
+            <div className="setting-description">
+              Show the upcoming pieces, greyed out, under the tray so you can plan ahead
+            </div>
+          </div>
+
+          <div className="setting-item">
+            <label htmlFor="pieceProfile">Piece Distribution:</label>
+            <select
+              id="pieceProfile"
+              value={settings.pieceProfile}
+              onChange={(e) => updateSetting('pieceProfile', e.target.value)}
+              className="setting-select"
+              disabled={settings.adaptiveDifficulty}
+            >
+              {PLAYER_PROFILES.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.label}</option>
+              ))}
+            </select>
+            <div className="setting-description">
+              {settings.adaptiveDifficulty
+                ? 'Chosen by adaptive difficulty while it is on'
+                : PLAYER_PROFILES.find(profile => profile.id === settings.pieceProfile)?.description ||
+                  'How often each kind of piece is dealt in new games'}
+            </div>
+          </div>
+
+          <div className="setting-item">
+            <div className="setting-toggle">
+              <input
+                type="checkbox"
+                id="adaptiveDifficulty"
+                checked={settings.adaptiveDifficulty}
+                onChange={(e) => updateSetting('adaptiveDifficulty', e.target.checked)}
+              />
+              <label htmlFor="adaptiveDifficulty">Adaptive Difficulty</label>
+            </div>
+            <div className="setting-description">
+              Friendlier pieces while you're learning; tougher pieces and obstacles once you're good.
+              Your level: {getSkillTier(skill).label}{skill === null ? ' (no games yet)' : ` (skill ${skill})`}.{' '}
+              <button className="link-btn" onClick={() => onNavigate('stats')}>See your stats</button>
             </div>
           </div>
 
@@ -159,10 +237,32 @@ function SettingsView({ onNavigate }) {
                 checked={settings.showHints}
                 onChange={(e) => updateSetting('showHints', e.target.checked)}
               />
-              <label htmlFor="showHints">Show Placement Hints</label>
+              <label htmlFor="showHints">Show Hint Button</label>
             </div>
             <div className="setting-description">
-              Highlight valid placement positions when dragging blocks
+              Add a Hint button to the game that highlights a suggested piece and where to put it
+            </div>
+          </div>
+
+          <div className="setting-item">
+            <label htmlFor="hintAdvisor">Hint Advisor:</label>
+            <select
+              id="hintAdvisor"
+              value={settings.hintAdvisor}
+              onChange={(e) => updateSetting('hintAdvisor', e.target.value)}
+              className="setting-select"
+              disabled={!settings.showHints}
+            >
+              <option value={HEURISTIC_ADVISOR}>Heuristic Agent</option>
+              {storedModels.map(name => (
+                <option key={name} value={name}>DQN: {name}</option>
+              ))}
+              {settings.hintAdvisor !== HEURISTIC_ADVISOR && !storedModels.includes(settings.hintAdvisor) && (
+                <option value={settings.hintAdvisor}>DQN: {settings.hintAdvisor} (not found)</option>
+              )}
+            </select>
+            <div className="setting-description">
+              Which agent suggests moves. Trained DQN models saved in this browser are listed; hints only work on boards up to 9x9.
             </div>
           </div>
 
@@ -177,7 +277,7 @@ function SettingsView({ onNavigate }) {
               <label htmlFor="autoSave">Auto-Save Progress</label>
             </div>
             <div className="setting-description">
-              Automatically save game progress and best scores
+              Automatically save your current game so you can continue it from the menu
             </div>
           </div>
         </div>
@@ -194,12 +294,12 @@ function SettingsView({ onNavigate }) {
               onChange={(e) => updateSetting('theme', e.target.value)}
               className="setting-select"
             >
-              <option value="dark">Dark Wood</option>
-              <option value="light">Light Wood</option>
-              <option value="colorful">Colorful</option>
+              {THEMES.map(theme => (
+                <option key={theme.id} value={theme.id}>{theme.label}</option>
+              ))}
             </select>
             <div className="setting-description">
-              Choose your preferred color theme
+              {getTheme(settings.theme).description}
             </div>
           </div>
 
@@ -214,7 +314,25 @@ function SettingsView({ onNavigate }) {
               <label htmlFor="soundEnabled">Sound Effects</label>
             </div>
             <div className="setting-description">
-              Enable sound effects for block placement and line clears
+              Sounds for picking up and placing pieces, clears, combos, new best scores and game over
+            </div>
+          </div>
+
+          <div className="setting-item">
+            <label htmlFor="soundVolume">Volume:</label>
+            <div className="setting-range">
+              <input
+                type="range"
+                id="soundVolume"
+                min="0"
+                max="100"
+                step="5"
+                value={Math.round(settings.soundVolume * 100)}
+                onChange={(e) => updateSetting('soundVolume', parseInt(e.target.value) / 100)}
+                onPointerUp={() => playSound('drop')} // Let the player hear the new volume
+                disabled={!settings.soundEnabled}
+              />
+              <span className="range-value">{Math.round(settings.soundVolume * 100)}%</span>
             </div>
           </div>
 
@@ -229,11 +347,41 @@ function SettingsView({ onNavigate }) {
               <label htmlFor="animationsEnabled">Animations</label>
             </div>
             <div className="setting-description">
-              Enable smooth animations for block placement and line clearing
+              Placed pieces pop in, cleared lines flash and collapse and points float up. Always off when your system asks for reduced motion.
             </div>
           </div>
         </div>
 
+        {/* Keyboard Controls */}
+        <div className="settings-section">
+          <h3>⌨️ Keyboard Controls</h3>
+
+          <div className="setting-description">
+            Play without dragging: pick a piece, move it around the board and place it.
+            Click a key, then press the new key for that action.
+          </div>
+
+          {KEY_ACTIONS.map(action => (
+            <div className="setting-item key-binding" key={action.id}>
+              <label htmlFor={`key-${action.id}`}>{action.label}:</label>
+              <button
+                id={`key-${action.id}`}
+                className={`key-binding-btn ${rebinding === action.id ? 'listening' : ''}`}
+                onClick={() => setRebinding(rebinding === action.id ? null : action.id)}
+              >
+                {rebinding === action.id ? 'Press a key...' : describeKey(keyBindings[action.id])}
+              </button>
+            </div>
+          ))}
+
+          <button
+            className="btn reset-btn"
+            onClick={() => updateSetting('keyBindings', DEFAULT_SETTINGS.keyBindings)}
+          >
+            🔄 Reset Controls
+          </button>
+        </div>
+
         {/* AI Settings */}
         <div className="settings-section">
           <h3>🤖 AI Settings</h3>
@@ -244,16 +392,16 @@ function SettingsView({ onNavigate }) {
               <input
                 type="range"
                 id="aiSpeed"
-                min="100"
+                min="50"
                 max="2000"
-                step="100"
+                step="50"
                 value={settings.aiSpeed}
                 onChange={(e) => updateSetting('aiSpeed', parseInt(e.target.value))}
               />
               <span className="range-value">{settings.aiSpeed}ms</span>
             </div>
             <div className="setting-description">
-              Speed of AI moves when watching AI play ({settings.aiSpeed < 500 ? 'Fast' : settings.aiSpeed < 1000 ? 'Medium' : 'Slow'})
+              Time each AI move stays on the board while it plays, or each drawn board while it trains ({settings.aiSpeed < 200 ? 'Fast' : settings.aiSpeed < 1000 ? 'Medium' : 'Slow'})
             </div>
           </div>
         </div>
@@ -0,0 +1,163 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { clearSkillHistory, getSkillEstimate, getSkillTier, loadSkillHistory } from '../utils/skillModel';
+import { getChartColors } from '../utils/themes';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = 30;
+const RECENT_GAMES = 10;
+
+// Skill estimate (line) and each game's rating (dots) on a 0-100 scale
+function drawSkillChart(canvas, history) {
+  const ctx = canvas.getContext('2d');
+  const colors = getChartColors();
+  const chartWidth = canvas.width - 2 * CHART_PADDING;
+  const chartHeight = canvas.height - 2 * CHART_PADDING;
+  const toX = (index) => CHART_PADDING + (history.length > 1 ? index / (history.length - 1) : 0.5) * chartWidth;
+  const toY = (value) => CHART_PADDING + (1 - value / 100) * chartHeight;
+
+  ctx.fillStyle = colors.background;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.strokeStyle = colors.grid;
+  ctx.lineWidth = 1;
+  ctx.fillStyle = colors.text;
+  ctx.font = '12px Arial';
+  for (let value = 0; value <= 100; value += 25) {
+    ctx.beginPath();
+    ctx.moveTo(CHART_PADDING, toY(value));
+    ctx.lineTo(CHART_PADDING + chartWidth, toY(value));
+    ctx.stroke();
+    ctx.fillText(String(value), 2, toY(value) + 4);
+  }
+
+  ctx.fillStyle = colors.series[0];
+  history.forEach((game, index) => {
+    ctx.beginPath();
+    ctx.arc(toX(index), toY(game.performance), 3, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+
+  ctx.strokeStyle = colors.series[1];
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  history.forEach((game, index) => {
+    if (index === 0) ctx.moveTo(toX(index), toY(game.skill));
+    else ctx.lineTo(toX(index), toY(game.skill));
+  });
+  ctx.stroke();
+
+  ctx.textAlign = 'center';
+  ctx.font = 'bold 14px Arial';
+  ctx.fillStyle = colors.text;
+  ctx.fillText('Skill Estimate', canvas.width / 2, 20);
+  ctx.textAlign = 'left';
+}
+
+function StatsView({ onNavigate }) {
+  const [history, setHistory] = useState(loadSkillHistory);
+  const chartRef = useRef(null);
+
+  const skill = getSkillEstimate(history);
+  const tier = getSkillTier(skill);
+  const recent = history.slice(-RECENT_GAMES).reverse();
+  const averageScore = recent.length > 0
+    ? Math.round(recent.reduce((sum, game) => sum + game.score, 0) / recent.length)
+    : 0;
+
+  useEffect(() => {
+    if (chartRef.current && history.length > 0) {
+      drawSkillChart(chartRef.current, history);
+    }
+  }, [history]);
+
+  const resetStats = () => {
+    if (window.confirm('Forget every recorded game and start the skill estimate over?')) {
+      clearSkillHistory();
+      setHistory([]);
+    }
+  };
+
+  return (
+    <div className="game-view stats-view">
+      <div className="game-header">
+        <button
+          className="back-btn"
+          onClick={() => onNavigate('menu')}
+        >
+          ← Back to Menu
+        </button>
+
+        <h1 style={{ color: 'var(--text-color)', fontSize: '36px', margin: '0', textAlign: 'center', flex: 1 }}>
+          📈 Player Stats
+        </h1>
+      </div>
+
+      <div className="score-container">
+        <div className="score-item">
+          <div className="score-label">Skill</div>
+          <div className="score-value">{skill ?? '-'}</div>
+        </div>
+        <div className="score-item">
+          <div className="score-label">Level</div>
+          <div className="score-value">{tier.label}</div>
+        </div>
+        <div className="score-item">
+          <div className="score-label">Games</div>
+          <div className="score-value">{history.length}</div>
+        </div>
+        <div className="score-item">
+          <div className="score-label">Avg Score (last {RECENT_GAMES})</div>
+          <div className="score-value">{averageScore.toLocaleString()}</div>
+        </div>
+      </div>
+
+      {history.length === 0 ? (
+        <div className="empty-note">
+          Finish a game (without undo, outside levels) and your skill estimate shows up here.
+        </div>
+      ) : (
+        <>
+          <canvas ref={chartRef} width={CHART_WIDTH} height={CHART_HEIGHT} className="stats-chart" />
+          <div className="stats-legend">
+            <span className="stats-legend-skill">━ Skill estimate</span>
+            <span className="stats-legend-game">● Game rating</span>
+          </div>
+
+          <table className="stats-table">
+            <thead>
+              <tr>
+                <th>Played</th>
+                <th>Score</th>
+                <th>Moves</th>
+                <th>Clears / Move</th>
+                <th>Fragmentation</th>
+                <th>Rating</th>
+                <th>Skill</th>
+              </tr>
+            </thead>
+            <tbody>
+              {recent.map((game, index) => (
+                <tr key={`${game.playedAt}-${index}`}>
+                  <td>{new Date(game.playedAt).toLocaleString()}</td>
+                  <td>{game.score.toLocaleString()}</td>
+                  <td>{game.moves}</td>
+                  <td>{game.clearsPerMove.toFixed(2)}</td>
+                  <td>{Math.round(game.fragmentation * 100)}%</td>
+                  <td>{game.performance}</td>
+                  <td>{game.skill}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <button className="btn reset-btn" onClick={resetStats}>
+            🔄 Reset Stats
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default StatsView;
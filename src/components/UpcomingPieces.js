@@ -0,0 +1,30 @@
+import React from 'react';
+import BlockPreview from './BlockPreview';
+
+// Greyed-out preview of the sets dealt after the current tray, nearest first.
+// mayChange flags a preview the generator policy can still swap pieces in.
+function UpcomingPieces({ sets, mayChange = false }) {
+  if (sets.length === 0) return null;
+
+  const title = mayChange
+    ? 'Pieces dealt after the current tray. The generator policy may swap them for others when they are dealt.'
+    : 'Pieces dealt after the current tray';
+
+  return (
+    <div className="upcoming-pieces" title={title}>
+      <div className="upcoming-pieces-label">
+        Next
+        {mayChange && <span className="upcoming-pieces-note"> (may change)</span>}
+      </div>
+      {sets.map((set, setIndex) => (
+        <div key={setIndex} className="upcoming-set">
+          {set.map((shape, index) => (
+            <BlockPreview key={index} shape={shape} />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default UpcomingPieces;
@@ -2,6 +2,7 @@ import React, { useState, useRef, useEffect } from 'react';
 import { ConvDQNAgent } from '../ai/ConvDQNAgent';
 import { ConvDQNEnvironment } from '../ai/ConvDQNEnvironment';
 import AIVisualization from './AIVisualization';
+import { useSettings } from './SettingsProvider';
 
 /**
  * VISUAL CNN TRAINING PANEL - 45x45 Pattern Recognition Mode
@@ -22,6 +23,7 @@ function VisualCNNTrainingPanel({
   gameOver,
   onResetGame 
 }) {
+  const { settings } = useSettings();
   const [isTraining, setIsTraining] = useState(false);
   const [isAIPlaying, setIsAIPlaying] = useState(false);
   const [trainingStats, setTrainingStats] = useState(null);
@@ -40,6 +42,7 @@ function VisualCNNTrainingPanel({
   const environmentRef = useRef(null);
   const trainingIntervalRef = useRef(null);
   const aiPlayIntervalRef = useRef(null);
+  const aiMoveRef = useRef(null); // Latest makeVisualAIMove, for the play interval
 
   useEffect(() => {
     // Initialize Visual CNN system
@@ -196,13 +199,16 @@ function VisualCNNTrainingPanel({
     const visualEnv = environmentRef.current;
     visualEnv.setState(grid, availableBlocks, score, 'visual');
     
-    const playMove = async () => {
-      await makeVisualAIMove();
-    };
-    
-    aiPlayIntervalRef.current = setInterval(playMove, 1000);
+    aiPlayIntervalRef.current = setInterval(() => aiMoveRef.current(), settings.aiSpeed);
   };
 
+  // Follow changes to the AI speed setting while the AI is playing
+  useEffect(() => {
+    if (!aiPlayIntervalRef.current) return;
+    clearInterval(aiPlayIntervalRef.current);
+    aiPlayIntervalRef.current = setInterval(() => aiMoveRef.current(), settings.aiSpeed);
+  }, [settings.aiSpeed]);
+
   const stopAIPlay = () => {
     setIsAIPlaying(false);
     setModelStatus('Visual CNN AI stopped');
@@ -269,6 +275,7 @@ function VisualCNNTrainingPanel({
       stopAIPlay();
     }
   };
+  aiMoveRef.current = makeVisualAIMove;
 
   const saveModel = async () => {
     if (!agentRef.current) return;
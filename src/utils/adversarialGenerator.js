@@ -0,0 +1,111 @@
+import { clearCompletedLines, findCompletedLines, getValidPlacements, isBlockedCell, placeBlockOnGrid } from './gameEngine';
+
+// Adversarial ("evil") piece generator. Instead of dealing the next set as
+// drawn, it draws a handful of candidate sets and deals the one that leaves
+// the player the worst best outcome: for each candidate it searches the
+// player's placements and scores the boards they lead to with evaluateBoard().
+// Used by the Mean and Evil generator policies and, as the adversary option,
+// by the AI environments for a harder benchmark.
+
+export const DEFAULT_ADVERSARY = {
+  depth: 2,        // Pieces of each candidate set the search places (1-3)
+  randomness: 0,   // Chance (0-1) the drawn set is dealt without searching
+  candidates: 8,   // Sets compared, including the one drawn first
+  beamWidth: 6     // Best placements expanded at each search level
+};
+
+// Score of a board where the player can't place the rest of the set
+const STUCK_SCORE = -1000;
+
+/**
+ * How good a board is for the player, roughly following the heuristics of
+ * HybridHeuristicAgent: room to play, lines that are nearly complete, and
+ * empty cells walled in on every side, which few pieces can ever fill.
+ */
+export function evaluateBoard(grid, blocked = null) {
+  const gridSize = grid.length;
+  const isOpen = (row, col) =>
+    row >= 0 && row < gridSize && col >= 0 && col < gridSize &&
+    !grid[row][col] && !isBlockedCell(blocked, row, col);
+
+  let emptyCells = 0;
+  let isolatedCells = 0;
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      if (!isOpen(row, col)) continue;
+      emptyCells++;
+      if (!isOpen(row - 1, col) && !isOpen(row + 1, col) && !isOpen(row, col - 1) && !isOpen(row, col + 1)) {
+        isolatedCells++;
+      }
+    }
+  }
+
+  let nearlyComplete = 0;
+  for (let i = 0; i < gridSize; i++) {
+    let rowOpen = 0;
+    let colOpen = 0;
+    for (let j = 0; j < gridSize; j++) {
+      if (isOpen(i, j)) rowOpen++;
+      if (isOpen(j, i)) colOpen++;
+    }
+    if (rowOpen > 0 && rowOpen <= 2) nearlyComplete++;
+    if (colOpen > 0 && colOpen <= 2) nearlyComplete++;
+  }
+
+  return emptyCells + nearlyComplete * 5 - isolatedCells * 8;
+}
+
+/**
+ * The best board evaluation the player can reach by placing up to depth of
+ * the shapes, in any order. Only the beamWidth most promising placements are
+ * searched further at each level.
+ */
+export function getBestOutcome(grid, shapes, { blocked = null, depth = DEFAULT_ADVERSARY.depth, beamWidth = DEFAULT_ADVERSARY.beamWidth } = {}) {
+  if (depth <= 0 || shapes.length === 0) return evaluateBoard(grid, blocked);
+
+  const children = [];
+  shapes.forEach((shape, index) => {
+    const rest = shapes.filter((_, i) => i !== index);
+    getValidPlacements(grid, shape, blocked).forEach(({ row, col }) => {
+      const placed = placeBlockOnGrid(grid, shape, row, col);
+      const next = clearCompletedLines(placed, findCompletedLines(placed, blocked), blocked);
+      children.push({ grid: next, rest, value: evaluateBoard(next, blocked) });
+    });
+  });
+
+  if (children.length === 0) return STUCK_SCORE + evaluateBoard(grid, blocked);
+
+  children.sort((a, b) => b.value - a.value);
+  return Math.max(...children.slice(0, beamWidth).map(child =>
+    getBestOutcome(child.grid, child.rest, { blocked, depth: depth - 1, beamWidth })
+  ));
+}
+
+/**
+ * Picks the set to deal onto grid. drawnSet is the set the generator drew
+ * anyway; drawSet() draws more candidates, advancing the same random so the
+ * choice can be replayed from a seed. A set where nothing fits at all is only
+ * dealt when every candidate is like that - ending a game on the deal isn't
+ * much of a challenge.
+ */
+export function chooseAdversarialSet(grid, drawnSet, { random, drawSet, blocked = null, ...options } = {}) {
+  const { depth, randomness, candidates, beamWidth } = { ...DEFAULT_ADVERSARY, ...options };
+  if (random.next() < randomness) return drawnSet;
+
+  const sets = [drawnSet];
+  while (sets.length < candidates) sets.push(drawSet());
+
+  let worstSet = drawnSet;
+  let worstOutcome = Infinity;
+  sets.forEach(set => {
+    const playable = set.some(shape => getValidPlacements(grid, shape, blocked).length > 0);
+    if (!playable) return;
+
+    const outcome = getBestOutcome(grid, set, { blocked, depth, beamWidth });
+    if (outcome < worstOutcome) {
+      worstOutcome = outcome;
+      worstSet = set;
+    }
+  });
+  return worstSet;
+}
@@ -0,0 +1,90 @@
+import { getClearEvent, SQUARE_SIZE } from './gameEngine';
+
+// Board animations for a move: placed cells pop in, cleared cells flash and
+// collapse one row, column or square after another, and the points float up
+// from the middle of what was cleared. The move itself is already applied;
+// these only decorate it.
+
+export const PLACE_ANIMATION_MS = 200;
+export const CLEAR_ANIMATION_MS = 450;
+export const REGION_STAGGER_MS = 60; // Between one cleared row/column/square and the next
+export const POPUP_ANIMATION_MS = 900;
+
+export function prefersReducedMotion() {
+  return typeof window !== 'undefined' &&
+    Boolean(window.matchMedia?.('(prefers-reduced-motion: reduce)').matches);
+}
+
+/**
+ * Animations are off when the player turned them off in Settings or asked
+ * their system for reduced motion.
+ */
+export function areAnimationsEnabled(settings) {
+  return settings.animationsEnabled && !prefersReducedMotion();
+}
+
+function getClearedRegions({ rows, cols, squares }, gridSize) {
+  const line = (toCell) => Array.from({ length: gridSize }, (_, i) => toCell(i));
+  const square = ({ row, col }) => Array.from({ length: SQUARE_SIZE * SQUARE_SIZE }, (_, i) => ({
+    row: row * SQUARE_SIZE + Math.floor(i / SQUARE_SIZE),
+    col: col * SQUARE_SIZE + (i % SQUARE_SIZE)
+  }));
+
+  return [
+    ...rows.map(row => line(col => ({ row, col }))),
+    ...cols.map(col => line(row => ({ row, col }))),
+    ...squares.map(square)
+  ];
+}
+
+/**
+ * The animation for a move's events (see applyMove), or null for moves that
+ * place nothing:
+ *   { placed: [{ row, col }], cleared: [{ row, col, delay }],
+ *     popups: [{ row, col, points, multiplier }], lockMs, durationMs }
+ * Input should wait lockMs, until the cleared cells are gone; the popups
+ * keep floating until durationMs.
+ */
+export function getMoveAnimation(events, gridSize) {
+  const place = events.find(event => event.type === 'place');
+  if (!place) return null;
+
+  const clear = getClearEvent(events);
+  const regions = clear ? getClearedRegions(clear, gridSize) : [];
+
+  // A cell in several cleared regions goes with the first of them
+  const delays = new Map();
+  regions.forEach((cells, index) => {
+    cells.forEach(({ row, col }) => {
+      const key = `${row},${col}`;
+      if (!delays.has(key)) delays.set(key, index * REGION_STAGGER_MS);
+    });
+  });
+  const cleared = [...delays].map(([key, delay]) => {
+    const [row, col] = key.split(',').map(Number);
+    return { row, col, delay };
+  });
+
+  const placed = [];
+  place.shape.forEach((shapeRow, r) => {
+    shapeRow.forEach((filled, c) => {
+      const row = place.row + r;
+      const col = place.col + c;
+      if (filled && !delays.has(`${row},${col}`)) placed.push({ row, col });
+    });
+  });
+
+  if (!clear) {
+    return { placed, cleared, popups: [], lockMs: 0, durationMs: PLACE_ANIMATION_MS };
+  }
+
+  const popups = [{
+    row: cleared.reduce((sum, cell) => sum + cell.row, 0) / cleared.length,
+    col: cleared.reduce((sum, cell) => sum + cell.col, 0) / cleared.length,
+    points: clear.points,
+    multiplier: clear.combo > 1 ? clear.multiplier : null
+  }];
+  const lockMs = CLEAR_ANIMATION_MS + (regions.length - 1) * REGION_STAGGER_MS;
+
+  return { placed, cleared, popups, lockMs, durationMs: Math.max(lockMs, POPUP_ANIMATION_MS) };
+}
@@ -0,0 +1,38 @@
+import { SETTINGS_KEY } from './settings';
+
+// Export and import of everything the game keeps in browser storage: best
+// scores for every mode, saved replays, custom levels and puzzle progress, the
+// skill history, the game in progress and settings. All of it is stored under
+// keys starting with woodBlockPuzzle. Trained AI models are left out, they're
+// big and can be trained again.
+
+const APP_DATA_PREFIX = 'woodBlockPuzzle';
+
+function isAppDataKey(key) {
+  return key.startsWith(APP_DATA_PREFIX) && key !== SETTINGS_KEY;
+}
+
+/**
+ * The stored game data as { key: stored string }. Settings aren't included,
+ * they're exported on their own with their version (see serializeSettings).
+ */
+export function collectAppData() {
+  return Object.fromEntries(
+    Object.keys(localStorage)
+      .filter(isAppDataKey)
+      .map(key => [key, localStorage.getItem(key)])
+  );
+}
+
+/**
+ * Stores data from collectAppData(), replacing what's there under the same
+ * keys. Entries that aren't game data are skipped. Returns how many were
+ * stored.
+ */
+export function restoreAppData(data) {
+  if (!data || typeof data !== 'object') return 0;
+
+  const entries = Object.entries(data).filter(([key, value]) => isAppDataKey(key) && typeof value === 'string');
+  entries.forEach(([key, value]) => localStorage.setItem(key, value));
+  return entries.length;
+}
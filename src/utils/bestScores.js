@@ -0,0 +1,45 @@
+import { GRID_SIZE } from './gameEngine';
+import { DEFAULT_POLICY } from './generatorPolicy';
+import { DEFAULT_PROFILE } from './pieces';
+
+// Best scores are kept per board size, per level for custom levels, per time
+// limit for blitz games, per generator policy and per piece profile, since
+// fair deals and friendlier pieces make long games much easier. Obstacles get
+// their own best too, and adaptive games share one, as the skill model picks
+// their pieces and obstacles. The classic untimed, purely random 9x9 game
+// keeps the original woodBlockPuzzleBestScore key so existing best scores
+// carry over.
+
+const BEST_SCORE_KEY = 'woodBlockPuzzleBestScore';
+
+export function getBestScoreKey({
+  gridSize = GRID_SIZE,
+  levelId = null,
+  timeMode = null,
+  generatorPolicy = DEFAULT_POLICY,
+  pieceProfile = DEFAULT_PROFILE,
+  adaptive = false,
+  obstacles = 0
+} = {}) {
+  let key = BEST_SCORE_KEY;
+  if (levelId) key += `_level_${levelId}`;
+  else if (gridSize !== GRID_SIZE) key += `_${gridSize}x${gridSize}`;
+
+  if (timeMode) key += `_${timeMode}`;
+  if (adaptive) {
+    key += '_adaptive';
+  } else {
+    if (pieceProfile && pieceProfile !== DEFAULT_PROFILE) key += `_${pieceProfile}`;
+    if (obstacles > 0) key += `_obstacles${obstacles}`;
+  }
+  return generatorPolicy && generatorPolicy !== DEFAULT_POLICY ? `${key}_${generatorPolicy}` : key;
+}
+
+export function loadBestScore(options) {
+  const saved = localStorage.getItem(getBestScoreKey(options));
+  return saved ? parseInt(saved, 10) : 0;
+}
+
+export function saveBestScore(options, score) {
+  localStorage.setItem(getBestScoreKey(options), score.toString());
+}
@@ -0,0 +1,42 @@
+import { getBestScoreKey, loadBestScore, saveBestScore } from './bestScores';
+
+describe('getBestScoreKey', () => {
+  test('keeps the original key for the classic game', () => {
+    expect(getBestScoreKey()).toBe('woodBlockPuzzleBestScore');
+    expect(getBestScoreKey({ gridSize: 9, pieceProfile: 'classic', obstacles: 0 })).toBe('woodBlockPuzzleBestScore');
+  });
+
+  test('gives each game setup its own key', () => {
+    const setups = [
+      {},
+      { gridSize: 12 },
+      { levelId: 'level-1' },
+      { timeMode: 'blitz-2' },
+      { generatorPolicy: 'fair' },
+      { pieceProfile: 'relaxed' },
+      { obstacles: 4 },
+      { obstacles: 8 },
+      { adaptive: true },
+      { pieceProfile: 'relaxed', obstacles: 4, generatorPolicy: 'solvable' }
+    ];
+    const keys = setups.map(getBestScoreKey);
+
+    expect(new Set(keys).size).toBe(setups.length);
+  });
+
+  test('shares one key for adaptive games, whatever the skill model picked', () => {
+    expect(getBestScoreKey({ adaptive: true, pieceProfile: 'relaxed', obstacles: 3 }))
+      .toBe(getBestScoreKey({ adaptive: true, pieceProfile: 'tough', obstacles: 6 }));
+  });
+});
+
+describe('stored best scores', () => {
+  afterEach(() => localStorage.clear());
+
+  test('are kept apart per setup', () => {
+    saveBestScore({ pieceProfile: 'relaxed' }, 900);
+
+    expect(loadBestScore({ pieceProfile: 'relaxed' })).toBe(900);
+    expect(loadBestScore({})).toBe(0);
+  });
+});
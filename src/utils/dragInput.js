@@ -0,0 +1,39 @@
+import { HTML5Backend } from 'react-dnd-html5-backend';
+import { TouchBackend } from 'react-dnd-touch-backend';
+
+// Drag and drop input for the board. Phones and tablets get react-dnd's
+// touch backend; everything else keeps the HTML5 backend and the browser's
+// own drag image.
+
+// How far (px) a piece dragged by touch floats above the finger, so the
+// finger doesn't hide it. The board aims drops at the piece, not the finger.
+export const TOUCH_FINGER_OFFSET = 70;
+
+/**
+ * Whether the main pointer is a finger. Laptops with a touch screen still
+ * count as mouse devices.
+ */
+export function isTouchDevice() {
+  if (typeof window === 'undefined') return false;
+  if (window.matchMedia) {
+    return window.matchMedia('(pointer: coarse)').matches;
+  }
+  return 'ontouchstart' in window;
+}
+
+/**
+ * { backend, options, fingerOffset, isTouch } for the DndProvider and board.
+ */
+export function getDragInput() {
+  if (isTouchDevice()) {
+    return {
+      backend: TouchBackend,
+      // Mouse events too, for tablets with a mouse plugged in
+      options: { enableMouseEvents: true },
+      fingerOffset: TOUCH_FINGER_OFFSET,
+      isTouch: true
+    };
+  }
+
+  return { backend: HTML5Backend, options: undefined, fingerOffset: 0, isTouch: false };
+}
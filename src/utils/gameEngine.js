@@ -0,0 +1,458 @@
+// Pure game rules shared by the React UI and every AI environment.
+// Nothing in here mutates its inputs: every function returns new grids/states.
+
+export const GRID_SIZE = 9;
+export const GRID_SIZES = [6, 8, 9, 10, 12];
+export const SQUARE_SIZE = 3;
+export const TRAY_SIZE = 3;
+
+// Clear rules a game state can play by (state.clearRule):
+//   'classic'   - rows, columns and squares (where the board has squares); the game
+//   'linesOnly' - rows and columns only; the visual CNN environment's own mode
+export const CLEAR_RULES = ['classic', 'linesOnly'];
+export const DEFAULT_CLEAR_RULE = 'classic';
+
+export function createEmptyGrid(size = GRID_SIZE) {
+  return Array(size).fill(null).map(() => Array(size).fill(false));
+}
+
+/**
+ * Sub-squares only clear when the board divides evenly into SQUARE_SIZE squares
+ * (6x6, 9x9 and 12x12). On 8x8 and 10x10 boards only rows and columns clear.
+ */
+export function hasSquares(gridSize = GRID_SIZE) {
+  return gridSize % SQUARE_SIZE === 0;
+}
+
+/**
+ * Obstacle layouts are data: a list of [row, col] cells. Hard mode is just the
+ * layout that blocks the center of the board: a 3x3 square on odd sizes
+ * (rows/cols 3-5 on a 9x9 board) and a 2x2 square on even sizes.
+ */
+export function getHardModeCells(gridSize = GRID_SIZE) {
+  const blockedSize = gridSize % 2 === 0 ? 2 : 3;
+  const start = (gridSize - blockedSize) / 2;
+  const cells = [];
+
+  for (let row = start; row < start + blockedSize; row++) {
+    for (let col = start; col < start + blockedSize; col++) {
+      cells.push([row, col]);
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Turns a list of [row, col] cells into the gridSize x gridSize boolean matrix
+ * the rules use. No blocked cells gives null.
+ */
+export function createBlockedGrid(gridSize, cells = []) {
+  if (cells.length === 0) return null;
+
+  const blocked = createEmptyGrid(gridSize);
+  cells.forEach(([row, col]) => {
+    if (row >= 0 && row < gridSize && col >= 0 && col < gridSize) {
+      blocked[row][col] = true;
+    }
+  });
+  return blocked;
+}
+
+/**
+ * Blocked cells can never be filled, and count as filled when checking clears.
+ * blocked is a boolean matrix or null.
+ */
+export function isBlockedCell(blocked, row, col) {
+  return Boolean(blocked && blocked[row][col]);
+}
+
+export function getBlockSize(blockShape) {
+  return blockShape.flat().filter(cell => cell).length;
+}
+
+export function canPlaceBlock(grid, blockShape, startRow, startCol, blocked = null) {
+  const gridSize = grid.length;
+
+  for (let row = 0; row < blockShape.length; row++) {
+    for (let col = 0; col < blockShape[row].length; col++) {
+      if (blockShape[row][col]) {
+        const gridRow = startRow + row;
+        const gridCol = startCol + col;
+
+        // Check bounds
+        if (gridRow < 0 || gridRow >= gridSize || gridCol < 0 || gridCol >= gridSize) {
+          return false;
+        }
+
+        // Check if cell is already occupied
+        if (grid[gridRow][gridCol]) {
+          return false;
+        }
+
+        // Check if trying to place in a blocked cell
+        if (isBlockedCell(blocked, gridRow, gridCol)) {
+          return false;
+        }
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * True when no tray piece fits anywhere. A held piece counts too while there
+ * is a tray piece to swap it with.
+ */
+export function checkGameOver(grid, availableBlocks, blocked = null, held = null) {
+  const gridSize = grid.length;
+  const blocks = held && availableBlocks.length > 0 ? [...availableBlocks, held] : availableBlocks;
+
+  // Check if any block can be placed anywhere on the grid
+  for (const block of blocks) {
+    for (let row = 0; row < gridSize; row++) {
+      for (let col = 0; col < gridSize; col++) {
+        if (canPlaceBlock(grid, block, row, col, blocked)) {
+          return false; // Game can continue
+        }
+      }
+    }
+  }
+
+  return true; // Game over
+}
+
+/**
+ * All positions where blockShape can be placed, as [{ row, col }].
+ */
+export function getValidPlacements(grid, blockShape, blocked = null) {
+  const placements = [];
+  const gridSize = grid.length;
+
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      if (canPlaceBlock(grid, blockShape, row, col, blocked)) {
+        placements.push({ row, col });
+      }
+    }
+  }
+
+  return placements;
+}
+
+/**
+ * The valid position closest to (row, col), which may be fractional, looking
+ * at most maxDistance cells away in each direction. Returns { row, col } or
+ * null when nothing fits that close.
+ */
+export function findNearestPlacement(grid, blockShape, row, col, blocked = null, maxDistance = 1) {
+  const centerRow = Math.round(row);
+  const centerCol = Math.round(col);
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  for (let r = centerRow - maxDistance; r <= centerRow + maxDistance; r++) {
+    for (let c = centerCol - maxDistance; c <= centerCol + maxDistance; c++) {
+      const distance = Math.hypot(r - row, c - col);
+      if (distance < nearestDistance && canPlaceBlock(grid, blockShape, r, c, blocked)) {
+        nearest = { row: r, col: c };
+        nearestDistance = distance;
+      }
+    }
+  }
+
+  return nearest;
+}
+
+export function placeBlockOnGrid(grid, blockShape, startRow, startCol) {
+  const newGrid = grid.map(row => [...row]);
+
+  for (let row = 0; row < blockShape.length; row++) {
+    for (let col = 0; col < blockShape[row].length; col++) {
+      if (blockShape[row][col]) {
+        newGrid[startRow + row][startCol + col] = true;
+      }
+    }
+  }
+
+  return newGrid;
+}
+
+/**
+ * Finds every complete row, column and square. Blocked cells never need to be
+ * filled, and a square made only of blocked cells is never complete.
+ * Squares are only checked when the board divides evenly into them, and not
+ * at all under the 'linesOnly' clear rule.
+ */
+export function findCompletedLines(grid, blocked = null, clearRule = DEFAULT_CLEAR_RULE) {
+  const gridSize = grid.length;
+  const isFilled = (row, col) => grid[row][col] || isBlockedCell(blocked, row, col);
+
+  const rows = [];
+  for (let row = 0; row < gridSize; row++) {
+    let isComplete = true;
+    for (let col = 0; col < gridSize; col++) {
+      if (!isFilled(row, col)) {
+        isComplete = false;
+        break;
+      }
+    }
+    if (isComplete) rows.push(row);
+  }
+
+  const cols = [];
+  for (let col = 0; col < gridSize; col++) {
+    let isComplete = true;
+    for (let row = 0; row < gridSize; row++) {
+      if (!isFilled(row, col)) {
+        isComplete = false;
+        break;
+      }
+    }
+    if (isComplete) cols.push(col);
+  }
+
+  const completedSquares = [];
+  if (clearRule !== 'linesOnly' && hasSquares(gridSize)) {
+    const squaresPerSide = gridSize / SQUARE_SIZE;
+
+    for (let squareRow = 0; squareRow < squaresPerSide; squareRow++) {
+      for (let squareCol = 0; squareCol < squaresPerSide; squareCol++) {
+        let isComplete = true;
+        let playableCells = 0;
+
+        for (let row = squareRow * SQUARE_SIZE; row < (squareRow + 1) * SQUARE_SIZE; row++) {
+          for (let col = squareCol * SQUARE_SIZE; col < (squareCol + 1) * SQUARE_SIZE; col++) {
+            if (!isBlockedCell(blocked, row, col)) playableCells++;
+            if (!isFilled(row, col)) isComplete = false;
+          }
+        }
+
+        if (isComplete && playableCells > 0) {
+          completedSquares.push({ row: squareRow, col: squareCol });
+        }
+      }
+    }
+  }
+
+  return { rows, cols, squares: completedSquares, total: rows.length + cols.length + completedSquares.length };
+}
+
+/**
+ * Empties the cells of the given completed lines. Blocked cells stay as they are.
+ */
+export function clearCompletedLines(grid, completed, blocked = null) {
+  const gridSize = grid.length;
+  const newGrid = grid.map(row => [...row]);
+  const clearCell = (row, col) => {
+    if (!isBlockedCell(blocked, row, col)) {
+      newGrid[row][col] = false;
+    }
+  };
+
+  completed.rows.forEach(row => {
+    for (let col = 0; col < gridSize; col++) clearCell(row, col);
+  });
+
+  completed.cols.forEach(col => {
+    for (let row = 0; row < gridSize; row++) clearCell(row, col);
+  });
+
+  completed.squares.forEach(square => {
+    for (let row = square.row * SQUARE_SIZE; row < (square.row + 1) * SQUARE_SIZE; row++) {
+      for (let col = square.col * SQUARE_SIZE; col < (square.col + 1) * SQUARE_SIZE; col++) {
+        clearCell(row, col);
+      }
+    }
+  });
+
+  return newGrid;
+}
+
+export function calculatePlacementPoints(blockShape) {
+  return getBlockSize(blockShape) * 10;
+}
+
+export function calculateClearPoints(completed, difficulty = 'normal') {
+  const totalCleared = completed.rows.length + completed.cols.length + completed.squares.length;
+  if (totalCleared === 0) return 0;
+
+  // Base points for each clear
+  let points = totalCleared * 100;
+
+  // Bonus for multiple clears at once
+  if (totalCleared > 1) {
+    points += (totalCleared - 1) * 50; // 50 bonus per additional clear
+  }
+
+  // Special bonus for combo clears (different types)
+  const comboTypes = [completed.rows, completed.cols, completed.squares]
+    .filter(lines => lines.length > 0).length;
+  if (comboTypes > 1) {
+    points += comboTypes * 100; // 100 bonus per combo type
+  }
+
+  // Hard mode bonus
+  if (difficulty === 'hard') {
+    points = Math.floor(points * 1.5); // 50% more points in hard mode
+  }
+
+  return points;
+}
+
+// Combo streak: every placement in a row that clears something grows the
+// combo, and one that clears nothing resets it. From the second clear of a
+// streak on, clear points are multiplied (x1.5, x2, ... up to x3).
+export const COMBO_MULTIPLIER_STEP = 0.5;
+export const MAX_COMBO_MULTIPLIER = 3;
+
+export function getComboMultiplier(combo) {
+  if (combo <= 1) return 1;
+  return Math.min(1 + (combo - 1) * COMBO_MULTIPLIER_STEP, MAX_COMBO_MULTIPLIER);
+}
+
+/**
+ * Builds a fresh game state. blockedCells and filledCells are [row, col] lists;
+ * without blockedCells, hard mode blocks the center. Extra fields (seed,
+ * mode, ...) are kept as-is by applyMove and dealBlocks, so callers can carry
+ * their own data along.
+ */
+export function createGameState({
+  gridSize = GRID_SIZE,
+  difficulty = 'normal',
+  availableBlocks = [],
+  blockedCells = difficulty === 'hard' ? getHardModeCells(gridSize) : [],
+  filledCells = []
+} = {}) {
+  const blocked = createBlockedGrid(gridSize, blockedCells);
+  const grid = createEmptyGrid(gridSize);
+  filledCells.forEach(([row, col]) => {
+    if (grid[row] && col >= 0 && col < gridSize && !isBlockedCell(blocked, row, col)) {
+      grid[row][col] = true;
+    }
+  });
+
+  return {
+    grid,
+    blocked,
+    availableBlocks,
+    score: 0,
+    linesCleared: 0,
+    moves: 0,
+    combo: 0,
+    difficulty,
+    held: null,
+    gameOver: availableBlocks.length > 0 && checkGameOver(grid, availableBlocks, blocked)
+  };
+}
+
+/**
+ * Replaces the tray with new blocks and re-evaluates game over.
+ */
+export function dealBlocks(state, blocks) {
+  return {
+    ...state,
+    availableBlocks: blocks,
+    gameOver: checkGameOver(state.grid, blocks, state.blocked, state.held)
+  };
+}
+
+/**
+ * Puts a tray piece in the hold slot, swapping out the piece held before.
+ * Holding into an empty slot uses the piece up like a placement, so the tray
+ * can run out (trayEmpty). Holding doesn't count as a move, score points or
+ * break a combo streak.
+ */
+export function holdBlock(state, blockIndex) {
+  const shape = state.availableBlocks[blockIndex];
+  if (state.gameOver || !shape) {
+    return { state, events: [{ type: 'invalid' }] };
+  }
+
+  const swapped = state.held || null;
+  const availableBlocks = swapped
+    ? state.availableBlocks.map((block, index) => (index === blockIndex ? swapped : block))
+    : state.availableBlocks.filter((_, index) => index !== blockIndex);
+  const gameOver = availableBlocks.length > 0 && checkGameOver(state.grid, availableBlocks, state.blocked, shape);
+
+  const events = [{ type: 'hold', blockIndex, shape, swapped }];
+  if (availableBlocks.length === 0) {
+    events.push({ type: 'trayEmpty' });
+  } else if (gameOver) {
+    events.push({ type: 'gameOver' });
+  }
+
+  return {
+    state: { ...state, availableBlocks, held: shape, gameOver },
+    events
+  };
+}
+
+/**
+ * Applies a move ({ blockIndex, row, col }, or { blockIndex, hold: true } for
+ * holdBlock) and returns the next state plus the events it produced:
+ *   { type: 'invalid' }                                    - state is returned unchanged
+ *   { type: 'place', blockIndex, row, col, shape, points }
+ *   { type: 'clear', rows, cols, squares, total, points, combo, multiplier }
+ *   { type: 'hold', blockIndex, shape, swapped }           - see holdBlock
+ *   { type: 'trayEmpty' }                                  - caller should dealBlocks()
+ *   { type: 'gameOver' }
+ * Lines clear by state.clearRule (see CLEAR_RULES), classic when it's not set.
+ */
+export function applyMove(state, move) {
+  if (move.hold) return holdBlock(state, move.blockIndex);
+
+  const { blockIndex, row, col } = move;
+  const shape = state.availableBlocks[blockIndex];
+
+  if (state.gameOver || !shape || !canPlaceBlock(state.grid, shape, row, col, state.blocked)) {
+    return { state, events: [{ type: 'invalid' }] };
+  }
+
+  const events = [];
+  const placementPoints = calculatePlacementPoints(shape);
+  const placedGrid = placeBlockOnGrid(state.grid, shape, row, col);
+  events.push({ type: 'place', blockIndex, row, col, shape, points: placementPoints });
+
+  const completed = findCompletedLines(placedGrid, state.blocked, state.clearRule);
+  const combo = completed.total > 0 ? (state.combo || 0) + 1 : 0;
+  const multiplier = getComboMultiplier(combo);
+  const clearPoints = Math.floor(calculateClearPoints(completed, state.difficulty) * multiplier);
+  const grid = completed.total > 0
+    ? clearCompletedLines(placedGrid, completed, state.blocked)
+    : placedGrid;
+  if (completed.total > 0) {
+    events.push({ type: 'clear', ...completed, points: clearPoints, combo, multiplier });
+  }
+
+  const availableBlocks = state.availableBlocks.filter((_, index) => index !== blockIndex);
+  const gameOver = availableBlocks.length > 0 && checkGameOver(grid, availableBlocks, state.blocked, state.held);
+
+  if (availableBlocks.length === 0) {
+    events.push({ type: 'trayEmpty' });
+  } else if (gameOver) {
+    events.push({ type: 'gameOver' });
+  }
+
+  return {
+    state: {
+      ...state,
+      grid,
+      availableBlocks,
+      score: state.score + placementPoints + clearPoints,
+      linesCleared: (state.linesCleared || 0) + completed.total,
+      moves: (state.moves || 0) + 1,
+      combo,
+      gameOver
+    },
+    events
+  };
+}
+
+/**
+ * Convenience lookup for the clear event of a move, or null if nothing cleared.
+ */
+export function getClearEvent(events) {
+  return events.find(event => event.type === 'clear') || null;
+}
@@ -0,0 +1,108 @@
+import { applyMove, createGameState, findCompletedLines } from './gameEngine';
+import { getPiece } from './pieces';
+
+const single = getPiece('single').shape;
+const plus = getPiece('plus').shape;
+
+// Every other cell filled: singles always fit and never complete a line,
+// a plus never fits
+const checkerboard = size => {
+  const cells = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if ((row + col) % 2 === 0) cells.push([row, col]);
+    }
+  }
+  return cells;
+};
+
+describe('applyMove', () => {
+  test('places a piece and scores it', () => {
+    const state = createGameState({ availableBlocks: [single, single] });
+    const { state: next, events } = applyMove(state, { blockIndex: 0, row: 4, col: 5 });
+
+    expect(events).toEqual([{ type: 'place', blockIndex: 0, row: 4, col: 5, shape: single, points: 10 }]);
+    expect(next.grid[4][5]).toBe(true);
+    expect(next.availableBlocks).toEqual([single]);
+    expect(next.score).toBe(10);
+    expect(next.moves).toBe(1);
+    expect(next.gameOver).toBe(false);
+  });
+
+  test('leaves the state alone for a move that does not fit', () => {
+    const state = createGameState({ availableBlocks: [single], filledCells: [[0, 0]] });
+    const result = applyMove(state, { blockIndex: 0, row: 0, col: 0 });
+
+    expect(result.state).toBe(state);
+    expect(result.events).toEqual([{ type: 'invalid' }]);
+  });
+
+  test('clears a completed row', () => {
+    const filledCells = [0, 1, 2, 3, 4, 5, 6, 7].map(col => [0, col]);
+    const state = createGameState({ availableBlocks: [single, single], filledCells });
+    const { state: next, events } = applyMove(state, { blockIndex: 0, row: 0, col: 8 });
+
+    expect(events[1]).toMatchObject({ type: 'clear', rows: [0], cols: [], squares: [], total: 1, points: 100 });
+    expect(next.grid[0].every(cell => !cell)).toBe(true);
+    expect(next.score).toBe(110);
+    expect(next.linesCleared).toBe(1);
+    expect(next.combo).toBe(1);
+  });
+
+  test('multiplies clear points for a combo streak', () => {
+    const filledCells = [0, 1, 2, 3, 4, 5, 6, 7].map(col => [0, col]);
+    const state = { ...createGameState({ availableBlocks: [single, single], filledCells }), combo: 1 };
+    const { state: next, events } = applyMove(state, { blockIndex: 0, row: 0, col: 8 });
+
+    expect(events[1]).toMatchObject({ combo: 2, multiplier: 1.5, points: 150 });
+    expect(next.combo).toBe(2);
+  });
+
+  test('clears 3x3 squares under the classic rule only', () => {
+    const filledCells = [[0, 0], [0, 1], [0, 2], [1, 0], [1, 1], [1, 2], [2, 0], [2, 1]];
+    const classic = createGameState({ availableBlocks: [single, single], filledCells });
+    const { events } = applyMove(classic, { blockIndex: 0, row: 2, col: 2 });
+    expect(events[1]).toMatchObject({ type: 'clear', squares: [{ row: 0, col: 0 }], total: 1 });
+
+    const linesOnly = { ...classic, clearRule: 'linesOnly' };
+    const { state: next, events: linesOnlyEvents } = applyMove(linesOnly, { blockIndex: 0, row: 2, col: 2 });
+    expect(linesOnlyEvents.map(event => event.type)).toEqual(['place']);
+    expect(next.grid[0][0]).toBe(true);
+  });
+
+  test('ends the game when the pieces left no longer fit', () => {
+    const state = createGameState({ availableBlocks: [single, plus], filledCells: checkerboard(9) });
+    const { state: next, events } = applyMove(state, { blockIndex: 0, row: 0, col: 1 });
+
+    expect(events.map(event => event.type)).toEqual(['place', 'gameOver']);
+    expect(next.gameOver).toBe(true);
+    expect(applyMove(next, { blockIndex: 0, row: 0, col: 3 }).events).toEqual([{ type: 'invalid' }]);
+  });
+
+  test('reports an empty tray after its last piece', () => {
+    const state = createGameState({ availableBlocks: [single] });
+    const { state: next, events } = applyMove(state, { blockIndex: 0, row: 0, col: 0 });
+
+    expect(events.map(event => event.type)).toEqual(['place', 'trayEmpty']);
+    expect(next.availableBlocks).toEqual([]);
+    expect(next.gameOver).toBe(false);
+  });
+});
+
+describe('findCompletedLines', () => {
+  test('counts blocked cells as filled', () => {
+    const state = createGameState({
+      blockedCells: [[3, 0], [3, 1], [3, 2]],
+      filledCells: [3, 4, 5, 6, 7, 8].map(col => [3, col])
+    });
+
+    expect(findCompletedLines(state.grid, state.blocked).rows).toEqual([3]);
+  });
+
+  test('skips squares on boards they do not divide', () => {
+    const filledCells = [[0, 0], [0, 1], [0, 2], [1, 0], [1, 1], [1, 2], [2, 0], [2, 1], [2, 2]];
+    const state = createGameState({ gridSize: 8, filledCells });
+
+    expect(findCompletedLines(state.grid).total).toBe(0);
+  });
+});
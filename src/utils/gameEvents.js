@@ -0,0 +1,32 @@
+// A small event bus for things happening in a game. Screens emit the events
+// from playMove (see applyMove in gameEngine.js) plus a few of their own, and
+// listeners such as the sound effects react without the screens knowing
+// about them. Events emitted outside the engine:
+//   { type: 'pickup' }  - a piece was picked up by drag, click or key
+//   { type: 'newBest' } - a finished game beat the best score
+//   { type: 'timeUp' }  - a timed game ran out of time
+
+const listeners = new Set();
+
+/**
+ * Calls listener(event) for every event from now on. Returns a function
+ * that unsubscribes it.
+ */
+export function onGameEvent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function emitGameEvent(event) {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.warn(`Game event listener failed on ${event.type}:`, error);
+    }
+  });
+}
+
+export function emitGameEvents(events) {
+  events.forEach(emitGameEvent);
+}
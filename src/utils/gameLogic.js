@@ -1,116 +1,233 @@
-// Block shapes for the Wood Block Puzzle
-const BLOCK_SHAPES = [
-  // Single cell
-  [[true]],
-  
-  // 2x1 blocks
-  [[true, true]],
-  [[true], [true]],
-  
-  // 3x1 blocks
-  [[true, true, true]],
-  [[true], [true], [true]],
-  
-  // L-shapes
-  [[true, false], [true, false], [true, true]],
-  [[true, true, true], [true, false, false]],
-  [[true, true], [false, true], [false, true]],
-  [[false, false, true], [true, true, true]],
-  
-  // T-shapes
-  [[true, true, true], [false, true, false]],
-  [[false, true], [true, true], [false, true]],
-  [[false, true, false], [true, true, true]],
-  [[true, false], [true, true], [true, false]],
-  
-  // Squares
-  [[true, true], [true, true]],
-  
-  // Z-shapes
-  [[true, true, false], [false, true, true]],
-  [[false, true], [true, true], [true, false]],
-  [[true, true, false], [false, true, true]],
-  [[false, true], [true, true], [true, false]],
-  
-  // Plus shape
-  [[false, true, false], [true, true, true], [false, true, false]],
-  
-  // Corner shapes
-  [[true, false, false], [true, false, false], [true, true, true]],
-  [[true, true, true], [true, false, false], [true, false, false]],
-  [[true, true, true], [false, false, true], [false, false, true]],
-  [[false, false, true], [false, false, true], [true, true, true]],
-  
-  // Step shapes
-  [[true, false, false], [true, true, false], [false, true, true]],
-  [[false, false, true], [false, true, true], [true, true, false]],
-];
-
-export function generateRandomBlocks() {
+import { applyMove, createGameState, dealBlocks, getHardModeCells, GRID_SIZE, TRAY_SIZE } from './gameEngine';
+import { chooseAdversarialSet } from './adversarialGenerator';
+import { DEFAULT_POLICY, getGeneratorPolicy, isSetAllowed, MAX_REROLLS, MAX_SEARCH_NODES } from './generatorPolicy';
+import { DEFAULT_PROFILE, getPiece, pickPiece } from './pieces';
+import { createRandomSeed, SeededRandom } from './random';
+
+// Placement, clearing and scoring rules live in gameEngine.js
+export { canPlaceBlock, checkGameOver, getBlockSize } from './gameEngine';
+
+export function generateRandomBlocks(random = new SeededRandom(), profileId = DEFAULT_PROFILE) {
   const blocks = [];
-  for (let i = 0; i < 3; i++) {
-    const randomIndex = Math.floor(Math.random() * BLOCK_SHAPES.length);
-    blocks.push(BLOCK_SHAPES[randomIndex]);
+  for (let i = 0; i < TRAY_SIZE; i++) {
+    blocks.push(pickPiece(random, profileId).shape);
   }
   return blocks;
 }
 
-export function canPlaceBlock(grid, blockShape, startRow, startCol, difficulty = 'normal') {
-  const gridSize = grid.length;
-  
-  for (let row = 0; row < blockShape.length; row++) {
-    for (let col = 0; col < blockShape[row].length; col++) {
-      if (blockShape[row][col]) {
-        const gridRow = startRow + row;
-        const gridCol = startCol + col;
-        
-        // Check bounds
-        if (gridRow < 0 || gridRow >= gridSize || gridCol < 0 || gridCol >= gridSize) {
-          return false;
-        }
-        
-        // Check if cell is already occupied
-        if (grid[gridRow][gridCol]) {
-          return false;
-        }
-        
-        // Check if trying to place in blocked center square (hard mode)
-        if (difficulty === 'hard' && 
-            gridRow >= 3 && gridRow <= 5 && 
-            gridCol >= 3 && gridCol <= 5) {
-          return false;
-        }
-      }
-    }
+// Sets of upcoming pieces kept ready in state.upcoming, so the game can show
+// them before they're dealt
+export const MAX_PREVIEW_SETS = 2;
+
+/**
+ * The set that comes after everything already queued: the state's fixed
+ * pieceQueue first (levels can define one), then the generator stored in the
+ * game state (state.seed / state.rngState, drawing with state.pieceProfile),
+ * which is advanced. set is null once a puzzle has no pieces left.
+ */
+function drawNextSet(state) {
+  const pieceQueue = state.pieceQueue || [];
+  if (pieceQueue.length > 0) {
+    return { set: pieceQueue.slice(0, TRAY_SIZE), state: { ...state, pieceQueue: pieceQueue.slice(TRAY_SIZE) } };
+  }
+
+  // Puzzles (levels with a goal) only get their fixed pieces, then the game ends
+  if (state.level?.goal) {
+    return { set: null, state };
+  }
+
+  const random = new SeededRandom(state.seed, state.rngState);
+  const set = generateRandomBlocks(random, state.pieceProfile);
+  return { set, state: { ...state, rngState: random.state } };
+}
+
+/**
+ * Draws sets ahead of time until state.upcoming holds MAX_PREVIEW_SETS of them
+ * (or the puzzle runs out). Drawing early doesn't change which pieces a seed
+ * deals, only when they're generated.
+ */
+export function fillUpcoming(state) {
+  let next = { ...state, upcoming: state.upcoming || [] };
+  while (next.upcoming.length < MAX_PREVIEW_SETS) {
+    const { set, state: drawn } = drawNextSet(next);
+    if (!set) break;
+    next = { ...drawn, upcoming: [...next.upcoming, set] };
+  }
+  return next;
+}
+
+/**
+ * Whether the set about to be dealt is one of the level's fixed sets. Those are
+ * dealt as designed, whatever the generator policy says.
+ */
+function isFixedSet(state, setsAhead = 0) {
+  const fixedSets = Math.ceil((state.level?.pieces?.length || 0) / TRAY_SIZE);
+  return (state.setsDealt || 0) + setsAhead < fixedSets;
+}
+
+/**
+ * Whether the generator policy may swap the upcoming set at index for another
+ * one when it's dealt (see dealNextBlocks), so a preview of it isn't final.
+ * Only 'random' and the level's fixed sets are dealt exactly as queued.
+ */
+export function canUpcomingSetChange(state, index) {
+  const policy = getGeneratorPolicy(state.generatorPolicy);
+  return Boolean(policy) && policy.id !== DEFAULT_POLICY && !isFixedSet(state, index);
+}
+
+/**
+ * Re-rolls set from the game's generator until state.generatorPolicy accepts
+ * it on the current board (see generatorPolicy.js), at most MAX_REROLLS times.
+ * Adversarial policies draw candidate sets instead and deal the worst one.
+ * The sets already waiting in state.upcoming are left alone.
+ */
+function applyGeneratorPolicy(state, set) {
+  const adversary = getGeneratorPolicy(state.generatorPolicy)?.adversary;
+  if (adversary) {
+    const random = new SeededRandom(state.seed, state.rngState);
+    const tray = chooseAdversarialSet(state.grid, set, {
+      ...adversary,
+      blocked: state.blocked,
+      random,
+      drawSet: () => generateRandomBlocks(random, state.pieceProfile)
+    });
+    return { tray, state: { ...state, rngState: random.state } };
+  }
+
+  let tray = set;
+  let next = state;
+  const budget = { nodes: MAX_SEARCH_NODES };
+  for (let attempt = 0; attempt < MAX_REROLLS; attempt++) {
+    if (isSetAllowed(state.generatorPolicy, state.grid, tray, state.blocked, budget)) break;
+
+    const random = new SeededRandom(next.seed, next.rngState);
+    tray = generateRandomBlocks(random, next.pieceProfile);
+    next = { ...next, rngState: random.state };
   }
-  
-  return true;
+  return { tray, state: next };
 }
 
-export function checkGameOver(grid, availableBlocks, difficulty = 'normal') {
-  const gridSize = grid.length;
-  
-  // Check if any block can be placed anywhere on the grid
-  for (const block of availableBlocks) {
-    for (let row = 0; row < gridSize; row++) {
-      for (let col = 0; col < gridSize; col++) {
-        if (canPlaceBlock(grid, block, row, col, difficulty)) {
-          return false; // Game can continue
-        }
-      }
+/**
+ * Deals the next tray from the front of the upcoming queue and tops the queue
+ * up again. An empty queue deals an empty tray, which ends the game. Under
+ * any policy but 'random', the previewed set may be swapped for another one
+ * as it's dealt, once the board it lands on is known.
+ */
+export function dealNextBlocks(state) {
+  const filled = fillUpcoming(state);
+  const [queued = [], ...upcoming] = filled.upcoming;
+  const { tray, state: rolled } = queued.length === 0 || isFixedSet(filled)
+    ? { tray: queued, state: filled }
+    : applyGeneratorPolicy(filled, queued);
+
+  return fillUpcoming(dealBlocks({ ...rolled, upcoming, setsDealt: (filled.setsDealt || 0) + 1 }, tray));
+}
+
+// Obstacles are placed by their own generator, derived from the seed, so a
+// seed deals the same pieces with or without them
+const OBSTACLE_SALT = 0x9e3779b9;
+
+/**
+ * count random [row, col] cells for a seed, leaving out the taken cells.
+ */
+export function pickObstacleCells(seed, gridSize, count, taken = []) {
+  const random = new SeededRandom((seed ^ OBSTACLE_SALT) >>> 0);
+  const takenKeys = new Set(taken.map(([row, col]) => `${row},${col}`));
+  const free = [];
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      if (!takenKeys.has(`${row},${col}`)) free.push([row, col]);
     }
   }
-  
-  return true; // Game over
+
+  const cells = [];
+  while (cells.length < count && free.length > 0) {
+    cells.push(free.splice(random.nextInt(free.length), 1)[0]);
+  }
+  return cells;
 }
 
-export function getBlockSize(blockShape) {
-  return blockShape.flat().filter(cell => cell).length;
+/**
+ * Starts a game whose pieces all come from the given seed. moveLog records
+ * every move as [blockIndex, row, col] (see encodeMove), which together with
+ * seed, difficulty, piece profile (see pieces.js), generator policy and level
+ * is enough to replay the game. A level (see levels.js) sets the board size, obstacles and
+ * an optional fixed piece sequence.
+ */
+export function createSeededGame({
+  difficulty = 'normal',
+  seed = createRandomSeed(),
+  gridSize = GRID_SIZE,
+  level = null,
+  pieceProfile = DEFAULT_PROFILE,
+  generatorPolicy = DEFAULT_POLICY,
+  obstacles = 0
+} = {}) {
+  const baseCells = difficulty === 'hard' ? getHardModeCells(gridSize) : [];
+  const state = level
+    ? createGameState({
+      gridSize: level.gridSize,
+      difficulty,
+      blockedCells: level.blocked,
+      filledCells: level.filled
+    })
+    : createGameState({
+      gridSize,
+      difficulty,
+      blockedCells: [...baseCells, ...pickObstacleCells(seed, gridSize, obstacles, baseCells)]
+    });
+
+  return dealNextBlocks({
+    ...state,
+    seed,
+    rngState: seed,
+    moveLog: [],
+    level,
+    pieceProfile,
+    generatorPolicy,
+    obstacles: level ? 0 : obstacles,
+    setsDealt: 0,
+    pieceQueue: (level?.pieces || []).map(id => getPiece(id).shape)
+  });
 }
 
-export function calculateScore(blockShape, linesCleared) {
-  const blockSize = getBlockSize(blockShape);
-  const blockPoints = blockSize * 10;
-  const linePoints = linesCleared * 100;
-  return blockPoints + linePoints;
-} 
\ No newline at end of file
+// Holds are logged as [blockIndex, HOLD_MOVE, HOLD_MOVE] so every move log
+// entry stays a list of three numbers
+export const HOLD_MOVE = -1;
+
+export function encodeMove(move) {
+  return move.hold ? [move.blockIndex, HOLD_MOVE, HOLD_MOVE] : [move.blockIndex, move.row, move.col];
+}
+
+export function decodeMove([blockIndex, row, col]) {
+  return row === HOLD_MOVE ? { blockIndex, hold: true } : { blockIndex, row, col };
+}
+
+/**
+ * Plays a move the way the game screen does: applies it, records it in the
+ * move log and deals a new tray once the current one is used up (by placing
+ * or holding its last piece). A dealt tray that doesn't fit anywhere (or an
+ * empty one, once a puzzle runs out of pieces) ends the game with a gameOver
+ * event, like a move that leaves no room.
+ */
+export function playMove(state, move) {
+  const { state: nextState, events } = applyMove(state, move);
+  if (events[0].type === 'invalid') {
+    return { state, events };
+  }
+
+  const recorded = {
+    ...nextState,
+    moveLog: [...(state.moveLog || []), encodeMove(move)]
+  };
+
+  if (recorded.availableBlocks.length > 0) {
+    return { state: recorded, events };
+  }
+
+  const dealt = dealNextBlocks(recorded);
+  return {
+    state: dealt,
+    events: dealt.gameOver ? [...events, { type: 'gameOver' }] : events
+  };
+}
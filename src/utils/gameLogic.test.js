@@ -0,0 +1,101 @@
+import { createSeededGame, dealNextBlocks, playMove } from './gameLogic';
+import { getValidPlacements } from './gameEngine';
+import { getPiece } from './pieces';
+
+const single = getPiece('single').shape;
+const plus = getPiece('plus').shape;
+
+// Plays the first piece that fits at its first free spot, up to count moves
+function playFirstMoves(state, count) {
+  let current = state;
+  for (let i = 0; i < count && !current.gameOver; i++) {
+    const { grid, blocked, availableBlocks } = current;
+    const blockIndex = availableBlocks.findIndex(shape => getValidPlacements(grid, shape, blocked).length > 0);
+    const [{ row, col }] = getValidPlacements(grid, availableBlocks[blockIndex], blocked);
+    current = playMove(current, { blockIndex, row, col }).state;
+  }
+  return current;
+}
+
+describe('seeded games', () => {
+  test('deal the same pieces for the same seed', () => {
+    const first = createSeededGame({ seed: 1234 });
+    const second = createSeededGame({ seed: 1234 });
+
+    expect(second.availableBlocks).toEqual(first.availableBlocks);
+    expect(second.upcoming).toEqual(first.upcoming);
+    expect(dealNextBlocks(second).availableBlocks).toEqual(dealNextBlocks(first).availableBlocks);
+  });
+
+  test('deal different pieces for another seed', () => {
+    const first = createSeededGame({ seed: 1234 });
+    const other = createSeededGame({ seed: 4321 });
+
+    expect([other.availableBlocks, ...other.upcoming]).not.toEqual([first.availableBlocks, ...first.upcoming]);
+  });
+
+  test('play out the same way for the same seed and moves', () => {
+    ['random', 'fair', 'solvable', 'mean'].forEach(generatorPolicy => {
+      const options = { seed: 99, generatorPolicy, pieceProfile: 'classic' };
+      const first = playFirstMoves(createSeededGame(options), 20);
+      const second = playFirstMoves(createSeededGame(options), 20);
+
+      expect(second.grid).toEqual(first.grid);
+      expect(second.availableBlocks).toEqual(first.availableBlocks);
+      expect(second.score).toBe(first.score);
+      expect(second.moveLog).toEqual(first.moveLog);
+    });
+  });
+
+  test('deal the same pieces with or without obstacles', () => {
+    const plain = createSeededGame({ seed: 7 });
+    const withObstacles = createSeededGame({ seed: 7, obstacles: 6 });
+
+    expect(withObstacles.availableBlocks).toEqual(plain.availableBlocks);
+    expect(withObstacles.blocked.flat().filter(Boolean)).toHaveLength(6);
+  });
+
+  test('deal a level\'s fixed pieces first', () => {
+    const level = { id: 'test', name: 'Test', gridSize: 9, blocked: [], filled: [], pieces: ['plus', 'single', 'square'] };
+    const state = createSeededGame({ seed: 5, level });
+
+    expect(state.availableBlocks).toEqual([plus, single, getPiece('square').shape]);
+  });
+});
+
+describe('playMove', () => {
+  test('logs the move and deals a new tray once the tray is used up', () => {
+    const state = { ...createSeededGame({ seed: 42 }), availableBlocks: [single] };
+    const { upcoming } = state;
+    const { state: next, events } = playMove(state, { blockIndex: 0, row: 0, col: 0 });
+
+    expect(events.map(event => event.type)).toEqual(['place', 'trayEmpty']);
+    expect(next.moveLog).toEqual([[0, 0, 0]]);
+    expect(next.availableBlocks).toEqual(upcoming[0]);
+  });
+
+  test('ends the game when the dealt tray does not fit', () => {
+    // Every other cell filled: the single fits, a plus never does
+    const checkerboard = Array.from({ length: 9 }, (_, row) =>
+      Array.from({ length: 9 }, (_, col) => (row + col) % 2 === 0)
+    );
+    const state = {
+      ...createSeededGame({ seed: 42 }),
+      grid: checkerboard,
+      availableBlocks: [single],
+      upcoming: [[plus, plus, plus]]
+    };
+    const { state: next, events } = playMove(state, { blockIndex: 0, row: 0, col: 1 });
+
+    expect(events.map(event => event.type)).toEqual(['place', 'trayEmpty', 'gameOver']);
+    expect(next.gameOver).toBe(true);
+  });
+
+  test('does not log a move that can\'t be played', () => {
+    const state = createSeededGame({ seed: 42 });
+    const result = playMove(state, { blockIndex: 0, row: 20, col: 20 });
+
+    expect(result.state).toBe(state);
+    expect(result.events).toEqual([{ type: 'invalid' }]);
+  });
+});
@@ -0,0 +1,86 @@
+import { clearCompletedLines, findCompletedLines, getValidPlacements, placeBlockOnGrid } from './gameEngine';
+
+// Generator policies decide which set gets dealt onto the board. Most check
+// whether the drawn set is acceptable there and re-roll it from the game's
+// seed if not, so a seed, its moves and the policy still rebuild the same game.
+//   'random'   - any set, even one where nothing fits (the original behaviour)
+//   'fair'     - at least one of the pieces fits somewhere
+//   'solvable' - all of the pieces can be placed, in some order
+//   'mean', 'evil' - the set is picked adversarially (see adversarialGenerator.js);
+//                    adversary holds the search settings
+
+export const GENERATOR_POLICIES = [
+  { id: 'random', label: 'Pure Random', description: 'Any pieces, even if none of them fit' },
+  { id: 'fair', label: 'Fair', description: 'At least one piece always fits' },
+  { id: 'solvable', label: 'Solvable Set', description: 'All three pieces fit, in some order' },
+  {
+    id: 'mean',
+    label: 'Mean',
+    description: 'Often deals the pieces that suit your board least',
+    adversary: { depth: 1, randomness: 0.5 }
+  },
+  {
+    id: 'evil',
+    label: 'Evil',
+    description: 'Looks ahead for the pieces that hurt your board most',
+    adversary: { depth: 2, randomness: 0 }
+  }
+];
+
+export const DEFAULT_POLICY = 'random';
+
+// Re-rolls before giving up and dealing the last set anyway. A full enough
+// board has no acceptable set at all, and the game has to end then.
+export const MAX_REROLLS = 50;
+
+// Placements the solvable check may try while dealing one set, re-rolls
+// included. Without a cap, a crowded 12x12 board where a plus never fits
+// after two singles takes over 10,000 placements (about 120ms) for one set,
+// and a deal can re-roll 50 times. 500 placements take about 15ms. A search
+// that runs out counts the set as solvable, since a board with room for that
+// many placements almost always is. Counting placements instead of time keeps
+// deals the same for a seed on any machine.
+export const MAX_SEARCH_NODES = 500;
+
+export function getGeneratorPolicy(policyId) {
+  return GENERATOR_POLICIES.find(policy => policy.id === policyId) || null;
+}
+
+/**
+ * Whether every shape can be placed one after the other, in some order,
+ * clearing completed lines between placements the way a move does.
+ * budget.nodes is the number of placements left to try (see MAX_SEARCH_NODES);
+ * once it runs out the answer is true.
+ */
+export function canPlaceAllInSomeOrder(grid, shapes, blocked = null, budget = { nodes: MAX_SEARCH_NODES }) {
+  if (shapes.length === 0) return true;
+  if (shapes.length === 1) return getValidPlacements(grid, shapes[0], blocked).length > 0;
+
+  return shapes.some((shape, index) => {
+    const rest = shapes.filter((_, i) => i !== index);
+    return getValidPlacements(grid, shape, blocked).some(({ row, col }) => {
+      if (budget.nodes <= 0) return true;
+      budget.nodes -= 1;
+
+      const placed = placeBlockOnGrid(grid, shape, row, col);
+      const cleared = clearCompletedLines(placed, findCompletedLines(placed, blocked), blocked);
+      return canPlaceAllInSomeOrder(cleared, rest, blocked, budget);
+    });
+  });
+}
+
+/**
+ * Whether the policy accepts dealing set onto grid. Unknown policies accept
+ * everything, like 'random'. Pass the same budget for every re-roll of a deal
+ * so the solvable search is capped across all of them.
+ */
+export function isSetAllowed(policyId, grid, set, blocked = null, budget = { nodes: MAX_SEARCH_NODES }) {
+  switch (policyId) {
+    case 'fair':
+      return set.some(shape => getValidPlacements(grid, shape, blocked).length > 0);
+    case 'solvable':
+      return canPlaceAllInSomeOrder(grid, set, blocked, budget);
+    default:
+      return true;
+  }
+}
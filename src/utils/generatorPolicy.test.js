@@ -0,0 +1,53 @@
+import { canPlaceAllInSomeOrder, isSetAllowed, MAX_SEARCH_NODES } from './generatorPolicy';
+import { createEmptyGrid } from './gameEngine';
+import { getPiece } from './pieces';
+
+const single = getPiece('single').shape;
+const plus = getPiece('plus').shape;
+const square = getPiece('square').shape;
+
+// Every other cell filled: singles always fit and never complete a line,
+// a plus never fits. Small enough for the solvable search to finish.
+const checkerboard = Array.from({ length: 6 }, (_, row) =>
+  Array.from({ length: 6 }, (_, col) => (row + col) % 2 === 0)
+);
+
+describe('isSetAllowed', () => {
+  test('random and unknown policies accept any set', () => {
+    expect(isSetAllowed('random', checkerboard, [plus, plus, plus])).toBe(true);
+    expect(isSetAllowed('nope', checkerboard, [plus, plus, plus])).toBe(true);
+  });
+
+  test('fair needs one piece that fits', () => {
+    expect(isSetAllowed('fair', checkerboard, [plus, plus, single])).toBe(true);
+    expect(isSetAllowed('fair', checkerboard, [plus, square, plus])).toBe(false);
+  });
+
+  test('solvable needs every piece to fit in some order', () => {
+    expect(isSetAllowed('solvable', checkerboard, [single, single, single])).toBe(true);
+    expect(isSetAllowed('solvable', checkerboard, [single, plus])).toBe(false);
+    expect(isSetAllowed('solvable', createEmptyGrid(), [plus, square, plus])).toBe(true);
+  });
+});
+
+describe('canPlaceAllInSomeOrder', () => {
+  test('counts the clears between placements', () => {
+    // A full board but for one cell: the square only fits once the single
+    // there clears its lines
+    const grid = createEmptyGrid(6).map((cells, row) => cells.map((_, col) => !(row === 0 && col === 5)));
+
+    expect(canPlaceAllInSomeOrder(grid, [square, single])).toBe(true);
+    expect(canPlaceAllInSomeOrder(grid, [square])).toBe(false);
+  });
+
+  test('spends placements from the budget it is given', () => {
+    const budget = { nodes: MAX_SEARCH_NODES };
+    expect(canPlaceAllInSomeOrder(checkerboard, [single, plus], null, budget)).toBe(false);
+    expect(budget.nodes).toBe(MAX_SEARCH_NODES - 18); // A single on each free cell
+  });
+
+  test('accepts the set once the budget runs out', () => {
+    expect(canPlaceAllInSomeOrder(checkerboard, [single, plus], null, { nodes: 0 })).toBe(true);
+    expect(canPlaceAllInSomeOrder(checkerboard, [single, plus], null, { nodes: 10 })).toBe(true);
+  });
+});
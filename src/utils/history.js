@@ -0,0 +1,48 @@
+// Undo/redo history of game states.
+// Game states are immutable snapshots (grid, tray, score, lines cleared and the
+// generator's rngState), so restoring one restores everything together.
+
+export const MAX_HISTORY = 200;
+
+export function createHistory(present) {
+  return { past: [], present, future: [] };
+}
+
+/**
+ * Records a new present state. Any redo states are dropped.
+ */
+export function pushHistory(history, state) {
+  return {
+    past: [...history.past, history.present].slice(-MAX_HISTORY),
+    present: state,
+    future: []
+  };
+}
+
+export function canUndo(history) {
+  return history.past.length > 0;
+}
+
+export function canRedo(history) {
+  return history.future.length > 0;
+}
+
+export function undo(history) {
+  if (!canUndo(history)) return history;
+
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future]
+  };
+}
+
+export function redo(history) {
+  if (!canRedo(history)) return history;
+
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1)
+  };
+}
@@ -0,0 +1,79 @@
+// Keyboard controls for placing pieces without dragging. Bindings map each
+// action to a KeyboardEvent.key value and are stored in the settings as
+// keyBindings; actions missing there fall back to the defaults.
+
+export const KEY_ACTIONS = [
+  { id: 'selectPiece1', label: 'Pick piece 1' },
+  { id: 'selectPiece2', label: 'Pick piece 2' },
+  { id: 'selectPiece3', label: 'Pick piece 3' },
+  { id: 'moveUp', label: 'Move up' },
+  { id: 'moveDown', label: 'Move down' },
+  { id: 'moveLeft', label: 'Move left' },
+  { id: 'moveRight', label: 'Move right' },
+  { id: 'place', label: 'Place piece' },
+  { id: 'cancel', label: 'Cancel' }
+];
+
+export const DEFAULT_KEY_BINDINGS = {
+  selectPiece1: '1',
+  selectPiece2: '2',
+  selectPiece3: '3',
+  moveUp: 'ArrowUp',
+  moveDown: 'ArrowDown',
+  moveLeft: 'ArrowLeft',
+  moveRight: 'ArrowRight',
+  place: 'Enter',
+  cancel: 'Escape'
+};
+
+// Row/column steps for the move actions
+export const MOVE_DIRECTIONS = {
+  moveUp: [-1, 0],
+  moveDown: [1, 0],
+  moveLeft: [0, -1],
+  moveRight: [0, 1]
+};
+
+const KEY_NAMES = {
+  ' ': 'Space',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Escape: 'Esc'
+};
+
+export function getKeyBindings(settings) {
+  return { ...DEFAULT_KEY_BINDINGS, ...settings?.keyBindings };
+}
+
+// Letters are matched case-insensitively so Shift or Caps Lock don't matter
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * The action bound to a key, or null.
+ */
+export function getActionForKey(bindings, key) {
+  const pressed = normalizeKey(key);
+  const action = KEY_ACTIONS.find(({ id }) => normalizeKey(bindings[id]) === pressed);
+  return action ? action.id : null;
+}
+
+/**
+ * Binds key to action. If another action already uses the key, it gets the
+ * action's old key instead, so no key ends up doing two things.
+ */
+export function rebindKey(bindings, action, key) {
+  const updated = { ...bindings, [action]: key };
+  const clash = KEY_ACTIONS.find(({ id }) => id !== action && normalizeKey(bindings[id]) === normalizeKey(key));
+  if (clash) {
+    updated[clash.id] = bindings[action];
+  }
+  return updated;
+}
+
+export function describeKey(key) {
+  return KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
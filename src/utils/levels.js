@@ -0,0 +1,118 @@
+import { createGameState, GRID_SIZES, TRAY_SIZE } from './gameEngine';
+import { getPiece } from './pieces';
+
+// Levels are plain data so they can be saved, shared and loaded anywhere:
+//   { id, name, gridSize, blocked: [[row, col]], filled: [[row, col]], pieces: [pieceId] }
+// blocked cells can never be filled, filled cells start the game occupied and
+// pieces is an optional fixed piece sequence of catalog ids (empty = random
+// pieces).
+
+const LEVELS_KEY = 'woodBlockPuzzleLevels';
+
+export function createLevel({ name = 'Untitled Level', gridSize = 9 } = {}) {
+  return {
+    id: `level-${Date.now()}`,
+    name,
+    gridSize,
+    blocked: [],
+    filled: [],
+    pieces: []
+  };
+}
+
+const isCellList = (cells, gridSize) => Array.isArray(cells) && cells.every(cell =>
+  Array.isArray(cell) && cell.length === 2 &&
+  cell.every(value => Number.isInteger(value) && value >= 0 && value < gridSize)
+);
+
+/**
+ * Validates level data (e.g. from a file or save). Throws an Error
+ * describing what's wrong, otherwise returns the level with defaults filled in.
+ */
+export function parseLevel(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Level must be an object');
+  }
+
+  const level = { ...createLevel(), ...data };
+  if (!GRID_SIZES.includes(level.gridSize)) {
+    throw new Error(`Level board size must be one of ${GRID_SIZES.join(', ')}`);
+  }
+  if (!isCellList(level.blocked, level.gridSize) || !isCellList(level.filled, level.gridSize)) {
+    throw new Error('Level cells must be [row, col] pairs inside the board');
+  }
+  if (!Array.isArray(level.pieces)) {
+    throw new Error('Level pieces must be a list of piece ids');
+  }
+  if (!level.pieces.every(getPiece)) {
+    throw new Error('Level pieces must be pieces from the catalog');
+  }
+
+  return level;
+}
+
+/**
+ * The starting game state of a level, without any seeded piece generator.
+ */
+export function getLevelStartState(level) {
+  return createGameState({
+    gridSize: level.gridSize,
+    blockedCells: level.blocked,
+    filledCells: level.filled,
+    availableBlocks: level.pieces.slice(0, TRAY_SIZE).map(id => getPiece(id).shape)
+  });
+}
+
+/**
+ * Puts an AI environment on the level's starting board through its setState.
+ * The environment deals the level's whole fixed piece sequence, a tray at a
+ * time, before any blocks of its own.
+ */
+export function loadLevelIntoEnvironment(environment, level) {
+  const { grid } = getLevelStartState(level);
+  const fixedSets = [];
+  for (let i = 0; i < level.pieces.length; i += TRAY_SIZE) {
+    fixedSets.push(level.pieces.slice(i, i + TRAY_SIZE).map(id => getPiece(id).shape));
+  }
+  return environment.setState(grid, null, 0, environment.difficulty, level.blocked, fixedSets);
+}
+
+export function loadSavedLevels() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LEVELS_KEY));
+    if (!Array.isArray(saved)) return [];
+
+    return saved.flatMap(level => {
+      try {
+        return [parseLevel(level)];
+      } catch (error) {
+        console.warn('Ignoring invalid saved level:', error);
+        return [];
+      }
+    });
+  } catch (error) {
+    console.warn('Ignoring unreadable saved levels:', error);
+    return [];
+  }
+}
+
+/**
+ * Adds the level, or replaces the saved level with the same id. Returns the
+ * updated list.
+ */
+export function saveLevel(level) {
+  const levels = loadSavedLevels();
+  const index = levels.findIndex(saved => saved.id === level.id);
+  const updated = index === -1
+    ? [...levels, level]
+    : levels.map(saved => (saved.id === level.id ? level : saved));
+
+  localStorage.setItem(LEVELS_KEY, JSON.stringify(updated));
+  return updated;
+}
+
+export function deleteLevel(levelId) {
+  const levels = loadSavedLevels().filter(level => level.id !== levelId);
+  localStorage.setItem(LEVELS_KEY, JSON.stringify(levels));
+  return levels;
+}
@@ -0,0 +1,58 @@
+import { getLevelStartState, loadSavedLevels, parseLevel, saveLevel } from './levels';
+import { getPiece } from './pieces';
+
+const level = { id: 'test', name: 'Test', gridSize: 8, blocked: [[0, 0]], filled: [[7, 7]], pieces: ['plus', 'single'] };
+
+describe('parseLevel', () => {
+  test('accepts a valid level as it is', () => {
+    expect(parseLevel(level)).toEqual(level);
+  });
+
+  test('fills in defaults for missing fields', () => {
+    const parsed = parseLevel({ gridSize: 10 });
+
+    expect(parsed).toMatchObject({ name: 'Untitled Level', gridSize: 10, blocked: [], filled: [], pieces: [] });
+    expect(typeof parsed.id).toBe('string');
+  });
+
+  test.each([
+    ['a non-object', null, 'must be an object'],
+    ['an unsupported board size', { ...level, gridSize: 7 }, 'board size'],
+    ['cells outside the board', { ...level, blocked: [[8, 0]] }, 'inside the board'],
+    ['malformed cells', { ...level, filled: [[1]] }, 'inside the board'],
+    ['pieces that are not a list', { ...level, pieces: 'plus' }, 'list of piece ids'],
+    ['pieces missing from the catalog', { ...level, pieces: ['plus', 'hexomino'] }, 'from the catalog']
+  ])('rejects %s', (_, data, message) => {
+    expect(() => parseLevel(data)).toThrow(message);
+  });
+});
+
+describe('getLevelStartState', () => {
+  test('starts on the level board with its first pieces', () => {
+    const state = getLevelStartState(level);
+
+    expect(state.grid).toHaveLength(8);
+    expect(state.blocked[0][0]).toBe(true);
+    expect(state.grid[7][7]).toBe(true);
+    expect(state.availableBlocks).toEqual([getPiece('plus').shape, getPiece('single').shape]);
+  });
+});
+
+describe('saved levels', () => {
+  afterEach(() => localStorage.clear());
+
+  test('replace the saved level with the same id', () => {
+    saveLevel(level);
+    saveLevel({ ...level, name: 'Renamed' });
+
+    expect(loadSavedLevels()).toEqual([{ ...level, name: 'Renamed' }]);
+  });
+
+  test('skip saved levels that are no longer valid', () => {
+    localStorage.setItem('woodBlockPuzzleLevels', JSON.stringify([level, { ...level, id: 'broken', gridSize: 5 }]));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(loadSavedLevels()).toEqual([level]);
+    console.warn.mockRestore();
+  });
+});
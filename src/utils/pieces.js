@@ -0,0 +1,148 @@
+// Piece catalog: every block shape the game, levels and AI environments use.
+// A piece is { id, name, family, weight, shape }. ids are stable - they are
+// stored in levels, replays and stats - so never rename or reuse one.
+// weight is the piece's spawn weight; distribution profiles scale it per family.
+
+const T = true;
+const F = false;
+
+export const PIECES = [
+  { id: 'single', name: 'Single', family: 'single', weight: 1, shape: [[T]] },
+
+  { id: 'domino-h', name: 'Domino', family: 'domino', weight: 1, shape: [[T, T]] },
+  { id: 'domino-v', name: 'Domino (Vertical)', family: 'domino', weight: 1, shape: [[T], [T]] },
+
+  { id: 'line-h', name: 'Line', family: 'line', weight: 1, shape: [[T, T, T]] },
+  { id: 'line-v', name: 'Line (Vertical)', family: 'line', weight: 1, shape: [[T], [T], [T]] },
+
+  { id: 'small-l-a', name: 'Small L', family: 'small-l', weight: 1, shape: [[T, T], [T, F]] },
+  { id: 'small-l-b', name: 'Small L (Flipped)', family: 'small-l', weight: 1, shape: [[T, F], [T, T]] },
+
+  { id: 'l-a', name: 'L', family: 'l', weight: 1, shape: [[T, F], [T, F], [T, T]] },
+  { id: 'l-b', name: 'L (Flat)', family: 'l', weight: 1, shape: [[T, T, T], [T, F, F]] },
+  { id: 'l-c', name: 'L (Hook)', family: 'l', weight: 1, shape: [[T, T], [F, T], [F, T]] },
+  { id: 'l-d', name: 'L (Flat Up)', family: 'l', weight: 1, shape: [[F, F, T], [T, T, T]] },
+
+  { id: 't-down', name: 'T', family: 't', weight: 1, shape: [[T, T, T], [F, T, F]] },
+  { id: 't-left', name: 'T (Left)', family: 't', weight: 1, shape: [[F, T], [T, T], [F, T]] },
+  { id: 't-up', name: 'T (Up)', family: 't', weight: 1, shape: [[F, T, F], [T, T, T]] },
+  { id: 't-right', name: 'T (Right)', family: 't', weight: 1, shape: [[T, F], [T, T], [T, F]] },
+
+  { id: 'square', name: 'Square', family: 'square', weight: 1, shape: [[T, T], [T, T]] },
+
+  { id: 'z-h', name: 'Z', family: 'z', weight: 1, shape: [[T, T, F], [F, T, T]] },
+  { id: 'z-v', name: 'Z (Vertical)', family: 'z', weight: 1, shape: [[F, T], [T, T], [T, F]] },
+
+  { id: 'plus', name: 'Plus', family: 'plus', weight: 1, shape: [[F, T, F], [T, T, T], [F, T, F]] },
+
+  { id: 'corner-bl', name: 'Corner', family: 'corner', weight: 1, shape: [[T, F, F], [T, F, F], [T, T, T]] },
+  { id: 'corner-tl', name: 'Corner (Top Left)', family: 'corner', weight: 1, shape: [[T, T, T], [T, F, F], [T, F, F]] },
+  { id: 'corner-tr', name: 'Corner (Top Right)', family: 'corner', weight: 1, shape: [[T, T, T], [F, F, T], [F, F, T]] },
+  { id: 'corner-br', name: 'Corner (Bottom Right)', family: 'corner', weight: 1, shape: [[F, F, T], [F, F, T], [T, T, T]] },
+
+  { id: 'step-a', name: 'Step', family: 'step', weight: 1, shape: [[T, F, F], [T, T, F], [F, T, T]] },
+  { id: 'step-b', name: 'Step (Mirrored)', family: 'step', weight: 1, shape: [[F, F, T], [F, T, T], [T, T, F]] }
+];
+
+const PIECES_BY_ID = new Map(PIECES.map(piece => [piece.id, piece]));
+const PIECE_IDS_BY_SHAPE = new Map(PIECES.map(piece => [JSON.stringify(piece.shape), piece.id]));
+
+/**
+ * Distribution profiles multiply each piece's weight by its family weight.
+ * Families a profile leaves out never spawn. The curriculum profiles are what
+ * the AI environments start training on.
+ */
+export const DISTRIBUTION_PROFILES = [
+  {
+    id: 'classic',
+    label: 'Classic',
+    description: 'Every standard piece is equally likely',
+    familyWeights: { single: 1, domino: 1, line: 1, l: 1, t: 1, square: 1, z: 1, plus: 1, corner: 1, step: 1 }
+  },
+  {
+    id: 'relaxed',
+    label: 'Relaxed',
+    description: 'Mostly small pieces that fit anywhere',
+    familyWeights: { single: 2, domino: 2, line: 2, 'small-l': 2, square: 1.5, l: 1, t: 1, z: 0.5, plus: 0.25, corner: 0.5, step: 0.25 }
+  },
+  {
+    id: 'tough',
+    label: 'Tough',
+    description: 'Big, awkward pieces show up more often',
+    familyWeights: { single: 0.5, domino: 0.5, line: 1, l: 1, t: 1, square: 1, z: 1.5, plus: 2, corner: 2, step: 2 }
+  },
+  {
+    id: 'curriculum-simple',
+    label: 'Curriculum: Simple',
+    description: 'Singles, dominoes and squares',
+    training: true,
+    familyWeights: { single: 1, domino: 1, square: 1 }
+  },
+  {
+    id: 'curriculum-medium',
+    label: 'Curriculum: Medium',
+    description: 'Adds lines and small L-shapes',
+    training: true,
+    familyWeights: { single: 1, domino: 1, square: 1, line: 1, 'small-l': 1 }
+  },
+  {
+    id: 'curriculum-complex',
+    label: 'Curriculum: Complex',
+    description: 'Adds L- and T-shapes',
+    training: true,
+    familyWeights: { single: 1, domino: 1, square: 1, line: 1, 'small-l': 1, l: 1, t: 1 }
+  }
+];
+
+export const DEFAULT_PROFILE = 'classic';
+
+// Profiles players can pick; the curriculum ones are for training
+export const PLAYER_PROFILES = DISTRIBUTION_PROFILES.filter(profile => !profile.training);
+
+export function getPiece(id) {
+  return PIECES_BY_ID.get(id) || null;
+}
+
+/**
+ * The catalog id of a shape matrix, or null if it isn't a catalog piece.
+ */
+export function getPieceId(shape) {
+  return PIECE_IDS_BY_SHAPE.get(JSON.stringify(shape)) || null;
+}
+
+export function getDistributionProfile(profileId) {
+  return DISTRIBUTION_PROFILES.find(profile => profile.id === profileId) || null;
+}
+
+/**
+ * The profile an AI environment deals from at a curriculum stage ('simple',
+ * 'medium', 'complex'); later stages get the classic distribution.
+ */
+export function getCurriculumProfile(complexity) {
+  const profileId = `curriculum-${complexity}`;
+  return getDistributionProfile(profileId) ? profileId : DEFAULT_PROFILE;
+}
+
+/**
+ * Spawn weight of every piece under a profile, skipping pieces that can't spawn.
+ */
+export function getPieceWeights(profileId = DEFAULT_PROFILE) {
+  const profile = getDistributionProfile(profileId) || getDistributionProfile(DEFAULT_PROFILE);
+  return PIECES
+    .map(piece => ({ piece, weight: piece.weight * (profile.familyWeights[piece.family] || 0) }))
+    .filter(({ weight }) => weight > 0);
+}
+
+/**
+ * Draws one piece with a SeededRandom. Unknown profiles fall back to classic.
+ */
+export function pickPiece(random, profileId = DEFAULT_PROFILE) {
+  const weights = getPieceWeights(profileId);
+  const total = weights.reduce((sum, { weight }) => sum + weight, 0);
+  let roll = random.next() * total;
+  for (const { piece, weight } of weights) {
+    roll -= weight;
+    if (roll < 0) return piece;
+  }
+  return weights[weights.length - 1].piece;
+}
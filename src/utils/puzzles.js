@@ -0,0 +1,264 @@
+import { parseLevel } from './levels';
+import starterPack from '../data/starterPack.json';
+
+// Puzzle levels are regular levels (see levels.js) with a goal and optional
+// star thresholds:
+//   goal:  { type: 'clearLines', lines: 4, moves: 6 }
+//          { type: 'emptyBoard', moves: 3 }          (moves is optional)
+//          { type: 'score', points: 300, moves: 5 }
+//   stars: { three: 4, two: 5 }  most moves used for three / two stars
+// Level packs group puzzles in the order they unlock:
+//   { id, name, version: 1, levels: [level, ...] }
+
+const PACKS_KEY = 'woodBlockPuzzleLevelPacks';
+const PROGRESS_KEY = 'woodBlockPuzzleProgress';
+const PACK_VERSION = 1;
+
+const GOAL_FIELDS = {
+  clearLines: 'lines',
+  emptyBoard: null,
+  score: 'points'
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+export function describeGoal(goal) {
+  const withinMoves = goal.moves ? ` in ${goal.moves} move${goal.moves > 1 ? 's' : ''}` : '';
+  switch (goal.type) {
+    case 'clearLines':
+      return `Clear ${goal.lines} line${goal.lines > 1 ? 's' : ''}${withinMoves}`;
+    case 'score':
+      return `Score ${goal.points.toLocaleString()} points${withinMoves}`;
+    case 'emptyBoard':
+    default:
+      return `Empty the board${withinMoves}`;
+  }
+}
+
+/**
+ * Validates a puzzle level: a level (parseLevel) that also has a goal.
+ */
+export function parsePuzzleLevel(data) {
+  const level = parseLevel(data);
+  const { goal, stars } = level;
+
+  if (!goal || !(goal.type in GOAL_FIELDS)) {
+    throw new Error(`Puzzle goal must be one of ${Object.keys(GOAL_FIELDS).join(', ')}`);
+  }
+  const targetField = GOAL_FIELDS[goal.type];
+  if (targetField && !isPositiveInteger(goal[targetField])) {
+    throw new Error(`"${goal.type}" goals need a positive ${targetField} target`);
+  }
+  if (goal.moves !== undefined && !isPositiveInteger(goal.moves)) {
+    throw new Error('Goal moves must be a positive number');
+  }
+  if (stars !== undefined && !(isPositiveInteger(stars.three) && isPositiveInteger(stars.two))) {
+    throw new Error('Star thresholds must be { three, two } move counts');
+  }
+
+  return level;
+}
+
+/**
+ * Parses and validates level pack JSON. Throws an Error describing what's wrong.
+ */
+export function parseLevelPack(json) {
+  let pack;
+  try {
+    pack = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (error) {
+    throw new Error('Level pack file is not valid JSON');
+  }
+
+  if (!pack || pack.version !== PACK_VERSION) {
+    throw new Error('Unsupported level pack version');
+  }
+  if (typeof pack.id !== 'string' || typeof pack.name !== 'string') {
+    throw new Error('Level pack is missing its id or name');
+  }
+  if (!Array.isArray(pack.levels) || pack.levels.length === 0) {
+    throw new Error('Level pack has no levels');
+  }
+
+  const levels = pack.levels.map((level, index) => {
+    if (typeof level?.id !== 'string') {
+      throw new Error(`Level ${index + 1} is missing its id`);
+    }
+    try {
+      return parsePuzzleLevel(level);
+    } catch (error) {
+      throw new Error(`Level ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return { ...pack, levels };
+}
+
+export const STARTER_PACK = parseLevelPack(starterPack);
+
+/**
+ * Stars for a won puzzle: fewer moves, more stars. Puzzles without star
+ * thresholds give three stars for any win.
+ */
+export function getStarRating(level, movesUsed) {
+  const { stars } = level;
+  if (!stars || movesUsed <= stars.three) return 3;
+  return movesUsed <= stars.two ? 2 : 1;
+}
+
+const countFilledCells = (grid) => grid.reduce(
+  (total, row) => total + row.filter(Boolean).length, 0
+);
+
+/**
+ * Where a puzzle game stands: goal progress, moves left and whether it has
+ * been won or lost. A goal reached on the last move (or the move that ended
+ * the game) still counts as a win.
+ */
+export function getPuzzleProgress(state) {
+  const { goal } = state.level;
+  const movesUsed = state.moves || 0;
+  const movesLeft = goal.moves ? Math.max(goal.moves - movesUsed, 0) : null;
+
+  let current;
+  let target;
+  let reached;
+  switch (goal.type) {
+    case 'clearLines':
+      current = state.linesCleared;
+      target = goal.lines;
+      reached = current >= target;
+      break;
+    case 'score':
+      current = state.score;
+      target = goal.points;
+      reached = current >= target;
+      break;
+    case 'emptyBoard':
+    default:
+      current = countFilledCells(state.grid);
+      target = 0;
+      reached = movesUsed > 0 && current === 0;
+      break;
+  }
+
+  let status = 'playing';
+  if (reached) status = 'won';
+  else if (state.gameOver || movesLeft === 0) status = 'lost';
+
+  return {
+    description: describeGoal(goal),
+    current,
+    target,
+    movesUsed,
+    movesLeft,
+    status,
+    stars: status === 'won' ? getStarRating(state.level, movesUsed) : 0
+  };
+}
+
+export function loadImportedPacks() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PACKS_KEY));
+    if (!Array.isArray(saved)) return [];
+
+    return saved.flatMap(pack => {
+      try {
+        return [parseLevelPack(pack)];
+      } catch (error) {
+        console.warn('Ignoring invalid level pack:', error);
+        return [];
+      }
+    });
+  } catch (error) {
+    console.warn('Ignoring unreadable level packs:', error);
+    return [];
+  }
+}
+
+/**
+ * The built-in pack followed by every imported one.
+ */
+export function loadLevelPacks() {
+  return [STARTER_PACK, ...loadImportedPacks()];
+}
+
+/**
+ * Adds an imported pack, replacing an earlier import with the same id.
+ * Returns every pack, built-in first.
+ */
+export function saveLevelPack(pack) {
+  if (pack.id === STARTER_PACK.id) {
+    throw new Error('That pack id is used by the built-in pack');
+  }
+
+  const packs = [...loadImportedPacks().filter(saved => saved.id !== pack.id), pack];
+  localStorage.setItem(PACKS_KEY, JSON.stringify(packs));
+  return [STARTER_PACK, ...packs];
+}
+
+export function deleteLevelPack(packId) {
+  const packs = loadImportedPacks().filter(pack => pack.id !== packId);
+  localStorage.setItem(PACKS_KEY, JSON.stringify(packs));
+  return [STARTER_PACK, ...packs];
+}
+
+// Progress is stored as { [packId]: { [levelId]: stars } }
+
+export function loadPuzzleProgress() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch (error) {
+    console.warn('Ignoring unreadable puzzle progress:', error);
+    return {};
+  }
+}
+
+export function getLevelStars(progress, packId, levelId) {
+  return progress[packId]?.[levelId] || 0;
+}
+
+/**
+ * Records a win, keeping the best star rating. Returns the updated progress.
+ */
+export function savePuzzleResult(packId, levelId, stars) {
+  const progress = loadPuzzleProgress();
+  const packProgress = progress[packId] || {};
+  const updated = {
+    ...progress,
+    [packId]: { ...packProgress, [levelId]: Math.max(packProgress[levelId] || 0, stars) }
+  };
+
+  localStorage.setItem(PROGRESS_KEY, JSON.stringify(updated));
+  return updated;
+}
+
+/**
+ * The first level of a pack is always open; every other one unlocks once the
+ * level before it has been won.
+ */
+export function isLevelUnlocked(progress, pack, index) {
+  return index === 0 || getLevelStars(progress, pack.id, pack.levels[index - 1].id) > 0;
+}
+
+/**
+ * The level to play from GameView. It remembers its pack so results and the
+ * next level can be found without passing the pack around.
+ */
+export function getPackLevel(pack, index) {
+  const level = pack.levels[index];
+  return level ? { ...level, packId: pack.id } : null;
+}
+
+/**
+ * The level after the given one in its pack, or null for the last level or a
+ * pack that is no longer installed.
+ */
+export function getNextPackLevel(level) {
+  const pack = loadLevelPacks().find(saved => saved.id === level.packId);
+  if (!pack) return null;
+
+  const index = pack.levels.findIndex(saved => saved.id === level.id);
+  return index === -1 ? null : getPackLevel(pack, index + 1);
+}
@@ -0,0 +1,58 @@
+// Seedable pseudo-random number generator (mulberry32).
+// The whole generator state is a single 32-bit integer, so it can be stored in
+// game state, saved with a game and restored later to replay the same pieces.
+
+export function createRandomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Turns user input into a 32-bit seed. Numbers are used as-is, any other text
+ * is hashed (FNV-1a) so seeds like "daily-challenge" also work.
+ */
+export function parseSeed(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value >>> 0;
+  }
+
+  const text = String(value ?? '').trim();
+  if (text === '') return createRandomSeed();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export class SeededRandom {
+  constructor(seed = createRandomSeed(), state = seed) {
+    this.seed = seed >>> 0;
+    this.state = state >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1), like Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  pick(items) {
+    return items[this.nextInt(items.length)];
+  }
+
+  clone() {
+    return new SeededRandom(this.seed, this.state);
+  }
+}
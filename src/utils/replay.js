@@ -0,0 +1,154 @@
+import { createSeededGame, decodeMove, playMove } from './gameLogic';
+import { GRID_SIZES } from './gameEngine';
+import { parseLevel } from './levels';
+import { DEFAULT_POLICY, getGeneratorPolicy } from './generatorPolicy';
+import { getDistributionProfile } from './pieces';
+
+// Compact game replays: seed, difficulty, piece profile, generator policy,
+// random obstacle count, level and the ordered list of moves. Every piece
+// comes from the seed, so replaying the moves rebuilds the game exactly.
+
+const REPLAYS_KEY = 'woodBlockPuzzleReplays';
+const REPLAY_VERSION = 2;
+const MAX_SAVED_REPLAYS = 20;
+
+/**
+ * Builds a replay from a game state created by createSeededGame.
+ * Moves are stored as [blockIndex, row, col] (holds as encodeMove writes them).
+ */
+export function createReplay(gameState) {
+  return {
+    version: REPLAY_VERSION,
+    seed: gameState.seed,
+    difficulty: gameState.difficulty,
+    pieceProfile: gameState.pieceProfile,
+    generatorPolicy: gameState.generatorPolicy || DEFAULT_POLICY,
+    obstacles: gameState.obstacles || 0,
+    gridSize: gameState.grid.length,
+    level: gameState.level || null,
+    moves: gameState.moveLog || [],
+    score: gameState.score,
+    linesCleared: gameState.linesCleared,
+    recordedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Every state of the replayed game: states[0] is the start, states[i] is the
+ * game after move i.
+ */
+export function buildReplayStates(replay) {
+  let state = createSeededGame({
+    difficulty: replay.difficulty,
+    seed: replay.seed,
+    gridSize: replay.gridSize,
+    level: replay.level || null,
+    pieceProfile: replay.pieceProfile,
+    generatorPolicy: replay.generatorPolicy,
+    obstacles: replay.obstacles
+  });
+  const states = [state];
+
+  replay.moves.forEach((loggedMove, index) => {
+    const result = playMove(state, decodeMove(loggedMove));
+    if (result.events[0].type === 'invalid') {
+      throw new Error(`Replay move ${index + 1} can't be played`);
+    }
+    state = result.state;
+    states.push(state);
+  });
+
+  return states;
+}
+
+/**
+ * Parses and validates replay JSON. Throws an Error describing what's wrong.
+ */
+export function parseReplay(json) {
+  let replay;
+  try {
+    replay = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (error) {
+    throw new Error('Replay file is not valid JSON');
+  }
+
+  if (!replay || replay.version !== REPLAY_VERSION) {
+    throw new Error('Unsupported replay version');
+  }
+  if (!getDistributionProfile(replay.pieceProfile)) {
+    throw new Error('Replay uses an unknown piece distribution');
+  }
+  if (!getGeneratorPolicy(replay.generatorPolicy)) {
+    throw new Error('Replay uses an unknown generator policy');
+  }
+  if (typeof replay.seed !== 'number' || typeof replay.difficulty !== 'string') {
+    throw new Error('Replay is missing its seed or difficulty');
+  }
+  if (!Number.isInteger(replay.obstacles) || replay.obstacles < 0) {
+    throw new Error('Replay obstacles must be a number of cells');
+  }
+  if (!Number.isFinite(replay.score)) {
+    throw new Error('Replay is missing its score');
+  }
+  if (!GRID_SIZES.includes(replay.gridSize)) {
+    throw new Error('Replay uses an unsupported board size');
+  }
+  if (typeof replay.recordedAt !== 'string' || Number.isNaN(Date.parse(replay.recordedAt))) {
+    throw new Error('Replay is missing the date it was recorded');
+  }
+  const validMoves = Array.isArray(replay.moves) && replay.moves.every(move =>
+    Array.isArray(move) && move.length === 3 && move.every(Number.isInteger)
+  );
+  if (!validMoves) {
+    throw new Error('Replay moves must be [piece, row, col] lists');
+  }
+
+  return replay.level ? { ...replay, level: parseLevel(replay.level) } : replay;
+}
+
+export function loadSavedReplays() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(REPLAYS_KEY));
+    if (!Array.isArray(saved)) return [];
+
+    // Parsing also brings replays saved by older versions up to date
+    return saved.flatMap(replay => {
+      try {
+        return [parseReplay(replay)];
+      } catch (error) {
+        console.warn('Ignoring invalid saved replay:', error);
+        return [];
+      }
+    });
+  } catch (error) {
+    console.warn('Ignoring unreadable saved replays:', error);
+    return [];
+  }
+}
+
+/**
+ * Saves a replay as the most recent one and returns the updated list.
+ */
+export function saveReplay(replay) {
+  const replays = [replay, ...loadSavedReplays()].slice(0, MAX_SAVED_REPLAYS);
+  localStorage.setItem(REPLAYS_KEY, JSON.stringify(replays));
+  return replays;
+}
+
+export function deleteSavedReplay(index) {
+  const replays = loadSavedReplays().filter((_, i) => i !== index);
+  localStorage.setItem(REPLAYS_KEY, JSON.stringify(replays));
+  return replays;
+}
+
+export function downloadReplay(replay) {
+  const dataBlob = new Blob([JSON.stringify(replay, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(dataBlob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `wood-block-replay-${replay.seed}-${replay.score}.json`;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,85 @@
+import { buildReplayStates, createReplay, parseReplay } from './replay';
+import { createSeededGame, playMove } from './gameLogic';
+import { getValidPlacements } from './gameEngine';
+
+// Plays the first piece that fits at its first free spot, up to count moves
+function playFirstMoves(state, count) {
+  let current = state;
+  for (let i = 0; i < count && !current.gameOver; i++) {
+    const { grid, blocked, availableBlocks } = current;
+    const blockIndex = availableBlocks.findIndex(shape => getValidPlacements(grid, shape, blocked).length > 0);
+    const [{ row, col }] = getValidPlacements(grid, availableBlocks[blockIndex], blocked);
+    current = playMove(current, { blockIndex, row, col }).state;
+  }
+  return current;
+}
+
+const roundTrip = finished => buildReplayStates(parseReplay(JSON.stringify(createReplay(finished))));
+
+describe('replays', () => {
+  test('rebuild the game they were recorded from', () => {
+    const finished = playFirstMoves(createSeededGame({ seed: 2024 }), 30);
+    const states = roundTrip(finished);
+    const last = states[states.length - 1];
+
+    expect(states).toHaveLength(finished.moveLog.length + 1);
+    expect(last.grid).toEqual(finished.grid);
+    expect(last.availableBlocks).toEqual(finished.availableBlocks);
+    expect(last.score).toBe(finished.score);
+    expect(last.gameOver).toBe(finished.gameOver);
+  });
+
+  test('keep the board size, obstacles, piece profile and generator policy', () => {
+    const finished = playFirstMoves(createSeededGame({
+      seed: 77,
+      difficulty: 'hard',
+      gridSize: 12,
+      obstacles: 5,
+      pieceProfile: 'tough',
+      generatorPolicy: 'solvable'
+    }), 30);
+    const states = roundTrip(finished);
+    const last = states[states.length - 1];
+
+    expect(last.blocked).toEqual(finished.blocked);
+    expect(last.grid).toEqual(finished.grid);
+    expect(last.score).toBe(finished.score);
+  });
+
+  test('rebuild a level game with its fixed pieces', () => {
+    const level = { id: 'test', name: 'Test', gridSize: 8, blocked: [[0, 0]], filled: [[7, 7]], pieces: ['plus', 'single'] };
+    const finished = playFirstMoves(createSeededGame({ seed: 3, level }), 10);
+    const states = roundTrip(finished);
+
+    expect(states[states.length - 1].grid).toEqual(finished.grid);
+  });
+
+  test('fail on a move that can\'t be played', () => {
+    const replay = { ...createReplay(createSeededGame({ seed: 1 })), moves: [[0, 40, 40]] };
+
+    expect(() => buildReplayStates(replay)).toThrow("Replay move 1 can't be played");
+  });
+});
+
+describe('parseReplay', () => {
+  const valid = createReplay(createSeededGame({ seed: 1 }));
+
+  test.each([
+    ['invalid JSON', '{', 'not valid JSON'],
+    ['another version', { ...valid, version: 1 }, 'Unsupported replay version'],
+    ['an unknown piece distribution', { ...valid, pieceProfile: 'nope' }, 'unknown piece distribution'],
+    ['an unknown generator policy', { ...valid, generatorPolicy: 'nope' }, 'unknown generator policy'],
+    ['no seed', { ...valid, seed: undefined }, 'missing its seed'],
+    ['negative obstacles', { ...valid, obstacles: -1 }, 'obstacles'],
+    ['no score', { ...valid, score: undefined }, 'missing its score'],
+    ['an unsupported board size', { ...valid, gridSize: 7 }, 'unsupported board size'],
+    ['no record date', { ...valid, recordedAt: 'yesterday' }, 'date it was recorded'],
+    ['malformed moves', { ...valid, moves: [[0, 1]] }, 'moves must be']
+  ])('rejects %s', (_, replay, message) => {
+    expect(() => parseReplay(replay)).toThrow(message);
+  });
+
+  test('validates the level of a level replay', () => {
+    expect(() => parseReplay({ ...valid, level: { gridSize: 5 } })).toThrow('board size');
+  });
+});
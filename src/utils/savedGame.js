@@ -0,0 +1,58 @@
+import { createBlockedGrid, getHardModeCells } from './gameEngine';
+import { fillUpcoming } from './gameLogic';
+
+// Auto-save of the in-progress game so it can be continued from the main menu.
+// The saved game state includes seed and rngState, so the pieces dealt after
+// resuming are the same ones the game would have dealt without leaving.
+
+const SAVED_GAME_KEY = 'woodBlockPuzzleSavedGame';
+const SAVED_GAME_VERSION = 1;
+
+/**
+ * Saves { gameState, isRanked, allowUndo, timer, hintsUsed }. Undo history is
+ * not saved; timer is null for untimed games.
+ */
+export function saveGame(savedGame) {
+  localStorage.setItem(SAVED_GAME_KEY, JSON.stringify({
+    version: SAVED_GAME_VERSION,
+    savedAt: new Date().toISOString(),
+    ...savedGame
+  }));
+}
+
+function isValidGameState(state) {
+  return Boolean(state) &&
+    Array.isArray(state.grid) &&
+    state.grid.every(row => Array.isArray(row) && row.length === state.grid.length) &&
+    Array.isArray(state.availableBlocks) &&
+    typeof state.score === 'number';
+}
+
+/**
+ * Returns the saved game, or null if there is none or it can't be used.
+ */
+export function loadSavedGame() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SAVED_GAME_KEY));
+    if (!saved || saved.version !== SAVED_GAME_VERSION || !isValidGameState(saved.gameState)) {
+      return null;
+    }
+    if (saved.gameState.gameOver) return null;
+
+    // Games saved before obstacle layouts only knew hard mode's blocked center
+    let { gameState } = saved;
+    if (gameState.blocked === undefined) {
+      const blockedCells = gameState.difficulty === 'hard' ? getHardModeCells(gameState.grid.length) : [];
+      gameState = { ...gameState, blocked: createBlockedGrid(gameState.grid.length, blockedCells) };
+    }
+    // ...and games saved before the preview queue have no upcoming pieces yet
+    return { ...saved, gameState: fillUpcoming(gameState) };
+  } catch (error) {
+    console.warn('Ignoring unreadable saved game:', error);
+    return null;
+  }
+}
+
+export function clearSavedGame() {
+  localStorage.removeItem(SAVED_GAME_KEY);
+}
@@ -0,0 +1,142 @@
+import { DEFAULT_KEY_BINDINGS, KEY_ACTIONS } from './keyBindings';
+import { GRID_SIZE, GRID_SIZES } from './gameEngine';
+import { DEFAULT_PROFILE, PLAYER_PROFILES } from './pieces';
+import { DEFAULT_THEME, THEMES } from './themes';
+
+// Player settings stored under woodBlockPuzzleSettings. Screens get them from
+// SettingsProvider, which keeps the stored copy up to date; code outside
+// React can still read the stored copy with loadSettings().
+
+export const SETTINGS_KEY = 'woodBlockPuzzleSettings';
+export const SETTINGS_VERSION = 2;
+
+/**
+ * Every setting with its type and default value:
+ *   boolean, number ({ min, max, integer }), choice ({ options }), string,
+ *   or keyBindings (action id -> KeyboardEvent.key, see keyBindings.js)
+ */
+export const SETTINGS_SCHEMA = {
+  soundEnabled: { type: 'boolean', default: true },
+  soundVolume: { type: 'number', min: 0, max: 1, default: 0.7 },
+  animationsEnabled: { type: 'boolean', default: true },
+  difficulty: { type: 'choice', options: ['normal', 'hard'], default: 'normal' }, // For new games
+  autoSave: { type: 'boolean', default: true },
+  theme: { type: 'choice', options: THEMES.map(theme => theme.id), default: DEFAULT_THEME },
+  aiSpeed: { type: 'number', min: 50, max: 2000, integer: true, default: 100 }, // ms between AI moves on screen
+  showHints: { type: 'boolean', default: true },
+  hintAdvisor: { type: 'string', default: 'heuristic' }, // or the name of a DQN model in browser storage
+  gridSize: { type: 'choice', options: GRID_SIZES, default: GRID_SIZE },
+  pieceProfile: { type: 'choice', options: PLAYER_PROFILES.map(profile => profile.id), default: DEFAULT_PROFILE },
+  previewSets: { type: 'number', min: 0, max: 2, integer: true, default: 1 },
+  adaptiveDifficulty: { type: 'boolean', default: false },
+  keyBindings: { type: 'keyBindings', default: DEFAULT_KEY_BINDINGS }
+};
+
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, field]) => [key, field.default])
+);
+
+function validateKeyBindings(value) {
+  if (!value || typeof value !== 'object') return undefined;
+  const bindings = { ...DEFAULT_KEY_BINDINGS };
+  KEY_ACTIONS.forEach(({ id }) => {
+    if (typeof value[id] === 'string' && value[id] !== '') bindings[id] = value[id];
+  });
+  return bindings;
+}
+
+// The value if it fits the field (numbers are clamped), otherwise undefined
+function validateValue(field, value) {
+  switch (field.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? value : undefined;
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+      const clamped = Math.min(Math.max(value, field.min), field.max);
+      return field.integer ? Math.round(clamped) : clamped;
+    }
+    case 'choice':
+      return field.options.includes(value) ? value : undefined;
+    case 'string':
+      return typeof value === 'string' && value !== '' ? value : undefined;
+    case 'keyBindings':
+      return validateKeyBindings(value);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * A complete, valid settings object: missing or invalid values get their
+ * default and keys that aren't settings are dropped.
+ */
+export function validateSettings(settings) {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  return Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, field]) => {
+    const value = validateValue(field, source[key]);
+    return [key, value === undefined ? field.default : value];
+  }));
+}
+
+const LEGACY_THEMES = { dark: 'wood', light: 'light', colorful: 'colorblind' };
+
+// Each migration takes settings from its version to the next one
+const MIGRATIONS = {
+  // Version 1 (saved without a version) stored a theme but never applied it,
+  // so every player saw the dark wooden board, which the old options called
+  // "Dark Wood". That look is now 'wood', so 'dark' maps there rather than to
+  // the new slate Dark theme. 'light' (Light Wood) becomes the pale wood
+  // 'light' theme and 'colorful' the colorblind theme, the one with the most
+  // distinct colors. aiSpeed (100-2000ms then) carries over; validation
+  // clamps it to the current range.
+  1: settings => ({
+    ...settings,
+    theme: LEGACY_THEMES[settings.theme] || settings.theme
+  })
+};
+
+/**
+ * Brings stored or imported settings up to the current version and
+ * validates them. Settings from a newer version keep whatever still fits.
+ */
+export function migrateSettings(saved) {
+  if (!saved || typeof saved !== 'object') return { ...DEFAULT_SETTINGS };
+
+  let { version = 1, ...settings } = saved;
+  while (version < SETTINGS_VERSION && MIGRATIONS[version]) {
+    settings = MIGRATIONS[version](settings);
+    version += 1;
+  }
+  return validateSettings(settings);
+}
+
+export function loadSettings() {
+  try {
+    return migrateSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY)));
+  } catch (error) {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Settings as stored and exported: validated, with their version.
+ */
+export function serializeSettings(settings) {
+  return { version: SETTINGS_VERSION, ...validateSettings(settings) };
+}
+
+export function saveSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(serializeSettings(settings)));
+}
+
+/**
+ * Calls listener with the new settings when another tab changes them.
+ * Returns a function that stops listening.
+ */
+export function onStoredSettingsChange(listener) {
+  const handleStorage = (event) => {
+    if (event.key === SETTINGS_KEY) listener(loadSettings());
+  };
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+}
@@ -0,0 +1,106 @@
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  migrateSettings,
+  saveSettings,
+  serializeSettings,
+  SETTINGS_KEY,
+  SETTINGS_VERSION,
+  validateSettings
+} from './settings';
+
+describe('migrateSettings', () => {
+  test('gives the defaults for nothing stored', () => {
+    expect(migrateSettings(null)).toEqual(DEFAULT_SETTINGS);
+    expect(migrateSettings('dark')).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test.each([
+    ['dark', 'wood'],
+    ['light', 'light'],
+    ['colorful', 'colorblind']
+  ])('maps the version 1 theme %s to %s', (theme, migrated) => {
+    expect(migrateSettings({ theme }).theme).toBe(migrated);
+  });
+
+  test('keeps a current theme as it is', () => {
+    expect(migrateSettings({ version: SETTINGS_VERSION, theme: 'dark' }).theme).toBe('dark');
+  });
+
+  test('keeps the version 1 AI speed, clamped to the current range', () => {
+    expect(migrateSettings({ aiSpeed: 1500 }).aiSpeed).toBe(1500);
+    expect(migrateSettings({ aiSpeed: 10 }).aiSpeed).toBe(50);
+    expect(migrateSettings({ aiSpeed: 5000 }).aiSpeed).toBe(2000);
+  });
+
+  test('keeps the other version 1 settings', () => {
+    const migrated = migrateSettings({ soundEnabled: false, soundVolume: 0.3, difficulty: 'hard', autoSave: false });
+
+    expect(migrated).toMatchObject({ soundEnabled: false, soundVolume: 0.3, difficulty: 'hard', autoSave: false });
+  });
+
+  test('keeps what still fits from a newer version', () => {
+    const migrated = migrateSettings({ version: SETTINGS_VERSION + 1, showHints: false, theme: 'neon' });
+
+    expect(migrated.showHints).toBe(false);
+    expect(migrated.theme).toBe(DEFAULT_SETTINGS.theme);
+  });
+});
+
+describe('validateSettings', () => {
+  test('replaces invalid values with their defaults', () => {
+    const validated = validateSettings({ soundEnabled: 'yes', difficulty: 'insane', gridSize: 7, hintAdvisor: '' });
+
+    expect(validated.soundEnabled).toBe(DEFAULT_SETTINGS.soundEnabled);
+    expect(validated.difficulty).toBe(DEFAULT_SETTINGS.difficulty);
+    expect(validated.gridSize).toBe(DEFAULT_SETTINGS.gridSize);
+    expect(validated.hintAdvisor).toBe(DEFAULT_SETTINGS.hintAdvisor);
+  });
+
+  test('clamps and rounds numbers', () => {
+    const validated = validateSettings({ soundVolume: 3, previewSets: 1.6, aiSpeed: NaN });
+
+    expect(validated.soundVolume).toBe(1);
+    expect(validated.previewSets).toBe(2);
+    expect(validated.aiSpeed).toBe(DEFAULT_SETTINGS.aiSpeed);
+  });
+
+  test('drops keys that are not settings', () => {
+    expect(validateSettings({ cheats: true })).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('fills in key bindings that are missing or empty', () => {
+    const [action] = Object.keys(DEFAULT_SETTINGS.keyBindings);
+    const validated = validateSettings({ keyBindings: { [action]: '' } });
+
+    expect(validated.keyBindings).toEqual(DEFAULT_SETTINGS.keyBindings);
+  });
+});
+
+describe('stored settings', () => {
+  afterEach(() => localStorage.clear());
+
+  test('are saved with their version and load back', () => {
+    const settings = { ...DEFAULT_SETTINGS, theme: 'dark', aiSpeed: 300 };
+    saveSettings(settings);
+
+    expect(JSON.parse(localStorage.getItem(SETTINGS_KEY)).version).toBe(SETTINGS_VERSION);
+    expect(loadSettings()).toEqual(settings);
+  });
+
+  test('from version 1 are migrated on load', () => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ theme: 'dark', aiSpeed: 500 }));
+
+    expect(loadSettings()).toMatchObject({ theme: 'wood', aiSpeed: 500 });
+  });
+
+  test('that are unreadable give the defaults', () => {
+    localStorage.setItem(SETTINGS_KEY, '{');
+
+    expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('serialize as exported with their version', () => {
+    expect(serializeSettings({ theme: 'light' })).toEqual({ version: SETTINGS_VERSION, ...DEFAULT_SETTINGS, theme: 'light' });
+  });
+});
@@ -0,0 +1,141 @@
+import { isBlockedCell } from './gameEngine';
+
+// Local player skill model. Every finished game (outside levels and puzzles)
+// is summarised - score, moves survived, clears per move and how fragmented
+// the board was at the end - and rated 0-100. The skill estimate is a running
+// average of those ratings, kept with its history under woodBlockPuzzleSkill
+// so the stats page can chart it. Adaptive difficulty turns the estimate into
+// a piece distribution and a share of obstacle cells for new games.
+
+const SKILL_KEY = 'woodBlockPuzzleSkill';
+const MAX_RECORDED_GAMES = 200;
+
+// How much the newest game moves the estimate
+export const SKILL_SMOOTHING = 0.25;
+// Where the estimate starts, on the friendly side
+export const STARTING_SKILL = 25;
+
+// Skill tiers from weakest to strongest. obstacleDensity is the share of the
+// board's cells that start out blocked.
+export const SKILL_TIERS = [
+  { id: 'beginner', label: 'Beginner', maxSkill: 30, pieceProfile: 'relaxed', obstacleDensity: 0 },
+  { id: 'intermediate', label: 'Intermediate', maxSkill: 55, pieceProfile: 'classic', obstacleDensity: 0 },
+  { id: 'advanced', label: 'Advanced', maxSkill: 75, pieceProfile: 'classic', obstacleDensity: 0.04 },
+  { id: 'expert', label: 'Expert', maxSkill: 100, pieceProfile: 'tough', obstacleDensity: 0.08 }
+];
+
+/**
+ * Share (0-1) of the empty cells that sit in pockets of one or two cells,
+ * which hardly any piece can fill.
+ */
+export function getFragmentation(grid, blocked = null) {
+  const gridSize = grid.length;
+  const seen = grid.map(row => row.map(() => false));
+  const isOpen = (row, col) =>
+    row >= 0 && row < gridSize && col >= 0 && col < gridSize &&
+    !grid[row][col] && !isBlockedCell(blocked, row, col);
+
+  let emptyCells = 0;
+  let pocketCells = 0;
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      if (seen[row][col] || !isOpen(row, col)) continue;
+
+      // Flood fill one empty region
+      let size = 0;
+      const stack = [[row, col]];
+      seen[row][col] = true;
+      while (stack.length > 0) {
+        const [r, c] = stack.pop();
+        size++;
+        [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]].forEach(([nr, nc]) => {
+          if (isOpen(nr, nc) && !seen[nr][nc]) {
+            seen[nr][nc] = true;
+            stack.push([nr, nc]);
+          }
+        });
+      }
+
+      emptyCells += size;
+      if (size <= 2) pocketCells += size;
+    }
+  }
+
+  return emptyCells > 0 ? pocketCells / emptyCells : 0;
+}
+
+export function summarizeGame(gameState) {
+  const moves = gameState.moves || 0;
+  return {
+    score: gameState.score,
+    moves,
+    clearsPerMove: moves > 0 ? gameState.linesCleared / moves : 0,
+    fragmentation: getFragmentation(gameState.grid, gameState.blocked)
+  };
+}
+
+/**
+ * Rates one game 0-100. Surviving long counts most; a tidy final board
+ * counts a little, since every game ends on a board that's stuck.
+ */
+export function ratePerformance({ score, moves, clearsPerMove, fragmentation }) {
+  const survival = Math.min(moves / 120, 1);
+  const clearing = Math.min(clearsPerMove / 0.4, 1);
+  const scoring = Math.min(score / 4000, 1);
+  const tidiness = 1 - fragmentation;
+
+  return Math.round(100 * (0.35 * survival + 0.25 * clearing + 0.25 * scoring + 0.15 * tidiness));
+}
+
+/**
+ * Recorded games, oldest first: { playedAt, score, moves, clearsPerMove,
+ * fragmentation, performance, skill } where skill is the estimate after it.
+ */
+export function loadSkillHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SKILL_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn('Ignoring unreadable skill history:', error);
+    return [];
+  }
+}
+
+/**
+ * The current estimate, or null before the first recorded game.
+ */
+export function getSkillEstimate(history = loadSkillHistory()) {
+  return history.length > 0 ? history[history.length - 1].skill : null;
+}
+
+/**
+ * Folds a finished game into the model and returns the updated history.
+ */
+export function recordGame(gameState) {
+  const history = loadSkillHistory();
+  const summary = summarizeGame(gameState);
+  const performance = ratePerformance(summary);
+  const previous = getSkillEstimate(history) ?? STARTING_SKILL;
+  const skill = Math.round(previous + SKILL_SMOOTHING * (performance - previous));
+
+  const updated = [...history, { playedAt: new Date().toISOString(), ...summary, performance, skill }]
+    .slice(-MAX_RECORDED_GAMES);
+  localStorage.setItem(SKILL_KEY, JSON.stringify(updated));
+  return updated;
+}
+
+export function clearSkillHistory() {
+  localStorage.removeItem(SKILL_KEY);
+}
+
+/**
+ * The tier for a skill estimate. Players without one start as beginners.
+ */
+export function getSkillTier(skill) {
+  const estimate = skill ?? STARTING_SKILL;
+  return SKILL_TIERS.find(tier => estimate <= tier.maxSkill) || SKILL_TIERS[SKILL_TIERS.length - 1];
+}
+
+export function getObstacleCount(tier, gridSize) {
+  return Math.round(tier.obstacleDensity * gridSize * gridSize);
+}
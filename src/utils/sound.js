@@ -0,0 +1,174 @@
+import { onGameEvent } from './gameEvents';
+import { loadSettings } from './settings';
+
+// Sound effects, synthesized with Web Audio so there's nothing to download.
+// Each sound is a few short oscillator notes (and a burst of noise for the
+// knock of a piece landing). soundEnabled and soundVolume are read from the
+// settings on every sound, so changing them takes effect right away.
+
+export const SOUNDS = ['pickup', 'drop', 'invalid', 'clear', 'combo', 'newBest', 'gameOver'];
+
+// C major pentatonic, for clears and combos that climb with their size
+const PENTATONIC = [261.63, 293.66, 329.63, 392.0, 440.0];
+
+let audioContext = null;
+
+// Created on the first sound, which always follows a click or key press,
+// so browsers allow it to play
+function getAudioContext() {
+  if (!audioContext) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    audioContext = new AudioContextClass();
+  }
+  if (audioContext.state === 'suspended') {
+    audioContext.resume();
+  }
+  return audioContext;
+}
+
+function pentatonicNote(step) {
+  const octave = Math.floor(step / PENTATONIC.length);
+  return PENTATONIC[step % PENTATONIC.length] * 2 ** octave;
+}
+
+/**
+ * One note. slideTo glides the pitch over the note; delay is in seconds
+ * from now.
+ */
+function playTone(ctx, output, { frequency, duration, type = 'sine', volume = 0.3, delay = 0, slideTo = null }) {
+  const start = ctx.currentTime + delay;
+  const oscillator = ctx.createOscillator();
+  const gain = ctx.createGain();
+
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(frequency, start);
+  if (slideTo) {
+    oscillator.frequency.exponentialRampToValueAtTime(slideTo, start + duration);
+  }
+
+  // Quick attack, exponential decay: no clicks at either end
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(volume, start + 0.01);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+  oscillator.connect(gain);
+  gain.connect(output);
+  oscillator.start(start);
+  oscillator.stop(start + duration + 0.02);
+}
+
+// Filtered noise, for the wooden knock of a piece landing
+function playKnock(ctx, output, { duration = 0.08, volume = 0.4, cutoff = 900 } = {}) {
+  const samples = Math.floor(ctx.sampleRate * duration);
+  const buffer = ctx.createBuffer(1, samples, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < samples; i++) {
+    data[i] = (Math.random() * 2 - 1) * (1 - i / samples) ** 3;
+  }
+
+  const source = ctx.createBufferSource();
+  const filter = ctx.createBiquadFilter();
+  const gain = ctx.createGain();
+  source.buffer = buffer;
+  filter.type = 'lowpass';
+  filter.frequency.value = cutoff;
+  gain.gain.value = volume;
+
+  source.connect(filter);
+  filter.connect(gain);
+  gain.connect(output);
+  source.start();
+}
+
+const SYNTHS = {
+  pickup: (ctx, out) => {
+    playTone(ctx, out, { frequency: 520, slideTo: 700, duration: 0.07, type: 'triangle', volume: 0.15 });
+  },
+  drop: (ctx, out) => {
+    playKnock(ctx, out);
+    playTone(ctx, out, { frequency: 180, slideTo: 120, duration: 0.1, volume: 0.25 });
+  },
+  invalid: (ctx, out) => {
+    playTone(ctx, out, { frequency: 150, slideTo: 110, duration: 0.18, type: 'square', volume: 0.08 });
+  },
+  // An arpeggio with a note per row, column or square, starting higher the more were cleared
+  clear: (ctx, out, { count = 1 }) => {
+    const notes = Math.min(Math.max(count, 1), 6);
+    for (let i = 0; i < notes; i++) {
+      playTone(ctx, out, {
+        frequency: pentatonicNote(3 + notes + i),
+        duration: 0.18,
+        type: 'triangle',
+        volume: 0.2,
+        delay: i * 0.06
+      });
+    }
+  },
+  combo: (ctx, out, { combo = 2 }) => {
+    const base = pentatonicNote(5 + Math.min(combo, 6));
+    playTone(ctx, out, { frequency: base, slideTo: base * 2, duration: 0.25, type: 'sawtooth', volume: 0.08, delay: 0.1 });
+  },
+  newBest: (ctx, out) => {
+    [523.25, 659.25, 783.99, 1046.5].forEach((frequency, i) => {
+      playTone(ctx, out, { frequency, duration: i === 3 ? 0.5 : 0.15, type: 'triangle', volume: 0.25, delay: i * 0.12 });
+    });
+  },
+  gameOver: (ctx, out) => {
+    [392.0, 329.63, 261.63, 196.0].forEach((frequency, i) => {
+      playTone(ctx, out, { frequency, duration: 0.3, volume: 0.2, delay: i * 0.2 });
+    });
+  }
+};
+
+/**
+ * Plays a sound from SOUNDS unless sound is off in the settings.
+ * options: { count } for 'clear', { combo } for 'combo'.
+ */
+export function playSound(name, options = {}) {
+  const { soundEnabled, soundVolume } = loadSettings();
+  if (!soundEnabled || soundVolume <= 0 || !SYNTHS[name]) return;
+
+  const ctx = getAudioContext();
+  if (!ctx) return;
+
+  const master = ctx.createGain();
+  master.gain.value = Math.min(soundVolume, 1);
+  master.connect(ctx.destination);
+  SYNTHS[name](ctx, master, options);
+}
+
+function playEventSound(event) {
+  switch (event.type) {
+    case 'pickup':
+    case 'hold':
+      playSound('pickup');
+      break;
+    case 'place':
+      playSound('drop');
+      break;
+    case 'invalid':
+      playSound('invalid');
+      break;
+    case 'clear':
+      playSound('clear', { count: event.total });
+      if (event.combo > 1) playSound('combo', { combo: event.combo });
+      break;
+    case 'newBest':
+      playSound('newBest');
+      break;
+    case 'gameOver':
+    case 'timeUp':
+      playSound('gameOver');
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Plays sounds for game events until the returned function is called.
+ */
+export function connectGameSounds() {
+  return onGameEvent(playEventSound);
+}
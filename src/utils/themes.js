@@ -0,0 +1,48 @@
+// Color themes. Each theme is a set of CSS variables in index.css, selected
+// by the data-theme attribute on <html>; components and stylesheets use the
+// variables instead of fixed colors. Canvas charts can't use CSS, so they
+// read the same variables through getChartColors().
+
+export const THEMES = [
+  { id: 'wood', label: 'Wood', description: 'The classic warm wooden board' },
+  { id: 'dark', label: 'Dark', description: 'Slate pieces on a dark board, easy on the eyes at night' },
+  { id: 'light', label: 'Light', description: 'Pale wood with dark text, for bright rooms' },
+  { id: 'high-contrast', label: 'High Contrast', description: 'Black and white with bold outlines' },
+  {
+    id: 'colorblind',
+    label: 'Colorblind Safe',
+    description: 'Blue and orange instead of green, red and gold, with patterns where color matters'
+  }
+];
+
+export const DEFAULT_THEME = 'wood';
+
+export function getTheme(themeId) {
+  return THEMES.find(theme => theme.id === themeId) || THEMES.find(theme => theme.id === DEFAULT_THEME);
+}
+
+/**
+ * Switches the whole app to a theme. Unknown themes fall back to the default.
+ */
+export function applyTheme(themeId) {
+  document.documentElement.dataset.theme = getTheme(themeId).id;
+}
+
+const CHART_SERIES = 6;
+
+/**
+ * Chart colors of the current theme: { background, grid, axis, text, series }
+ * where series is a list of line colors.
+ */
+export function getChartColors() {
+  const style = window.getComputedStyle(document.documentElement);
+  const read = (name) => style.getPropertyValue(name).trim();
+
+  return {
+    background: read('--chart-bg'),
+    grid: read('--chart-grid'),
+    axis: read('--chart-axis'),
+    text: read('--chart-text'),
+    series: Array.from({ length: CHART_SERIES }, (_, i) => read(`--chart-series-${i + 1}`))
+  };
+}
@@ -0,0 +1,57 @@
+// Timers for blitz modes. A timer is plain data so it can be saved with the
+// game: { mode, remainingMs }. GameView ticks it while the game is running and
+// not paused, and tops it up after every move.
+//   'total'   - one countdown for the whole game, clears add time
+//   'perMove' - the countdown restarts after every move, clears add time to the next one
+
+export const TIME_MODES = [
+  { id: 'blitz-2', label: '2 Minutes', type: 'total', limitMs: 2 * 60 * 1000 },
+  { id: 'blitz-5', label: '5 Minutes', type: 'total', limitMs: 5 * 60 * 1000 },
+  { id: 'move-10', label: '10s per Move', type: 'perMove', limitMs: 10 * 1000 }
+];
+
+// Bonus for every row, column or square cleared
+export const CLEAR_TIME_BONUS_MS = 3000;
+
+export function getTimeMode(modeId) {
+  return TIME_MODES.find(mode => mode.id === modeId) || null;
+}
+
+/**
+ * A fresh timer for the mode, or null for untimed games.
+ */
+export function createTimer(modeId) {
+  const mode = getTimeMode(modeId);
+  return mode ? { mode: mode.id, remainingMs: mode.limitMs } : null;
+}
+
+export function tickTimer(timer, elapsedMs) {
+  return { ...timer, remainingMs: Math.max(timer.remainingMs - elapsedMs, 0) };
+}
+
+export function isTimeUp(timer) {
+  return Boolean(timer) && timer.remainingMs <= 0;
+}
+
+export function getTimeBonus(clearEvent) {
+  return clearEvent ? clearEvent.total * CLEAR_TIME_BONUS_MS : 0;
+}
+
+/**
+ * Updates the timer after a move that cleared clearEvent (or null).
+ */
+export function recordTimedMove(timer, clearEvent) {
+  const mode = getTimeMode(timer.mode);
+  const bonus = getTimeBonus(clearEvent);
+
+  return mode.type === 'perMove'
+    ? { ...timer, remainingMs: mode.limitMs + bonus }
+    : { ...timer, remainingMs: timer.remainingMs + bonus };
+}
+
+export function formatTime(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}